@@ -0,0 +1,449 @@
+/**
+ * ========================================
+ * NUMMA - FEC AUDIT MODULE v3.0
+ * ========================================
+ * Audit analytics on FEC entries
+ *
+ * Features:
+ * - First-digit Benford distribution of the debit amounts (MAD conformity,
+ *   over-represented digits)
+ * - Écritures with round amounts above a threshold
+ * - Entries dated on weekends or French public holidays
+ * - Entries validated long after their date
+ * - Entries of a closed fiscal year validated after the closing
+ *
+ * Every finding carries the indexes of its lines in the entries array.
+ *
+ * DEPENDENCIES: fec-module.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🔎 Loading FEC Audit Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents, formatCents } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const AUDIT_CONFIG = {
+        FINDING_LABELS: {
+            BENFORD_DEVIATION: 'Chiffres sur-représentés (loi de Benford)',
+            ROUND_AMOUNT: 'Montants ronds',
+            WEEKEND_ENTRY: 'Écritures datées un week-end',
+            HOLIDAY_ENTRY: 'Écritures datées un jour férié',
+            LATE_VALIDATION: 'Validations tardives',
+            POST_CLOSING_ENTRY: 'Écritures validées après la clôture'
+        },
+
+        BENFORD: {
+            MIN_AMOUNT: 10,            // Smaller amounts are left out
+            MIN_SAMPLE: 300,           // Below this, the test is not reliable
+            Z_THRESHOLD: 1.96,         // 95% confidence
+            // Mean absolute deviation limits for the first digit (Nigrini)
+            MAD_LIMITS: { close: 0.006, acceptable: 0.012, marginal: 0.015 }
+        },
+
+        ROUND_AMOUNT_THRESHOLD: 5000,  // Euros
+        ROUND_AMOUNT_MULTIPLE: 1000,   // Euros
+
+        LATE_VALIDATION_DAYS: 60,
+
+        // French public holidays: fixed (MMDD) and days after Easter Sunday
+        HOLIDAYS: ['0101', '0501', '0508', '0714', '0815', '1101', '1111', '1225'],
+        EASTER_HOLIDAYS: {
+            1: 'Lundi de Pâques',
+            39: 'Ascension',
+            50: 'Lundi de Pentecôte'
+        },
+
+        // Opening entries are dated on the first day of the year by design
+        DATE_EXCLUDED_JOURNALS: ['AN']
+    };
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    // =====================================================
+    // FULL REPORT
+    // =====================================================
+
+    /**
+     * Run every audit test
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - {
+     *     roundThreshold, roundMultiple (euros),
+     *     lateDays,
+     *     holidays: string[] (extra YYYYMMDD days off),
+     *     closingDate: 'YYYYMMDD' (end of the closed fiscal year),
+     *     lockDate: 'YYYYMMDD' (day the closing was done, defaults to closingDate)
+     * }
+     * @returns {Object} { benford, findings: [{ type, message, entry, lines: number[] }], summary: { TYPE: count } }
+     */
+    function runAudit(entries, options = {}) {
+        const benford = getBenfordAnalysis(entries);
+
+        const findings = [
+            ...getBenfordFindings(benford),
+            ...findRoundAmounts(entries, options),
+            ...findUnusualDates(entries, options),
+            ...findLateValidations(entries, options),
+            ...findPostClosingEntries(entries, options)
+        ];
+
+        const summary = {};
+        findings.forEach(finding => {
+            summary[finding.type] = (summary[finding.type] || 0) + 1;
+        });
+
+        console.log(`✅ Audit: ${findings.length} constat(s) sur ${entries.length} ligne(s)`);
+
+        return { benford, findings, summary };
+    }
+
+    // =====================================================
+    // BENFORD
+    // =====================================================
+
+    /**
+     * First-digit distribution of the debit amounts against Benford's law.
+     * Credits balance the debits of the same écriture: counting both sides
+     * would count every amount twice.
+     * @param {Array} entries - FEC entries
+     * @returns {Object} {
+     *     count, mad, conformity: 'close' | 'acceptable' | 'marginal' | 'nonconformity',
+     *     reliable: boolean (enough amounts),
+     *     digits: [{ digit, count, observed, expected, z, flagged, lines: number[] }]
+     * }
+     */
+    function getBenfordAnalysis(entries) {
+        const config = AUDIT_CONFIG.BENFORD;
+        const digits = Array.from({ length: 9 }, (_, i) => ({ digit: i + 1, count: 0, lines: [] }));
+        const minCents = config.MIN_AMOUNT * 100;
+        let count = 0;
+
+        entries.forEach((entry, index) => {
+            const cents = Math.abs(toCents(entry.Debit));
+            if (cents < minCents) return;
+
+            const digit = parseInt(String(cents)[0], 10);
+            digits[digit - 1].count++;
+            digits[digit - 1].lines.push(index);
+            count++;
+        });
+
+        let deviation = 0;
+        digits.forEach(item => {
+            item.expected = Math.log10(1 + 1 / item.digit);
+            item.observed = count > 0 ? item.count / count : 0;
+            item.z = count > 0 ? getZStatistic(item.observed, item.expected, count) : 0;
+            item.flagged = count >= config.MIN_SAMPLE && item.observed > item.expected && item.z > config.Z_THRESHOLD;
+            deviation += Math.abs(item.observed - item.expected);
+        });
+
+        const mad = deviation / digits.length;
+        const limits = config.MAD_LIMITS;
+
+        return {
+            count,
+            mad,
+            conformity: mad <= limits.close ? 'close'
+                : mad <= limits.acceptable ? 'acceptable'
+                : mad <= limits.marginal ? 'marginal'
+                : 'nonconformity',
+            reliable: count >= config.MIN_SAMPLE,
+            digits
+        };
+    }
+
+    /**
+     * Z-statistic of an observed proportion, with continuity correction
+     */
+    function getZStatistic(observed, expected, count) {
+        const correction = 1 / (2 * count);
+        const difference = Math.max(Math.abs(observed - expected) - correction, 0);
+        return difference / Math.sqrt(expected * (1 - expected) / count);
+    }
+
+    function getBenfordFindings(benford) {
+        return benford.digits
+            .filter(item => item.flagged)
+            .map(item => ({
+                type: 'BENFORD_DEVIATION',
+                message: `Premier chiffre ${item.digit}: ${formatPercent(item.observed)} des montants (attendu ${formatPercent(item.expected)}, z = ${item.z.toFixed(2).replace('.', ',')})`,
+                entry: null,
+                lines: item.lines
+            }));
+    }
+
+    // =====================================================
+    // ROUND AMOUNTS
+    // =====================================================
+
+    /**
+     * Écritures with a line amount that is a multiple of roundMultiple, from
+     * roundThreshold up. One finding per écriture, for its largest round
+     * amount: the counterpart lines would otherwise report it again.
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { roundThreshold, roundMultiple } (euros)
+     * @returns {Array} Findings
+     */
+    function findRoundAmounts(entries, options = {}) {
+        const threshold = toCents(options.roundThreshold || AUDIT_CONFIG.ROUND_AMOUNT_THRESHOLD);
+        const multiple = toCents(options.roundMultiple || AUDIT_CONFIG.ROUND_AMOUNT_MULTIPLE);
+        const findings = [];
+
+        groupByEcriture(entries).forEach(group => {
+            const lines = group.filter(index => {
+                const cents = getAmount(entries[index]);
+                return cents >= threshold && cents % multiple === 0;
+            });
+            if (lines.length === 0) return;
+
+            const largest = lines.reduce((max, index) =>
+                getAmount(entries[index]) > getAmount(entries[max]) ? index : max);
+            const entry = entries[largest];
+
+            findings.push({
+                type: 'ROUND_AMOUNT',
+                message: `Montant rond de ${formatCents(getAmount(entry))} € sur le compte ${entry.CompteNum || '?'}`,
+                entry: entry.EcritureNum || `Ligne ${largest + 1}`,
+                lines
+            });
+        });
+
+        return findings;
+    }
+
+    // =====================================================
+    // DATES
+    // =====================================================
+
+    /**
+     * Écritures dated on a Saturday, a Sunday or a public holiday
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { holidays: string[] (extra YYYYMMDD days off) }
+     * @returns {Array} Findings
+     */
+    function findUnusualDates(entries, options = {}) {
+        const extraHolidays = new Set(options.holidays || []);
+        const holidaysByYear = new Map();
+        const findings = [];
+
+        groupByEcriture(entries).forEach(group => {
+            const first = entries[group[0]];
+            if (AUDIT_CONFIG.DATE_EXCLUDED_JOURNALS.includes(first.JournalCode)) return;
+
+            const date = parseDate(first.EcritureDate);
+            if (!date) return;
+
+            const year = date.getUTCFullYear();
+            if (!holidaysByYear.has(year)) {
+                holidaysByYear.set(year, getPublicHolidays(year));
+            }
+
+            const holiday = holidaysByYear.get(year)[first.EcritureDate.substr(4, 4)] ||
+                            (extraHolidays.has(first.EcritureDate) ? 'Jour non travaillé' : null);
+            const day = date.getUTCDay();
+
+            if (holiday) {
+                findings.push({
+                    type: 'HOLIDAY_ENTRY',
+                    message: `Écriture du ${formatDate(first.EcritureDate)} (${holiday})`,
+                    entry: first.EcritureNum,
+                    lines: group
+                });
+            } else if (day === 0 || day === 6) {
+                findings.push({
+                    type: 'WEEKEND_ENTRY',
+                    message: `Écriture du ${day === 0 ? 'dimanche' : 'samedi'} ${formatDate(first.EcritureDate)}`,
+                    entry: first.EcritureNum,
+                    lines: group
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Écritures validated more than lateDays after their date
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { lateDays }
+     * @returns {Array} Findings
+     */
+    function findLateValidations(entries, options = {}) {
+        const maxDays = options.lateDays || AUDIT_CONFIG.LATE_VALIDATION_DAYS;
+        const findings = [];
+
+        groupByEcriture(entries).forEach(group => {
+            const first = entries[group[0]];
+            const date = parseDate(first.EcritureDate);
+            const validDate = parseDate(first.ValidDate);
+            if (!date || !validDate) return;
+
+            const days = Math.round((validDate - date) / MS_PER_DAY);
+            if (days > maxDays) {
+                findings.push({
+                    type: 'LATE_VALIDATION',
+                    message: `Écriture du ${formatDate(first.EcritureDate)} validée le ${formatDate(first.ValidDate)} (${days} jours après)`,
+                    entry: first.EcritureNum,
+                    lines: group
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Écritures of the closed fiscal year validated after the closing
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { closingDate, lockDate } (YYYYMMDD); nothing is
+     *        checked without closingDate
+     * @returns {Array} Findings
+     */
+    function findPostClosingEntries(entries, options = {}) {
+        if (!options.closingDate) return [];
+
+        const closingDate = options.closingDate;
+        const lockDate = options.lockDate || closingDate;
+        const findings = [];
+
+        groupByEcriture(entries).forEach(group => {
+            const first = entries[group[0]];
+            const validDate = first.ValidDate || '';
+
+            if (first.EcritureDate && first.EcritureDate <= closingDate && validDate > lockDate) {
+                findings.push({
+                    type: 'POST_CLOSING_ENTRY',
+                    message: `Écriture du ${formatDate(first.EcritureDate)} validée le ${formatDate(validDate)}, après la clôture du ${formatDate(lockDate)}`,
+                    entry: first.EcritureNum,
+                    lines: group
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * French public holidays of a year
+     * @param {number} year - Calendar year
+     * @returns {Object} { MMDD: label }
+     */
+    function getPublicHolidays(year) {
+        const holidays = {};
+
+        AUDIT_CONFIG.HOLIDAYS.forEach(day => {
+            holidays[day] = 'Jour férié';
+        });
+
+        const easter = getEasterSunday(year);
+        Object.entries(AUDIT_CONFIG.EASTER_HOLIDAYS).forEach(([offset, label]) => {
+            const date = new Date(easter.getTime() + parseInt(offset, 10) * MS_PER_DAY);
+            const key = String(date.getUTCMonth() + 1).padStart(2, '0') + String(date.getUTCDate()).padStart(2, '0');
+            holidays[key] = label;
+        });
+
+        return holidays;
+    }
+
+    /**
+     * Easter Sunday (Gregorian calendar, Meeus/Jones/Butcher algorithm)
+     */
+    function getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    /**
+     * Line amount in cents, whichever side it is on
+     */
+    function getAmount(entry) {
+        return Math.abs(toCents(entry.Debit) - toCents(entry.Credit));
+    }
+
+    /**
+     * Line indexes per écriture (JournalCode + EcritureNum)
+     */
+    function groupByEcriture(entries) {
+        const groups = new Map();
+
+        entries.forEach((entry, index) => {
+            const key = `${entry.JournalCode || ''}|${entry.EcritureNum || ''}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(index);
+        });
+
+        return groups;
+    }
+
+    function parseDate(value) {
+        if (!/^\d{8}$/.test(value || '')) return null;
+        return new Date(Date.UTC(
+            parseInt(value.substr(0, 4), 10),
+            parseInt(value.substr(4, 2), 10) - 1,
+            parseInt(value.substr(6, 2), 10)
+        ));
+    }
+
+    function formatDate(value) {
+        return `${value.substr(6, 2)}/${value.substr(4, 2)}/${value.substr(0, 4)}`;
+    }
+
+    function formatPercent(ratio) {
+        return (ratio * 100).toFixed(1).replace('.', ',') + ' %';
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECAudit = {
+        // Full report
+        runAudit,
+
+        // Individual tests
+        getBenfordAnalysis,
+        findRoundAmounts,
+        findUnusualDates,
+        findLateValidations,
+        findPostClosingEntries,
+
+        // Helpers
+        getPublicHolidays,
+
+        // Configuration
+        config: AUDIT_CONFIG
+    };
+
+    console.log('✅ FEC Audit Module v3.0 loaded');
+})();
@@ -0,0 +1,399 @@
+/**
+ * ========================================
+ * NUMMA - YEAR-END CLOSING MODULE v3.0
+ * ========================================
+ * Fiscal year closing and opening entries (à-nouveaux)
+ *
+ * Features:
+ * - Result of the fiscal year from classes 6 and 7 (profit on 120, loss on 129)
+ * - Opening journal (AN) for the next fiscal year, carrying forward
+ *   balance-sheet accounts (classes 1 to 5)
+ * - Third-party accounts carried line by line with their lettering state
+ *   (open items and partial letterings), other accounts as one balance line
+ * - Preview (dry-run without side effects), apply and revert
+ *
+ * Entries are never modified in place: apply / revert return a new array.
+ *
+ * No écriture clearing classes 6 and 7 into 120 / 129 is posted: the FEC
+ * excludes the entries that close income and expense accounts (BOI-CF-IOR-60-40-20),
+ * so the result only appears in the à-nouveaux. Reports restart classes 6
+ * and 7 at each fiscal year (FECModule.getPeriodScope).
+ *
+ * DEPENDENCIES: fec-module.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🔒 Loading Closing Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents, formatCents } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const CLOSING_CONFIG = {
+        JOURNAL_CODE: 'AN',
+        JOURNAL_LIB: 'À nouveau',
+        ECRITURE_NUM: '1',
+
+        RESULT_ACCOUNTS: {
+            profit: { num: '120000', lib: 'Résultat de l\'exercice (bénéfice)' },
+            loss: { num: '129000', lib: 'Résultat de l\'exercice (perte)' }
+        },
+
+        // Results of earlier fiscal years closed without à-nouveaux
+        RETAINED_ACCOUNTS: {
+            profit: { num: '110000', lib: 'Report à nouveau (solde créditeur)' },
+            loss: { num: '119000', lib: 'Report à nouveau (solde débiteur)' }
+        },
+
+        // Carried forward line by line, with their lettering
+        DETAILED_ACCOUNTS: ['40', '41'],
+
+        // Classes carried forward (balance sheet)
+        BALANCE_SHEET_CLASSES: ['1', '2', '3', '4', '5']
+    };
+
+    // =====================================================
+    // PREVIEW (DRY-RUN)
+    // =====================================================
+
+    /**
+     * Compute the closing of a fiscal year without changing anything
+     * @param {Array} entries - FEC entries (the fiscal year and possibly others)
+     * @param {Object} options - {
+     *     from: 'YYYYMMDD', to: 'YYYYMMDD' (fiscal year bounds, required),
+     *     openingDate: 'YYYYMMDD' (defaults to the day after `to`),
+     *     ecritureNum: string
+     * }
+     * @returns {Object} {
+     *     fiscalYear: { from, to }, openingDate, result, resultAccount,
+     *     openingEntries, totals: { debit, credit }, balanced, warnings
+     * }
+     */
+    function previewClosing(entries, options = {}) {
+        const { from, to } = options;
+
+        if (!from || !to) {
+            throw new Error('Dates de début et de fin d\'exercice requises');
+        }
+        if (from > to) {
+            throw new Error('La date de début d\'exercice est postérieure à la date de clôture');
+        }
+
+        const openingDate = options.openingDate || nextDay(to);
+        const yearEntries = entries.filter(entry => {
+            const date = entry.EcritureDate || '';
+            return date >= from && date <= to;
+        });
+
+        const warnings = [];
+
+        if (yearEntries.length === 0) {
+            throw new Error('Aucune écriture sur l\'exercice');
+        }
+
+        // Opening of the fiscal year (its à-nouveaux, or the earlier balance-sheet
+        // movements when it has none) and its movements
+        const { classify } = window.FECModule.getPeriodScope(entries, { from, to, fiscalYearStart: from.substr(4, 4) });
+        const scopedEntries = [];
+        let priorCents = 0;
+        entries.forEach(entry => {
+            const scope = classify(entry);
+            if (scope === 'priorResult') {
+                priorCents += toCents(entry.Credit) - toCents(entry.Debit);
+            } else if (scope) {
+                scopedEntries.push(entry);
+            }
+        });
+
+        const drafts = yearEntries.filter(entry => !entry.ValidDate || entry.ValidDate.trim() === '').length;
+        if (drafts > 0) {
+            warnings.push(`${drafts} écriture(s) de l'exercice non validée(s) (brouillard)`);
+        }
+
+        const existing = entries.filter(entry =>
+            entry.JournalCode === CLOSING_CONFIG.JOURNAL_CODE && entry.EcritureDate === openingDate
+        ).length;
+        if (existing > 0) {
+            warnings.push(`${existing} ligne(s) d'à-nouveaux déjà présente(s) au ${openingDate}: la clôture sera refusée`);
+        }
+
+        // Result: classes 6 and 7
+        let resultCents = 0;
+        scopedEntries.forEach(entry => {
+            const accountClass = (entry.CompteNum || '').charAt(0);
+            if (accountClass === '6' || accountClass === '7') {
+                resultCents += toCents(entry.Credit) - toCents(entry.Debit);
+            }
+        });
+
+        const lines = buildOpeningLines(scopedEntries);
+
+        if (priorCents !== 0) {
+            const retained = priorCents > 0 ? CLOSING_CONFIG.RETAINED_ACCOUNTS.profit : CLOSING_CONFIG.RETAINED_ACCOUNTS.loss;
+            lines.push({
+                CompteNum: retained.num,
+                CompteLib: retained.lib,
+                EcritureLib: 'Résultats antérieurs non reportés',
+                cents: -priorCents
+            });
+        }
+
+        const resultAccount = resultCents >= 0 ? CLOSING_CONFIG.RESULT_ACCOUNTS.profit : CLOSING_CONFIG.RESULT_ACCOUNTS.loss;
+        if (resultCents !== 0) {
+            lines.push({
+                CompteNum: resultAccount.num,
+                CompteLib: resultAccount.lib,
+                PieceRef: `CLOT${to.substr(0, 4)}`,
+                EcritureLib: resultCents > 0 ? 'Bénéfice de l\'exercice' : 'Perte de l\'exercice',
+                cents: -resultCents
+            });
+        }
+
+        const ecritureNum = options.ecritureNum || CLOSING_CONFIG.ECRITURE_NUM;
+        const openingEntries = lines.map(line => createOpeningEntry(line, openingDate, ecritureNum));
+
+        const totals = openingEntries.reduce((sum, entry) => ({
+            debit: sum.debit + toCents(entry.Debit),
+            credit: sum.credit + toCents(entry.Credit)
+        }), { debit: 0, credit: 0 });
+
+        openingEntries.forEach(entry => {
+            window.FECModule.validateEntry(entry).errors.forEach(error => {
+                warnings.push(`À-nouveau ${entry.CompteNum}: ${error}`);
+            });
+        });
+
+        const balanced = totals.debit === totals.credit;
+        if (!balanced) {
+            warnings.push(`À-nouveaux déséquilibrés: Débit ${formatCents(totals.debit)} ≠ Crédit ${formatCents(totals.credit)} (exercice déséquilibré)`);
+        }
+
+        return {
+            fiscalYear: { from, to },
+            openingDate,
+            ecritureNum,
+            result: resultCents / 100,
+            resultAccount: resultAccount.num,
+            openingEntries,
+            totals: { debit: totals.debit / 100, credit: totals.credit / 100 },
+            balanced,
+            warnings
+        };
+    }
+
+    /**
+     * Balance-sheet lines to carry forward (cents: debit positive)
+     */
+    function buildOpeningLines(yearEntries) {
+        const balances = new Map();
+        const detailed = new Map();
+
+        yearEntries.forEach(entry => {
+            const account = (entry.CompteNum || '').trim();
+            if (!CLOSING_CONFIG.BALANCE_SHEET_CLASSES.includes(account.charAt(0))) return;
+
+            const aux = (entry.CompAuxNum || '').trim();
+            const key = `${account}|${aux}`;
+            const cents = toCents(entry.Debit) - toCents(entry.Credit);
+
+            if (CLOSING_CONFIG.DETAILED_ACCOUNTS.some(root => account.startsWith(root))) {
+                if (!detailed.has(key)) {
+                    detailed.set(key, []);
+                }
+                detailed.get(key).push({ entry, cents });
+                return;
+            }
+
+            if (!balances.has(key)) {
+                balances.set(key, { entry, cents: 0 });
+            }
+            balances.get(key).cents += cents;
+        });
+
+        const lines = [];
+
+        balances.forEach(({ entry, cents }) => {
+            if (cents === 0) return;
+            lines.push({
+                CompteNum: entry.CompteNum,
+                CompteLib: entry.CompteLib,
+                CompAuxNum: entry.CompAuxNum,
+                CompAuxLib: entry.CompAuxLib,
+                PieceRef: 'AN',
+                EcritureLib: 'À nouveau',
+                cents
+            });
+        });
+
+        detailed.forEach(items => {
+            lines.push(...getOpenItems(items));
+        });
+
+        return lines.sort((a, b) =>
+            a.CompteNum.localeCompare(b.CompteNum) || (a.CompAuxNum || '').localeCompare(b.CompAuxNum || '')
+        );
+    }
+
+    /**
+     * Open items of a third-party account: unlettered lines and lines of
+     * lettering codes that do not net to zero (partial lettering keeps its code)
+     */
+    function getOpenItems(items) {
+        const byCode = new Map();
+        items.forEach(item => {
+            const code = (item.entry.EcritureLet || '').trim();
+            if (!code) return;
+            byCode.set(code, (byCode.get(code) || 0) + item.cents);
+        });
+
+        return items
+            .filter(item => {
+                const code = (item.entry.EcritureLet || '').trim();
+                return item.cents !== 0 && (!code || byCode.get(code) !== 0);
+            })
+            .map(({ entry, cents }) => ({
+                CompteNum: entry.CompteNum,
+                CompteLib: entry.CompteLib,
+                CompAuxNum: entry.CompAuxNum,
+                CompAuxLib: entry.CompAuxLib,
+                PieceRef: entry.PieceRef,
+                PieceDate: entry.PieceDate,
+                EcritureLib: entry.EcritureLib,
+                EcritureLet: entry.EcritureLet,
+                DateLet: entry.DateLet,
+                Montantdevise: entry.Montantdevise,
+                Idevise: entry.Idevise,
+                cents
+            }));
+    }
+
+    function createOpeningEntry(line, openingDate, ecritureNum) {
+        return {
+            JournalCode: CLOSING_CONFIG.JOURNAL_CODE,
+            JournalLib: CLOSING_CONFIG.JOURNAL_LIB,
+            EcritureNum: ecritureNum,
+            EcritureDate: openingDate,
+            CompteNum: line.CompteNum,
+            CompteLib: line.CompteLib || '',
+            CompAuxNum: line.CompAuxNum || '',
+            CompAuxLib: line.CompAuxLib || '',
+            PieceRef: line.PieceRef || 'AN',
+            PieceDate: line.PieceDate || openingDate,
+            EcritureLib: line.EcritureLib || 'À nouveau',
+            Debit: line.cents > 0 ? formatCents(line.cents) : '0.00',
+            Credit: line.cents < 0 ? formatCents(-line.cents) : '0.00',
+            EcritureLet: (line.EcritureLet || '').trim(),
+            DateLet: (line.EcritureLet || '').trim() ? (line.DateLet || '') : '',
+            ValidDate: '',
+            Montantdevise: line.Montantdevise || '',
+            Idevise: line.Idevise || ''
+        };
+    }
+
+    // =====================================================
+    // APPLY / REVERT
+    // =====================================================
+
+    /**
+     * Append the previewed opening entries
+     * @param {Array} entries - FEC entries
+     * @param {Object} preview - Result of previewClosing()
+     * @returns {Object} { entries: Array, closing: { journal, ecritureNum, openingDate, count, result } }
+     */
+    function applyClosing(entries, preview) {
+        if (!preview.balanced) {
+            throw new Error('Clôture impossible: les à-nouveaux sont déséquilibrés');
+        }
+
+        // Whatever its number, a second set of à-nouveaux would double the balances
+        const existing = entries.some(entry =>
+            entry.JournalCode === CLOSING_CONFIG.JOURNAL_CODE &&
+            entry.EcritureDate === preview.openingDate
+        );
+        if (existing) {
+            throw new Error(`Des à-nouveaux existent déjà au ${preview.openingDate}: annulez-les avant de clôturer à nouveau`);
+        }
+
+        console.log(`✅ Clôture: ${preview.openingEntries.length} ligne(s) d'à-nouveaux générée(s)`);
+
+        return {
+            entries: entries.concat(preview.openingEntries),
+            closing: {
+                journal: CLOSING_CONFIG.JOURNAL_CODE,
+                ecritureNum: preview.ecritureNum,
+                openingDate: preview.openingDate,
+                fiscalYear: preview.fiscalYear,
+                count: preview.openingEntries.length,
+                result: preview.result
+            }
+        };
+    }
+
+    /**
+     * Remove generated opening entries, as long as none has been validated
+     * @param {Array} entries - FEC entries
+     * @param {Object} closing - `closing` returned by applyClosing()
+     * @returns {Object} { entries: Array, count: number }
+     */
+    function revertClosing(entries, closing) {
+        const isGenerated = entry =>
+            entry.JournalCode === closing.journal &&
+            entry.EcritureNum === closing.ecritureNum &&
+            entry.EcritureDate === closing.openingDate;
+
+        const generated = entries.filter(isGenerated);
+
+        if (generated.some(entry => entry.ValidDate && entry.ValidDate.trim() !== '')) {
+            throw new Error('Annulation impossible: des à-nouveaux ont été validés (intangibles)');
+        }
+
+        console.log(`✅ Clôture annulée: ${generated.length} ligne(s) supprimée(s)`);
+
+        return {
+            entries: entries.filter(entry => !isGenerated(entry)),
+            count: generated.length
+        };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    /**
+     * Day after a YYYYMMDD date
+     */
+    function nextDay(date) {
+        const d = new Date(Date.UTC(
+            parseInt(date.substr(0, 4), 10),
+            parseInt(date.substr(4, 2), 10) - 1,
+            parseInt(date.substr(6, 2), 10) + 1
+        ));
+        return d.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECClosing = {
+        // Closing
+        previewClosing,
+        applyClosing,
+        revertClosing,
+
+        // Configuration
+        config: CLOSING_CONFIG
+    };
+
+    console.log('✅ Closing Module v3.0 loaded');
+})();
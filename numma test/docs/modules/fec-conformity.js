@@ -0,0 +1,430 @@
+/**
+ * ========================================
+ * NUMMA - FEC CONFORMITY MODULE v3.0
+ * ========================================
+ * DGFiP conformity report for FEC files, modeled on the checks of the
+ * administration's "Test Compta Demat" tool
+ *
+ * Features:
+ * - Mandatory file name <SIREN>FEC<AAAAMMJJ> (closing date)
+ * - Encoding (ISO-8859-1, no BOM) and field separator
+ * - Header field names and order
+ * - Exactly 18 fields on every line (21 / 22 for cash-basis regimes)
+ * - Date validity (EcritureDate, PieceDate, ValidDate, DateLet, DateRglt)
+ * - Numeric amounts (Debit / Credit or Montant / Sens)
+ * - Accounting checks of validateFECCompliance on the parsed entries
+ *
+ * DEPENDENCIES: fec-module.js, security.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🏛️ Loading FEC Conformity Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined' || typeof window.isValidSIREN === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js and security.js required');
+        return;
+    }
+
+    const FEC_CONFIG = window.FECModule.config;
+    const { isValidFECDate } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const CONFORMITY_CONFIG = {
+        CHECKS: {
+            FILE_NAME: 'Nom du fichier',
+            ENCODING: 'Encodage',
+            SEPARATOR: 'Séparateur de zones',
+            HEADER: 'Noms et ordre des zones',
+            FIELD_COUNT: 'Nombre de zones par ligne',
+            DATES: 'Validité des dates',
+            AMOUNTS: 'Montants',
+            COMPLIANCE: 'Contrôles comptables'
+        },
+        // <SIREN>FEC<AAAAMMJJ>, optional extension
+        FILE_NAME_PATTERN: /^(\d{9})FEC(\d{8})(\.[A-Za-z0-9]+)?$/,
+        DEFAULT_EXTENSION: 'txt',
+        // Mandatory dates, then dates checked only when filled
+        REQUIRED_DATES: ['EcritureDate', 'PieceDate', 'ValidDate'],
+        OPTIONAL_DATES: ['DateLet', 'DateRglt'],
+        AMOUNT_FORMAT: /^-?\d+([.,]\d+)?$/,
+        // Details listed per check; the rest is counted
+        MAX_DETAILS: 100
+    };
+
+    // =====================================================
+    // FILE NAME
+    // =====================================================
+
+    /**
+     * Build the mandatory FEC file name
+     * @param {string} siren - SIREN, or SIRET (its first 9 digits are used)
+     * @param {string} closingDate - Fiscal year closing date (YYYYMMDD)
+     * @param {string} extension - File extension (default 'txt')
+     * @returns {string} <SIREN>FEC<AAAAMMJJ>.<extension>
+     */
+    function getFECFileName(siren, closingDate, extension = CONFORMITY_CONFIG.DEFAULT_EXTENSION) {
+        let cleaned = String(siren || '').replace(/\s/g, '');
+
+        if (/^\d{14}$/.test(cleaned)) {
+            if (!window.isValidSIRET(cleaned)) {
+                throw new Error(`SIRET invalide: ${siren} (14 chiffres, clé de contrôle)`);
+            }
+            cleaned = cleaned.slice(0, 9);
+        }
+
+        if (!window.isValidSIREN(cleaned)) {
+            throw new Error(`SIREN invalide: ${siren || '(vide)'} (9 chiffres, clé de contrôle)`);
+        }
+
+        if (!isValidFECDate(closingDate)) {
+            throw new Error(`Date de clôture invalide: ${closingDate || '(vide)'} (attendu: YYYYMMDD)`);
+        }
+
+        return `${cleaned}FEC${closingDate}.${extension}`;
+    }
+
+    /**
+     * Check a FEC file name
+     * @param {string} fileName - File name
+     * @param {Object} options - { siren, closingDate, lastEntryDate } (expected values, optional)
+     * @returns {Object} Check result { id, label, status, details }
+     */
+    function checkFileName(fileName, options = {}) {
+        const check = createCheck('FILE_NAME');
+
+        if (!fileName) {
+            return addDetail(check, 'warning', 'Nom de fichier non contrôlé');
+        }
+
+        const match = CONFORMITY_CONFIG.FILE_NAME_PATTERN.exec(fileName);
+        if (!match) {
+            return addDetail(check, 'error', `"${fileName}" ne respecte pas le format <SIREN>FEC<AAAAMMJJ>`);
+        }
+
+        const [, siren, closingDate] = match;
+
+        if (!window.isValidSIREN(siren)) {
+            addDetail(check, 'error', `SIREN invalide dans le nom du fichier: ${siren}`);
+        } else if (options.siren && String(options.siren).replace(/\s/g, '').slice(0, 9) !== siren) {
+            addDetail(check, 'error', `SIREN ${siren} différent de celui de l'entreprise (${options.siren})`);
+        }
+
+        if (!isValidFECDate(closingDate)) {
+            addDetail(check, 'error', `Date de clôture invalide dans le nom du fichier: ${closingDate}`);
+        } else {
+            if (options.closingDate && options.closingDate !== closingDate) {
+                addDetail(check, 'error', `Date de clôture ${closingDate} différente de la clôture de l'exercice (${options.closingDate})`);
+            }
+            if (options.lastEntryDate && options.lastEntryDate > closingDate) {
+                addDetail(check, 'warning', `Écritures postérieures à la date de clôture (dernière: ${options.lastEntryDate})`);
+            }
+        }
+
+        return check;
+    }
+
+    // =====================================================
+    // CONFORMITY REPORT
+    // =====================================================
+
+    /**
+     * Run the DGFiP conformity checks on a FEC file
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} input - FEC file (raw bytes
+     *        for the encoding check; a string skips it)
+     * @param {Object} options - {
+     *     fileName (defaults to the File name),
+     *     siren, closingDate (expected values for the file name),
+     *     regime (expected layout, see FECModule.getSchema; detected from the header when absent),
+     *     validationOptions (see validateFECCompliance)
+     * }
+     * @returns {Promise<Object>} { valid, checks: [{ id, label, status: 'ok' | 'warning' | 'error',
+     *          details: [{ status, message, line }], hiddenCount }], encoding, separator, schema, entries }
+     */
+    async function checkFECConformity(input, options = {}) {
+        const fileName = options.fileName || (input && input.name) || '';
+        const checks = [];
+
+        let text = input;
+        let encoding = null;
+
+        if (typeof input !== 'string') {
+            const bytes = input instanceof Uint8Array
+                ? input
+                : new Uint8Array(input instanceof ArrayBuffer ? input : await input.arrayBuffer());
+            const encodingCheck = checkEncoding(bytes);
+
+            encoding = encodingCheck.encoding;
+            checks.push(encodingCheck.check);
+            text = new TextDecoder(encoding === 'UTF-8' ? 'utf-8' : 'windows-1252').decode(bytes);
+        }
+
+        text = text.replace(/^\uFEFF/, '');
+        const lines = text.split(/\r?\n/)
+            .map((content, index) => ({ number: index + 1, content }))
+            .filter(line => line.content.trim() !== '');
+
+        if (lines.length === 0) {
+            throw new Error('Fichier FEC vide');
+        }
+
+        const separator = window.FECModule.detectSeparator(lines[0].content);
+        const rows = lines.map(line => ({ number: line.number, values: line.content.split(separator) }));
+        const schema = options.regime
+            ? window.FECModule.getSchema({
+                regime: options.regime,
+                amountLayout: window.FECModule.detectAmountLayout(rows[0].values)
+            })
+            : (window.FECModule.detectSchema(rows[0].values) || window.FECModule.getSchema());
+
+        checks.push(checkSeparator(lines, separator, schema));
+        checks.push(checkHeader(rows[0].values, schema));
+        checks.push(checkFieldCount(rows, schema));
+        checks.push(checkDates(rows, schema));
+        checks.push(checkAmounts(rows, schema));
+
+        const compliance = checkCompliance(text, separator, schema, options.validationOptions);
+        checks.push(compliance.check);
+
+        const lastEntryDate = compliance.entries
+            .map(entry => entry.EcritureDate)
+            .filter(isValidFECDate)
+            .reduce((last, date) => date > last ? date : last, '');
+
+        checks.unshift(checkFileName(fileName, {
+            siren: options.siren,
+            closingDate: options.closingDate,
+            lastEntryDate
+        }));
+
+        const valid = checks.every(check => check.status !== 'error');
+
+        console.log(`Conformité DGFiP: ${valid ? 'CONFORME' : 'NON CONFORME'} (${checks.filter(c => c.status === 'error').length} contrôle(s) en erreur)`);
+
+        return {
+            valid,
+            checks,
+            encoding,
+            separator,
+            schema: schema.id,
+            entries: compliance.entries
+        };
+    }
+
+    function checkEncoding(bytes) {
+        const check = createCheck('ENCODING');
+        const { encoding, bom } = window.FECModule.detectEncoding(bytes);
+
+        if (bom) {
+            addDetail(check, 'error', 'Marque d\'ordre des octets (BOM) UTF-8 en début de fichier');
+        }
+
+        if (encoding === 'UTF-8' && !bom) {
+            addDetail(check, 'error', 'Fichier encodé en UTF-8: ISO-8859-1 attendu');
+        } else if (encoding === 'windows-1252') {
+            addDetail(check, 'warning', 'Caractères Windows-1252 (octets 0x80 à 0x9F) absents de la norme ISO-8859-1');
+        }
+
+        return { check, encoding };
+    }
+
+    function checkSeparator(lines, separator, schema) {
+        const check = createCheck('SEPARATOR');
+        const separators = Object.keys(FEC_CONFIG.SEPARATORS);
+        const expected = schema.fields.length;
+
+        if (lines[0].content.split(separator).length === 1) {
+            return addDetail(check, 'error', 'Aucun séparateur autorisé (pipe ou tabulation) dans la ligne d\'en-tête', 1);
+        }
+
+        const other = separators.find(sep => sep !== separator);
+        lines.forEach(line => {
+            if (line.content.split(separator).length !== expected &&
+                line.content.split(other).length === expected) {
+                addDetail(check, 'error', `Séparateur ${FEC_CONFIG.SEPARATORS[other]} au lieu de ${FEC_CONFIG.SEPARATORS[separator]}`, line.number);
+            }
+        });
+
+        return check;
+    }
+
+    function checkHeader(header, schema) {
+        const check = createCheck('HEADER');
+        const names = header.map(name => name.trim());
+        const expected = schema.fields;
+        const lowerNames = names.map(name => name.toLowerCase());
+
+        expected.forEach(field => {
+            if (!lowerNames.includes(field.toLowerCase())) {
+                addDetail(check, 'error', `Zone obligatoire absente: ${field}`, 1);
+            }
+        });
+
+        names.forEach(name => {
+            if (!expected.some(field => field.toLowerCase() === name.toLowerCase())) {
+                addDetail(check, 'error', `Zone inconnue: ${name || '(vide)'}`, 1);
+            }
+        });
+
+        if (check.status !== 'error') {
+            names.slice(0, expected.length).forEach((name, index) => {
+                if (name.toLowerCase() !== expected[index].toLowerCase()) {
+                    addDetail(check, 'error', `Zone ${index + 1}: ${name} au lieu de ${expected[index]}`, 1);
+                } else if (name !== expected[index]) {
+                    addDetail(check, 'warning', `Zone ${index + 1}: casse différente (${name} au lieu de ${expected[index]})`, 1);
+                }
+            });
+        }
+
+        return check;
+    }
+
+    function checkFieldCount(rows, schema) {
+        const check = createCheck('FIELD_COUNT');
+        const expected = schema.fields.length;
+
+        rows.forEach(row => {
+            if (row.values.length !== expected) {
+                addDetail(check, 'error', `${row.values.length} zones au lieu de ${expected}`, row.number);
+            }
+        });
+
+        return check;
+    }
+
+    function checkDates(rows, schema) {
+        const check = createCheck('DATES');
+        const fields = schema.fields;
+        const dateFields = CONFORMITY_CONFIG.REQUIRED_DATES.concat(CONFORMITY_CONFIG.OPTIONAL_DATES)
+            .filter(field => fields.includes(field));
+
+        rows.slice(1).forEach(row => {
+            if (row.values.length !== fields.length) return;
+
+            dateFields.forEach(field => {
+                const value = row.values[fields.indexOf(field)].trim();
+
+                if (!value && CONFORMITY_CONFIG.OPTIONAL_DATES.includes(field)) return;
+
+                if (!value) {
+                    addDetail(check, 'error', `${field} manquante`, row.number);
+                } else if (!isValidFECDate(value)) {
+                    addDetail(check, 'error', `${field} invalide: ${value} (attendu: YYYYMMDD)`, row.number);
+                }
+            });
+        });
+
+        return check;
+    }
+
+    function checkAmounts(rows, schema) {
+        const check = createCheck('AMOUNTS');
+        const fields = schema.fields;
+        const amountFields = FEC_CONFIG.AMOUNT_LAYOUTS[schema.amountLayout].fields
+            .filter(field => field !== 'Sens')
+            .concat('Montantdevise');
+
+        rows.slice(1).forEach(row => {
+            if (row.values.length !== fields.length) return;
+
+            amountFields.forEach(field => {
+                const value = row.values[fields.indexOf(field)].trim();
+                if (!value && field === 'Montantdevise') return;
+
+                if (!CONFORMITY_CONFIG.AMOUNT_FORMAT.test(value)) {
+                    addDetail(check, 'error', `${field} non numérique: "${value}"`, row.number);
+                }
+            });
+
+            if (schema.amountLayout === 'MONTANT_SENS') {
+                const sens = row.values[fields.indexOf('Sens')].trim();
+                if (!FEC_CONFIG.SENS_VALUES[sens.toUpperCase()]) {
+                    addDetail(check, 'error', `Sens invalide: "${sens}" (attendu: D ou C)`, row.number);
+                }
+            }
+        });
+
+        return check;
+    }
+
+    function checkCompliance(text, separator, schema, validationOptions = {}) {
+        const check = createCheck('COMPLIANCE');
+        let entries = [];
+
+        try {
+            entries = window.FECModule.parseFECFile(text, {
+                separator,
+                schema: schema.id,
+                amountLayout: schema.amountLayout
+            });
+        } catch (error) {
+            addDetail(check, 'error', `Lecture impossible: ${error.message}`);
+            return { check, entries };
+        }
+
+        // Validated against the layout the file was read with
+        const validation = window.FECModule.validateFECCompliance(entries, {
+            ...validationOptions,
+            regime: undefined,
+            schema: schema.id
+        });
+        const labels = FEC_CONFIG.ISSUE_LABELS;
+
+        [['error', validation.errors], ['warning', validation.warnings]].forEach(([status, issues]) => {
+            const counts = {};
+            issues.forEach(issue => {
+                counts[issue.type] = (counts[issue.type] || 0) + 1;
+            });
+            Object.entries(counts).forEach(([type, count]) => {
+                addDetail(check, status, `${labels[type] || type}: ${count}`);
+            });
+        });
+
+        return { check, entries };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    function createCheck(id) {
+        return { id, label: CONFORMITY_CONFIG.CHECKS[id], status: 'ok', details: [], hiddenCount: 0 };
+    }
+
+    function addDetail(check, status, message, line = null) {
+        if (status === 'error' || check.status === 'ok') {
+            check.status = status;
+        }
+
+        if (check.details.length < CONFORMITY_CONFIG.MAX_DETAILS) {
+            check.details.push({ status, message, line });
+        } else {
+            check.hiddenCount++;
+        }
+
+        return check;
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECConformity = {
+        // Report
+        checkFECConformity,
+
+        // File name
+        getFECFileName,
+        checkFileName,
+
+        // Configuration
+        config: CONFORMITY_CONFIG
+    };
+
+    console.log('✅ FEC Conformity Module v3.0 loaded');
+})();
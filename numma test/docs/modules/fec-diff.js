@@ -0,0 +1,231 @@
+/**
+ * ========================================
+ * NUMMA - FEC DIFF MODULE v3.0
+ * ========================================
+ * Structured comparison of two FEC files or versions
+ *
+ * Features:
+ * - Lines matched per écriture (JournalCode + EcritureNum), then on
+ *   account and amounts within the écriture
+ * - Added, removed and modified lines with per-field differences
+ * - Impact of the changes on account balances
+ * - Files parsed off the main thread (FECModule.parseFECFileAsync), changes
+ *   located by their line in the file
+ *
+ * DEPENDENCIES: fec-module.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🔍 Loading FEC Diff Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents, formatCents } = window.FECModule;
+    // Fields of every layout: cash-basis fields compare as empty on standard lines
+    const FIELDS = Array.from(new Set(
+        Object.values(window.FECModule.config.SCHEMAS).flatMap(schema => schema.fields)
+    ));
+    const AMOUNT_FIELDS = ['Debit', 'Credit', 'Montantdevise'];
+
+    // =====================================================
+    // COMPARISON
+    // =====================================================
+
+    /**
+     * Compare two versions of a FEC
+     * @param {Array} before - Entries of the previous version
+     * @param {Array} after - Entries of the new version
+     * @returns {Object} {
+     *     summary: { added, removed, modified, unchanged },
+     *     added: [{ index, line, entry }], removed: [{ index, line, entry }],
+     *     modified: [{ before: { index, line, entry }, after: { index, line, entry }, changes: [{ field, before, after }] }],
+     *     balanceImpact: [{ account, label, before, after, delta }]
+     * }
+     */
+    function compareFEC(before, after) {
+        const beforeGroups = groupByEcriture(before);
+        const afterGroups = groupByEcriture(after);
+        const keys = new Set([...beforeGroups.keys(), ...afterGroups.keys()]);
+
+        const result = { added: [], removed: [], modified: [], unchanged: 0 };
+
+        keys.forEach(key => {
+            matchEcriture(beforeGroups.get(key) || [], afterGroups.get(key) || [], result);
+        });
+
+        const byIndex = (a, b) => a.index - b.index;
+        result.added.sort(byIndex);
+        result.removed.sort(byIndex);
+        result.modified.sort((a, b) => a.after.index - b.after.index);
+
+        return {
+            summary: {
+                added: result.added.length,
+                removed: result.removed.length,
+                modified: result.modified.length,
+                unchanged: result.unchanged
+            },
+            added: result.added,
+            removed: result.removed,
+            modified: result.modified,
+            balanceImpact: getBalanceImpact(before, after)
+        };
+    }
+
+    /**
+     * Compare two FEC files (any supported encoding / separator), parsed off
+     * the main thread by the import pipeline (FECModule.parseFECFileAsync)
+     * @param {File|Blob|Array} before - Previous version, or its entries
+     * @param {File|Blob} afterFile - New version
+     * @param {Object} options - { signal: AbortSignal }
+     * @returns {Promise<Object>} compareFEC() result
+     */
+    async function compareFECFiles(before, afterFile, options = {}) {
+        // One file at a time: both are held in memory for the comparison
+        const parse = file => window.FECModule.parseFECFileAsync(file, { validate: false, signal: options.signal })
+            .then(parsed => parsed.entries);
+
+        const beforeEntries = Array.isArray(before) ? before : await parse(before);
+        const afterEntries = await parse(afterFile);
+
+        return compareFEC(beforeEntries, afterEntries);
+    }
+
+    function groupByEcriture(entries) {
+        const groups = new Map();
+
+        entries.forEach((entry, index) => {
+            const key = `${entry.JournalCode || ''}|${entry.EcritureNum || ''}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            // File line when the entries were parsed, else none
+            groups.get(key).push({ index, line: entry.SourceLine || null, entry });
+        });
+
+        return groups;
+    }
+
+    /**
+     * Pair the lines of one écriture, from the strictest key to the loosest:
+     * identical lines, then same account and amounts, then same account.
+     * Lines left over are added or removed.
+     */
+    function matchEcriture(beforeLines, afterLines, result) {
+        let remainingBefore = beforeLines;
+        let remainingAfter = afterLines;
+
+        const passes = [
+            line => FIELDS.map(field => normalizeValue(field, line.entry[field])).join('|'),
+            line => ['CompteNum', 'CompAuxNum', 'Debit', 'Credit'].map(field => normalizeValue(field, line.entry[field])).join('|'),
+            line => ['CompteNum', 'CompAuxNum'].map(field => normalizeValue(field, line.entry[field])).join('|')
+        ];
+
+        passes.forEach((getKey, pass) => {
+            const pending = new Map();
+            remainingBefore.forEach(line => {
+                const key = getKey(line);
+                if (!pending.has(key)) {
+                    pending.set(key, []);
+                }
+                pending.get(key).push(line);
+            });
+
+            const matchedBefore = new Set();
+            remainingAfter = remainingAfter.filter(line => {
+                const candidates = pending.get(getKey(line));
+                if (!candidates || candidates.length === 0) return true;
+
+                const match = candidates.shift();
+                matchedBefore.add(match);
+
+                if (pass === 0) {
+                    result.unchanged++;
+                } else {
+                    result.modified.push({ before: match, after: line, changes: diffEntries(match.entry, line.entry) });
+                }
+                return false;
+            });
+
+            remainingBefore = remainingBefore.filter(line => !matchedBefore.has(line));
+        });
+
+        result.removed.push(...remainingBefore);
+        result.added.push(...remainingAfter);
+    }
+
+    /**
+     * Per-field differences between two lines
+     * @returns {Array} [{ field, before, after }]
+     */
+    function diffEntries(before, after) {
+        return FIELDS
+            .filter(field => normalizeValue(field, before[field]) !== normalizeValue(field, after[field]))
+            .map(field => ({ field, before: before[field] || '', after: after[field] || '' }));
+    }
+
+    function normalizeValue(field, value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (AMOUNT_FIELDS.includes(field)) {
+            // "120,5" and "120.50" are the same amount
+            return text === '' ? '' : String(toCents(text));
+        }
+        return text;
+    }
+
+    // =====================================================
+    // BALANCE IMPACT
+    // =====================================================
+
+    /**
+     * Account balances that differ between the two versions
+     * @returns {Array} [{ account, label, before, after, delta }] (euros, debit positive)
+     */
+    function getBalanceImpact(before, after) {
+        const balances = new Map();
+
+        const add = (entries, side) => {
+            entries.forEach(entry => {
+                const account = (entry.CompteNum || '').trim();
+                if (!account) return;
+
+                if (!balances.has(account)) {
+                    balances.set(account, { account, label: entry.CompteLib || '', before: 0, after: 0 });
+                }
+                balances.get(account)[side] += toCents(entry.Debit) - toCents(entry.Credit);
+            });
+        };
+
+        add(before, 'before');
+        add(after, 'after');
+
+        return Array.from(balances.values())
+            .filter(balance => balance.before !== balance.after)
+            .sort((a, b) => a.account.localeCompare(b.account))
+            .map(balance => ({
+                account: balance.account,
+                label: balance.label,
+                before: parseFloat(formatCents(balance.before)),
+                after: parseFloat(formatCents(balance.after)),
+                delta: parseFloat(formatCents(balance.after - balance.before))
+            }));
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECDiff = {
+        compareFEC,
+        compareFECFiles,
+        diffEntries
+    };
+
+    console.log('✅ FEC Diff Module v3.0 loaded');
+})();
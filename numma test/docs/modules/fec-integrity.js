@@ -0,0 +1,244 @@
+/**
+ * ========================================
+ * NUMMA - FEC INTEGRITY MODULE v3.0
+ * ========================================
+ * Hash chain over validated FEC entries (intangibility evidence)
+ *
+ * Features:
+ * - Every line with a ValidDate sealed once, in validation order
+ * - Each link hashes the line and the previous link (SHA-256, WebCrypto)
+ * - Append-only: sealing never rewrites existing links
+ * - Verification stops at the first broken link and names the line
+ *
+ * A line is identified by JournalCode, EcritureNum and its rank within
+ * the écriture, so the chain survives reordering and removed drafts.
+ * Lettering (EcritureLet, DateLet) is done after validation and is not
+ * sealed.
+ * The chain is a plain object kept apart from the entries; its head hash
+ * is the value to record outside the application.
+ *
+ * DEPENDENCIES: fec-module.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🔒 Loading FEC Integrity Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents, formatCents } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const INTEGRITY_CONFIG = {
+        ALGORITHM: 'SHA-256',
+        GENESIS_HASH: '0'.repeat(64),     // Previous hash of the first link
+        // Every field of every layout, in a fixed order, but the lettering
+        FIELDS: Array.from(new Set(
+            Object.values(window.FECModule.config.SCHEMAS).flatMap(schema => schema.fields)
+        )).filter(field => !['EcritureLet', 'DateLet'].includes(field)),
+        // "120,5" and "120.50" hash the same
+        AMOUNT_FIELDS: ['Debit', 'Credit', 'Montantdevise'],
+        BREAK_LABELS: {
+            MODIFIED: 'Ligne modifiée depuis son scellement',
+            MISSING: 'Ligne scellée introuvable'
+        }
+    };
+
+    // =====================================================
+    // SEALING
+    // =====================================================
+
+    /**
+     * Empty chain
+     * @returns {Object} { algorithm, links: [] }
+     */
+    function createChain() {
+        return { algorithm: INTEGRITY_CONFIG.ALGORITHM, links: [] };
+    }
+
+    /**
+     * Append the validated lines that are not sealed yet
+     * @param {Array} entries - FEC entries
+     * @param {Object} chain - Current chain (createChain() when null)
+     * @param {Object} options - { sealedAt: ISO date (now by default) }
+     * @returns {Promise<Object>} { chain (new object), sealed: number }
+     */
+    async function sealEntries(entries, chain = null, options = {}) {
+        const current = chain || createChain();
+        const sealedRefs = new Set(current.links.map(link => link.ref));
+        const sealedAt = options.sealedAt || new Date().toISOString();
+
+        // Validation order; lines validated the same day keep the file order
+        const pending = getEntryRefs(entries)
+            .filter(({ entry, ref }) => isValidated(entry) && !sealedRefs.has(ref))
+            .sort((a, b) => a.entry.ValidDate.localeCompare(b.entry.ValidDate) || a.index - b.index);
+
+        const links = current.links.slice();
+        let previousHash = getHead(current);
+
+        for (const { entry, ref } of pending) {
+            const hash = await hashEntry(entry, previousHash);
+            links.push({ ref, hash, sealedAt });
+            previousHash = hash;
+        }
+
+        if (pending.length > 0) {
+            console.log(`✅ Intégrité: ${pending.length} ligne(s) scellée(s)`);
+        }
+
+        return {
+            chain: { algorithm: current.algorithm, links },
+            sealed: pending.length
+        };
+    }
+
+    /**
+     * SHA-256 of a line chained to the previous link
+     * @param {Object} entry - FEC entry
+     * @param {string} previousHash - Hex hash of the previous link
+     * @returns {Promise<string>} Hex hash
+     */
+    async function hashEntry(entry, previousHash) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('WebCrypto indisponible: la page doit être servie en HTTPS');
+        }
+
+        const values = INTEGRITY_CONFIG.FIELDS.map(field => normalizeValue(field, entry[field]));
+        const payload = new TextEncoder().encode(`${previousHash}\n${JSON.stringify(values)}`);
+        const digest = await window.crypto.subtle.digest(INTEGRITY_CONFIG.ALGORITHM, payload);
+
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // =====================================================
+    // VERIFICATION
+    // =====================================================
+
+    /**
+     * Recompute the chain against the current entries
+     * @param {Array} entries - FEC entries
+     * @param {Object} chain - Chain to verify
+     * @returns {Promise<Object>} {
+     *     valid: boolean, verified: number (links before the break), total: number,
+     *     head: string (last link hash),
+     *     brokenLink: null | { position (1-based), ref, index (entry index, -1 when missing),
+     *                          reason: 'MODIFIED' | 'MISSING', message },
+     *     unsealed: number[] (indexes of validated lines outside the chain)
+     * }
+     */
+    async function verifyChain(entries, chain) {
+        const links = chain ? chain.links : [];
+        const lines = getEntryRefs(entries);
+        const byRef = new Map(lines.map(line => [line.ref, line]));
+        const chainedRefs = new Set(links.map(link => link.ref));
+
+        let previousHash = INTEGRITY_CONFIG.GENESIS_HASH;
+        let brokenLink = null;
+        let verified = 0;
+
+        for (let i = 0; i < links.length; i++) {
+            const link = links[i];
+            const line = byRef.get(link.ref);
+
+            if (!line) {
+                brokenLink = createBreak(i, link, -1, 'MISSING');
+                break;
+            }
+            if (await hashEntry(line.entry, previousHash) !== link.hash) {
+                brokenLink = createBreak(i, link, line.index, 'MODIFIED');
+                break;
+            }
+
+            previousHash = link.hash;
+            verified++;
+        }
+
+        return {
+            valid: brokenLink === null,
+            verified,
+            total: links.length,
+            head: getHead(chain),
+            brokenLink,
+            unsealed: lines
+                .filter(({ entry, ref }) => isValidated(entry) && !chainedRefs.has(ref))
+                .map(line => line.index)
+        };
+    }
+
+    function createBreak(position, link, index, reason) {
+        return {
+            position: position + 1,
+            ref: link.ref,
+            index,
+            reason,
+            message: `Maillon ${position + 1} (${formatRef(link.ref)}): ${INTEGRITY_CONFIG.BREAK_LABELS[reason]}`
+        };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    /**
+     * Stable reference of each line: JournalCode|EcritureNum|rank in the écriture
+     */
+    function getEntryRefs(entries) {
+        const ranks = new Map();
+
+        return entries.map((entry, index) => {
+            const key = `${(entry.JournalCode || '').trim()}|${(entry.EcritureNum || '').trim()}`;
+            const rank = (ranks.get(key) || 0) + 1;
+            ranks.set(key, rank);
+
+            return { index, entry, ref: `${key}|${rank}` };
+        });
+    }
+
+    function formatRef(ref) {
+        const [journal, num, rank] = ref.split('|');
+        return `${journal} ${num}, ligne ${rank}`;
+    }
+
+    function getHead(chain) {
+        const links = chain ? chain.links : [];
+        return links.length > 0 ? links[links.length - 1].hash : INTEGRITY_CONFIG.GENESIS_HASH;
+    }
+
+    function isValidated(entry) {
+        return Boolean(entry.ValidDate && String(entry.ValidDate).trim() !== '');
+    }
+
+    function normalizeValue(field, value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (INTEGRITY_CONFIG.AMOUNT_FIELDS.includes(field) && text !== '') {
+            return formatCents(toCents(text));
+        }
+        return text;
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECIntegrity = {
+        createChain,
+        sealEntries,
+        verifyChain,
+        hashEntry,
+
+        // Configuration
+        config: INTEGRITY_CONFIG
+    };
+
+    console.log('✅ FEC Integrity Module v3.0 loaded');
+})();
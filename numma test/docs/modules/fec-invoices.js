@@ -0,0 +1,415 @@
+/**
+ * ========================================
+ * NUMMA - FEC INVOICES MODULE v3.0
+ * ========================================
+ * Sales journal (VE) and settlement (BQ) écritures generated from the
+ * invoices of numma-invoices.js
+ *
+ * Features:
+ * - One VE écriture per issued invoice: client 411 with an auxiliary
+ *   account per client, 706/707 per invoice line, 44571 per VAT rate
+ * - One BQ écriture per paid invoice: bank 512 against the client 411
+ * - Configurable account mapping (accounts, journals, client auxiliaries)
+ * - Every generated line carries the InvoiceId of its invoice; invoices
+ *   already posted are skipped
+ * - Batch preview checked with validateFECCompliance before posting
+ *
+ * Invoices are InvoiceAPI objects: { id, number, client_name, invoice_date,
+ * status, payment_date, payment_method, items: [{ description, quantity,
+ * unit_price, vat_rate, type }] }. An item of type 'goods' goes to 707,
+ * any other to the default sales account; item.account forces the account.
+ * InvoiceId is not a FEC field: exports leave it out.
+ *
+ * DEPENDENCIES: fec-module.js, fec-saisie.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🧾 Loading FEC Invoices Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined' || typeof window.FECSaisie === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js and fec-saisie.js required');
+        return;
+    }
+
+    const { toCents, formatCents } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const INVOICES_CONFIG = {
+        // Invoices that carry a sale; drafts and cancelled invoices do not
+        ISSUED_STATUSES: ['sent', 'overdue', 'paid'],
+        PAID_STATUS: 'paid',
+
+        STATUS_LABELS: {
+            draft: 'Brouillon',
+            cancelled: 'Annulée'
+        },
+
+        // Default account mapping, overridden by getMapping()
+        MAPPING: {
+            SALES_JOURNAL: 'VE',
+            BANK_JOURNAL: 'BQ',
+            CLIENT_ACCOUNT: { CompteNum: '411000', CompteLib: 'Clients' },
+            // Auxiliary account: prefix + client name, unless set per client name
+            CLIENT_AUX_PREFIX: 'C',
+            CLIENT_AUX_LENGTH: 8,
+            CLIENT_AUX_ACCOUNTS: {},
+            SALES_ACCOUNTS: {
+                service: { CompteNum: '706000', CompteLib: 'Prestations de services' },
+                goods: { CompteNum: '707000', CompteLib: 'Ventes de marchandises' }
+            },
+            DEFAULT_SALES_TYPE: 'service',
+            // VAT account per rate ('20', '5.5'...), VAT_ACCOUNT otherwise
+            VAT_ACCOUNT: { CompteNum: '445710', CompteLib: 'TVA collectée' },
+            VAT_ACCOUNTS: {},
+            BANK_ACCOUNT: { CompteNum: '512000', CompteLib: 'Banque' },
+            DEFAULT_PAYMENT_MODE: 'Virement'
+        }
+    };
+
+    // =====================================================
+    // MAPPING
+    // =====================================================
+
+    /**
+     * Default mapping with the saved overrides
+     * @param {Object} overrides - Partial mapping (same keys as config.MAPPING)
+     * @returns {Object} Mapping
+     */
+    function getMapping(overrides = {}) {
+        const defaults = INVOICES_CONFIG.MAPPING;
+        const custom = overrides || {};
+
+        return {
+            ...defaults,
+            ...custom,
+            CLIENT_AUX_ACCOUNTS: { ...defaults.CLIENT_AUX_ACCOUNTS, ...custom.CLIENT_AUX_ACCOUNTS },
+            SALES_ACCOUNTS: { ...defaults.SALES_ACCOUNTS, ...custom.SALES_ACCOUNTS },
+            VAT_ACCOUNTS: { ...defaults.VAT_ACCOUNTS, ...custom.VAT_ACCOUNTS }
+        };
+    }
+
+    /**
+     * Check a mapping before it is saved
+     * @param {Object} mapping - Mapping
+     * @returns {string[]} Errors (empty when valid)
+     */
+    function validateMapping(mapping) {
+        const errors = [];
+
+        if (!String(mapping.SALES_JOURNAL || '').trim() || !String(mapping.BANK_JOURNAL || '').trim()) {
+            errors.push('Journaux de ventes et de banque requis');
+        }
+
+        const accounts = {
+            'Compte client': mapping.CLIENT_ACCOUNT,
+            'Compte TVA collectée': mapping.VAT_ACCOUNT,
+            'Compte de banque': mapping.BANK_ACCOUNT,
+            ...Object.fromEntries(Object.entries(mapping.SALES_ACCOUNTS || {})
+                .map(([type, account]) => [`Compte de ventes (${type})`, account])),
+            ...Object.fromEntries(Object.entries(mapping.VAT_ACCOUNTS || {})
+                .map(([rate, account]) => [`Compte TVA ${rate}%`, account]))
+        };
+
+        Object.entries(accounts).forEach(([label, account]) => {
+            if (!account || !/^\d+$/.test(String(account.CompteNum || '').trim())) {
+                errors.push(`${label}: numéro de compte invalide`);
+            }
+        });
+
+        if (!mapping.SALES_ACCOUNTS || !mapping.SALES_ACCOUNTS[mapping.DEFAULT_SALES_TYPE]) {
+            errors.push(`Type de vente par défaut sans compte: ${mapping.DEFAULT_SALES_TYPE}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Auxiliary account of the invoice's client
+     * @returns {Object} { CompAuxNum, CompAuxLib }
+     */
+    function getClientAccount(invoice, mapping) {
+        const name = String(invoice.client_name || '').trim();
+        const assigned = mapping.CLIENT_AUX_ACCOUNTS[name];
+
+        const key = name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, '')
+            .substr(0, mapping.CLIENT_AUX_LENGTH);
+
+        return {
+            CompAuxNum: assigned || (key ? mapping.CLIENT_AUX_PREFIX + key : ''),
+            CompAuxLib: name
+        };
+    }
+
+    function getSalesAccount(item, mapping) {
+        if (item.account) {
+            return { CompteNum: String(item.account), CompteLib: '' };
+        }
+        return mapping.SALES_ACCOUNTS[item.type] || mapping.SALES_ACCOUNTS[mapping.DEFAULT_SALES_TYPE];
+    }
+
+    function getVatAccount(rate, mapping) {
+        const account = mapping.VAT_ACCOUNTS[String(rate)] || mapping.VAT_ACCOUNT;
+        return { CompteNum: account.CompteNum, CompteLib: `${account.CompteLib} ${formatRate(rate)}%` };
+    }
+
+    // =====================================================
+    // DRAFTS
+    // =====================================================
+
+    /**
+     * Saisie draft of the sale (see fec-saisie.js)
+     * @param {Object} invoice - Invoice
+     * @param {Object} mapping - Mapping (getMapping())
+     * @returns {Object} Draft
+     */
+    function createSaleDraft(invoice, mapping) {
+        const date = toFECDate(invoice.invoice_date);
+        const label = `Facture ${invoice.number} ${invoice.client_name || ''}`.trim();
+        const client = getClientAccount(invoice, mapping);
+
+        const items = invoice.items && invoice.items.length > 0
+            ? invoice.items
+            : [{ description: label, quantity: 1, unit_price: invoice.total_ht, vat_rate: invoice.vat_rate }];
+
+        // VAT computed once per rate, on the total excluding tax of that rate
+        const bases = new Map();
+        const salesLines = items.map(item => {
+            const amount = Math.round(toCents(item.unit_price || 0) * Number(item.quantity || 0));
+            const rate = Number(item.vat_rate !== undefined && item.vat_rate !== null ? item.vat_rate : invoice.vat_rate) || 0;
+            bases.set(rate, (bases.get(rate) || 0) + amount);
+
+            const account = getSalesAccount(item, mapping);
+            return {
+                CompteNum: account.CompteNum,
+                CompteLib: account.CompteLib,
+                EcritureLib: item.description || label,
+                Credit: formatCents(amount)
+            };
+        });
+
+        const vatLines = Array.from(bases.entries())
+            .filter(([rate, base]) => rate > 0 && base !== 0)
+            .map(([rate, base]) => ({
+                ...getVatAccount(rate, mapping),
+                Credit: formatCents(Math.round(base * rate / 100))
+            }));
+
+        const total = [...salesLines, ...vatLines].reduce((sum, line) => sum + toCents(line.Credit), 0);
+
+        return {
+            JournalCode: mapping.SALES_JOURNAL,
+            EcritureDate: date,
+            PieceRef: invoice.number,
+            PieceDate: date,
+            EcritureLib: label,
+            lines: [
+                {
+                    CompteNum: mapping.CLIENT_ACCOUNT.CompteNum,
+                    CompteLib: mapping.CLIENT_ACCOUNT.CompteLib,
+                    ...client,
+                    Debit: formatCents(total)
+                },
+                ...salesLines,
+                ...vatLines
+            ].filter(line => toCents(line.Debit || line.Credit) !== 0)
+        };
+    }
+
+    /**
+     * Saisie draft of the settlement of a paid invoice
+     * @param {Object} invoice - Invoice
+     * @param {Object} mapping - Mapping (getMapping())
+     * @param {number} amount - Amount settled (cents), the sale total
+     * @returns {Object} Draft
+     */
+    function createSettlementDraft(invoice, mapping, amount) {
+        const date = toFECDate(invoice.payment_date);
+        const settlement = {
+            DateRglt: date,
+            ModeRglt: invoice.payment_method || mapping.DEFAULT_PAYMENT_MODE
+        };
+
+        return {
+            JournalCode: mapping.BANK_JOURNAL,
+            EcritureDate: date,
+            PieceRef: invoice.number,
+            PieceDate: toFECDate(invoice.invoice_date),
+            EcritureLib: `Règlement ${invoice.number} ${invoice.client_name || ''}`.trim(),
+            lines: [
+                {
+                    CompteNum: mapping.BANK_ACCOUNT.CompteNum,
+                    CompteLib: mapping.BANK_ACCOUNT.CompteLib,
+                    Debit: formatCents(amount),
+                    ...settlement
+                },
+                {
+                    CompteNum: mapping.CLIENT_ACCOUNT.CompteNum,
+                    CompteLib: mapping.CLIENT_ACCOUNT.CompteLib,
+                    ...getClientAccount(invoice, mapping),
+                    Credit: formatCents(amount),
+                    ...settlement
+                }
+            ]
+        };
+    }
+
+    // =====================================================
+    // BATCHES
+    // =====================================================
+
+    /**
+     * Generate and check the écritures of a list of invoices
+     * @param {Array} invoices - Invoices (InvoiceAPI.list())
+     * @param {Array} entries - Existing FEC entries
+     * @param {Object} options - { mapping: overrides } and createEcriture /
+     *     validateFECCompliance options (regime, fiscalYear, fiscalYearStart...)
+     * @returns {Object} {
+     *     valid, ecritures: [{ invoiceId, number, kind: 'sale' | 'settlement', draft, ecriture }],
+     *     skipped: [{ invoiceId, number, kind, reason }],
+     *     entries: Array (new lines), validation: validateFECCompliance() result
+     * }
+     */
+    function previewBatch(invoices, entries, options = {}) {
+        const mapping = getMapping(options.mapping);
+        const errors = validateMapping(mapping);
+        if (errors.length > 0) {
+            throw new Error(`Paramétrage comptable: ${errors[0]}`);
+        }
+
+        const ecritures = [];
+        const skipped = [];
+        let allEntries = entries;
+
+        const addEcriture = (invoice, kind, draft) => {
+            const ecriture = window.FECSaisie.createEcriture(draft, allEntries, options);
+            ecriture.entries = ecriture.entries.map(entry => ({ ...entry, InvoiceId: String(invoice.id) }));
+
+            // Numbers follow on from the écritures generated before
+            allEntries = allEntries.concat(ecriture.entries);
+            ecritures.push({ invoiceId: invoice.id, number: invoice.number, kind, draft, ecriture });
+            return ecriture;
+        };
+
+        invoices.forEach(invoice => {
+            const skip = (kind, reason) => skipped.push({ invoiceId: invoice.id, number: invoice.number, kind, reason });
+
+            if (!INVOICES_CONFIG.ISSUED_STATUSES.includes(invoice.status)) {
+                skip('sale', INVOICES_CONFIG.STATUS_LABELS[invoice.status] || `Statut ${invoice.status}`);
+                return;
+            }
+
+            const sale = createSaleDraft(invoice, mapping);
+            const total = toCents(sale.lines[0].Debit || 0);
+
+            if (isPosted(allEntries, invoice, mapping.SALES_JOURNAL)) {
+                skip('sale', 'Déjà comptabilisée');
+            } else {
+                const ecriture = addEcriture(invoice, 'sale', sale);
+                if (invoice.total_ttc !== undefined && toCents(invoice.total_ttc) !== total) {
+                    ecriture.warnings.push(`TTC de la facture (${formatCents(toCents(invoice.total_ttc))}) différent du total des lignes (${formatCents(total)})`);
+                }
+            }
+
+            if (invoice.status !== INVOICES_CONFIG.PAID_STATUS) return;
+
+            if (!invoice.payment_date) {
+                skip('settlement', 'Date de règlement inconnue');
+            } else if (isPosted(allEntries, invoice, mapping.BANK_JOURNAL)) {
+                skip('settlement', 'Règlement déjà comptabilisé');
+            } else {
+                addEcriture(invoice, 'settlement', createSettlementDraft(invoice, mapping, total));
+            }
+        });
+
+        const newEntries = ecritures.flatMap(item => item.ecriture.entries);
+        const validation = newEntries.length > 0
+            ? window.FECModule.validateFECCompliance(newEntries, options)
+            : { valid: false, errors: [{ type: 'EMPTY_FEC', message: 'Aucune écriture à générer' }], warnings: [] };
+
+        return {
+            valid: validation.valid && ecritures.every(item => item.ecriture.valid),
+            ecritures,
+            skipped,
+            entries: newEntries,
+            validation
+        };
+    }
+
+    /**
+     * Post a previewed batch, in EcritureDate order
+     * @param {Array} entries - FEC entries
+     * @param {Object} preview - Result of previewBatch()
+     * @returns {Object} { entries: Array, count: number (écritures) }
+     */
+    function postBatch(entries, preview) {
+        if (!preview.valid) {
+            throw new Error('Lot refusé: corrigez les erreurs de la prévisualisation');
+        }
+
+        const clash = preview.entries.find(line =>
+            entries.some(entry => entry.JournalCode === line.JournalCode && entry.EcritureNum === line.EcritureNum)
+        );
+        if (clash) {
+            throw new Error(`Le numéro ${clash.EcritureNum} a été utilisé depuis la prévisualisation`);
+        }
+
+        console.log(`✅ Factures: ${preview.ecritures.length} écriture(s) générée(s)`);
+
+        return {
+            entries: window.FECSaisie.insertEntries(entries, preview.entries),
+            count: preview.ecritures.length
+        };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    /**
+     * Invoice already in the journal: generated lines carry its id,
+     * re-keyed ones its number as PieceRef
+     */
+    function isPosted(entries, invoice, journalCode) {
+        return entries.some(entry =>
+            entry.JournalCode === journalCode &&
+            (entry.InvoiceId === String(invoice.id) || entry.PieceRef === invoice.number)
+        );
+    }
+
+    function toFECDate(value) {
+        return String(value || '').slice(0, 10).replace(/-/g, '');
+    }
+
+    function formatRate(rate) {
+        return String(rate).replace('.', ',');
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECInvoices = {
+        getMapping,
+        validateMapping,
+        getClientAccount,
+        createSaleDraft,
+        createSettlementDraft,
+        previewBatch,
+        postBatch,
+
+        // Configuration
+        config: INVOICES_CONFIG
+    };
+
+    console.log('✅ FEC Invoices Module v3.0 loaded');
+})();
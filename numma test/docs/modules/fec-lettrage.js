@@ -0,0 +1,375 @@
+/**
+ * ========================================
+ * NUMMA - LETTRAGE MODULE v3.0
+ * ========================================
+ * Lettering (EcritureLet / DateLet) of third-party accounts
+ *
+ * Features:
+ * - Automatic lettering of 411/401 accounts
+ *   (by reference first, then by amount)
+ * - Manual lettering of a selection of lines
+ * - Unlettering by code
+ * - Sequential lettering codes per account (A..Z, AA..ZZ, AAA...)
+ *
+ * Entries are never modified in place: every operation returns a new
+ * entries array in which only the changed lines are copies.
+ *
+ * DEPENDENCIES: fec-module.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🔗 Loading Lettrage Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents, formatCents } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const LETTRAGE_CONFIG = {
+        // Account roots handled by the automatic lettering
+        ACCOUNT_PREFIXES: ['411', '401'],
+        // Shortest PieceRef looked up in the EcritureLib of other lines
+        MIN_REFERENCE_LENGTH: 3
+    };
+
+    // =====================================================
+    // AUTOMATIC LETTERING
+    // =====================================================
+
+    /**
+     * Propose lettering matches for unlettered lines
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { accounts: string[] (account roots) }
+     * @returns {Array} [{ account, aux, lines: number[] (indexes), amount, method: 'reference' | 'amount' }]
+     */
+    function findMatches(entries, options = {}) {
+        const prefixes = options.accounts || LETTRAGE_CONFIG.ACCOUNT_PREFIXES;
+        const groups = new Map();
+
+        entries.forEach((entry, index) => {
+            const account = entry.CompteNum || '';
+            if ((entry.EcritureLet || '').trim() !== '') return;
+            if (!prefixes.some(prefix => account.startsWith(prefix))) return;
+            if (getAmount(entry) === 0) return;
+
+            const key = getAccountKey(entry);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(index);
+        });
+
+        const matches = [];
+        groups.forEach(indexes => {
+            const used = new Set();
+            matchByReference(entries, indexes, used, matches);
+            matchByAmount(entries, indexes.filter(i => !used.has(i)), matches);
+        });
+
+        return matches;
+    }
+
+    /**
+     * Letter lines that share a reference and net to zero.
+     * A payment line refers to an invoice through the same PieceRef or by
+     * quoting the invoice PieceRef in its EcritureLib.
+     */
+    function matchByReference(entries, indexes, used, matches) {
+        const clusters = new Map();
+
+        indexes.forEach(index => {
+            const ref = normalizeReference(entries[index].PieceRef);
+            if (!ref) return;
+            if (!clusters.has(ref)) {
+                clusters.set(ref, []);
+            }
+            clusters.get(ref).push(index);
+        });
+
+        // Lines whose own PieceRef matches nobody else: look for a known
+        // reference in their label
+        const references = Array.from(clusters.keys())
+            .filter(ref => ref.length >= LETTRAGE_CONFIG.MIN_REFERENCE_LENGTH);
+
+        indexes.forEach(index => {
+            const ownRef = normalizeReference(entries[index].PieceRef);
+            if (ownRef && clusters.get(ownRef).length > 1) return;
+
+            const label = normalizeReference(entries[index].EcritureLib);
+            const ref = references.find(candidate => candidate !== ownRef && label.includes(candidate));
+            if (ref) {
+                if (ownRef) {
+                    clusters.set(ownRef, clusters.get(ownRef).filter(i => i !== index));
+                }
+                clusters.get(ref).push(index);
+            }
+        });
+
+        clusters.forEach(cluster => {
+            if (cluster.length < 2) return;
+
+            const balance = cluster.reduce((sum, i) => sum + getAmount(entries[i]), 0);
+            const hasBothSides = cluster.some(i => getAmount(entries[i]) > 0) &&
+                                 cluster.some(i => getAmount(entries[i]) < 0);
+
+            if (balance === 0 && hasBothSides) {
+                cluster.forEach(i => used.add(i));
+                matches.push(createMatch(entries, cluster, 'reference'));
+            }
+        });
+    }
+
+    /**
+     * Letter one debit line with one credit line of the same amount,
+     * oldest lines first
+     */
+    function matchByAmount(entries, indexes, matches) {
+        const byDate = indexes.slice().sort((a, b) =>
+            (entries[a].EcritureDate || '').localeCompare(entries[b].EcritureDate || '') || a - b
+        );
+
+        const openDebits = new Map();
+        byDate.forEach(index => {
+            const amount = getAmount(entries[index]);
+            if (amount > 0) {
+                if (!openDebits.has(amount)) {
+                    openDebits.set(amount, []);
+                }
+                openDebits.get(amount).push(index);
+            }
+        });
+
+        byDate.forEach(index => {
+            const amount = getAmount(entries[index]);
+            if (amount >= 0) return;
+
+            const candidates = openDebits.get(-amount);
+            if (candidates && candidates.length > 0) {
+                const debitIndex = candidates.shift();
+                matches.push(createMatch(entries, [debitIndex, index], 'amount'));
+            }
+        });
+    }
+
+    function createMatch(entries, lines, method) {
+        const first = entries[lines[0]];
+        const debit = lines.reduce((sum, i) => sum + Math.max(getAmount(entries[i]), 0), 0);
+
+        return {
+            account: first.CompteNum,
+            aux: first.CompAuxNum || '',
+            lines: lines.slice().sort((a, b) => a - b),
+            amount: formatCents(debit),
+            method
+        };
+    }
+
+    /**
+     * Run the automatic lettering and apply its matches
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { accounts: string[], date: 'YYYYMMDD' }
+     * @returns {Object} { entries: Array, matches: Array (with assigned code) }
+     */
+    function autoLetter(entries, options = {}) {
+        const matches = findMatches(entries, options);
+        return applyMatches(entries, matches, options);
+    }
+
+    /**
+     * Assign a new lettering code to each match
+     * @param {Array} entries - FEC entries
+     * @param {Array} matches - Matches from findMatches()
+     * @param {Object} options - { date: 'YYYYMMDD' } (DateLet, defaults to today)
+     * @returns {Object} { entries: Array, matches: Array (with assigned code) }
+     */
+    function applyMatches(entries, matches, options = {}) {
+        const dateLet = options.date || getToday();
+        const lastCodes = getLastCodes(entries);
+        const updated = entries.slice();
+
+        const applied = matches.map(match => {
+            const key = `${match.account}|${match.aux}`;
+            const code = nextCode(lastCodes.get(key));
+            lastCodes.set(key, code);
+
+            match.lines.forEach(index => {
+                updated[index] = { ...updated[index], EcritureLet: code, DateLet: dateLet };
+            });
+
+            return { ...match, code };
+        });
+
+        console.log(`✅ Lettrage: ${applied.length} lettrage(s) appliqué(s)`);
+
+        return { entries: updated, matches: applied };
+    }
+
+    // =====================================================
+    // MANUAL LETTERING
+    // =====================================================
+
+    /**
+     * Letter a selection of lines together
+     * @param {Array} entries - FEC entries
+     * @param {number[]} indexes - Lines to letter
+     * @param {Object} options - { date: 'YYYYMMDD' }
+     * @returns {Object} { entries: Array, code: string }
+     */
+    function letterLines(entries, indexes, options = {}) {
+        if (!indexes || indexes.length < 2) {
+            throw new Error('Sélectionnez au moins deux lignes à lettrer');
+        }
+
+        const lines = indexes.map(index => entries[index]);
+        const key = getAccountKey(lines[0]);
+
+        if (lines.some(line => getAccountKey(line) !== key)) {
+            throw new Error('Les lignes à lettrer doivent porter sur le même compte');
+        }
+
+        const alreadyLettered = lines.find(line => (line.EcritureLet || '').trim() !== '');
+        if (alreadyLettered) {
+            throw new Error(`Ligne déjà lettrée (${alreadyLettered.EcritureLet}): délettrez-la d'abord`);
+        }
+
+        const balance = lines.reduce((sum, line) => sum + getAmount(line), 0);
+        if (balance !== 0) {
+            throw new Error(`Lettrage impossible: les lignes ne sont pas soldées (écart ${formatCents(balance)})`);
+        }
+
+        const result = applyMatches(entries, [createMatch(entries, indexes, 'manual')], options);
+
+        return { entries: result.entries, code: result.matches[0].code };
+    }
+
+    /**
+     * Remove a lettering code from an account
+     * @param {Array} entries - FEC entries
+     * @param {Object} line - Any line of the lettering (gives account and code)
+     * @returns {Object} { entries: Array, count: number }
+     */
+    function unletter(entries, line) {
+        const code = (line.EcritureLet || '').trim();
+        if (!code) {
+            throw new Error('Ligne non lettrée');
+        }
+
+        const key = getAccountKey(line);
+        let count = 0;
+
+        const updated = entries.map(entry => {
+            if ((entry.EcritureLet || '').trim() === code && getAccountKey(entry) === key) {
+                count++;
+                return { ...entry, EcritureLet: '', DateLet: '' };
+            }
+            return entry;
+        });
+
+        console.log(`✅ Délettrage ${code}: ${count} ligne(s)`);
+
+        return { entries: updated, count };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    /**
+     * Signed amount in cents (debit positive, credit negative)
+     */
+    function getAmount(entry) {
+        return toCents(entry.Debit) - toCents(entry.Credit);
+    }
+
+    function getAccountKey(entry) {
+        return `${entry.CompteNum || ''}|${entry.CompAuxNum || ''}`;
+    }
+
+    function normalizeReference(value) {
+        return String(value || '').trim().toUpperCase();
+    }
+
+    /**
+     * Highest lettering code already used per account
+     */
+    function getLastCodes(entries) {
+        const lastCodes = new Map();
+
+        entries.forEach(entry => {
+            const code = (entry.EcritureLet || '').trim().toUpperCase();
+            if (!/^[A-Z]+$/.test(code)) return;
+
+            const key = getAccountKey(entry);
+            const last = lastCodes.get(key);
+            if (!last || compareCodes(code, last) > 0) {
+                lastCodes.set(key, code);
+            }
+        });
+
+        return lastCodes;
+    }
+
+    function compareCodes(a, b) {
+        return a.length - b.length || a.localeCompare(b);
+    }
+
+    /**
+     * Next lettering code: A → B, Z → AA, AZ → BA, ZZ → AAA
+     * @param {string} code - Last code used (undefined for none)
+     * @returns {string} Next code
+     */
+    function nextCode(code) {
+        if (!code) return 'A';
+
+        const chars = code.split('');
+        let i = chars.length - 1;
+
+        while (i >= 0 && chars[i] === 'Z') {
+            chars[i] = 'A';
+            i--;
+        }
+
+        if (i < 0) {
+            return 'A' + chars.join('');
+        }
+
+        chars[i] = String.fromCharCode(chars[i].charCodeAt(0) + 1);
+        return chars.join('');
+    }
+
+    function getToday() {
+        return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECLettrage = {
+        // Automatic lettering
+        findMatches,
+        autoLetter,
+        applyMatches,
+
+        // Manual lettering
+        letterLines,
+        unletter,
+
+        // Helpers
+        nextCode,
+
+        // Configuration
+        config: LETTRAGE_CONFIG
+    };
+
+    console.log('✅ Lettrage Module v3.0 loaded');
+})();
@@ -6,17 +6,21 @@
  * 
  * Features:
  * - Full FEC compliance validation
- * - Balance verification
+ * - Balance verification (écriture, journal/day, file, PieceRef)
  * - PCG (Plan Comptable Général) validation
  * - Chronological order checking
- * - ISO-8859-1 encoding support
+ * - ISO-8859-1 encoding (transliteration + byte-level Blob output)
  * - Import/Export functionality
+ * - Chunked parsing in a Web Worker (progress + cancellation)
  * 
  * French Tax Authority Requirements:
- * - Format: Pipe-delimited text file
+ * - Format: Pipe- or tab-delimited text file
  * - Encoding: ISO-8859-1 (NOT UTF-8)
- * - Fields: 18 mandatory fields per line
- * - Balance: Debit = Credit per PieceRef
+ * - Fields: 18 mandatory fields per line (21 or 22 for cash-basis
+ *   BIC / BNC / BA accounting, see FEC_CONFIG.REGIMES)
+ * - Amounts: Debit + Credit, or Montant + Sens (D / C); entries always
+ *   hold Debit / Credit
+ * - Balance: Debit = Credit per EcritureNum, per journal and day, and overall
  * - Order: Chronological by EcritureDate
  */
 
@@ -29,28 +33,83 @@
     // CONFIGURATION
     // =====================================================
 
+    // Field definitions (18 mandatory fields)
+    const STANDARD_FIELDS = [
+        'JournalCode',     // Journal code (e.g., VE, AC, BQ)
+        'JournalLib',      // Journal label
+        'EcritureNum',     // Entry number (unique)
+        'EcritureDate',    // Entry date (YYYYMMDD)
+        'CompteNum',       // Account number (PCG)
+        'CompteLib',       // Account label
+        'CompAuxNum',      // Auxiliary account number (optional)
+        'CompAuxLib',      // Auxiliary account label (optional)
+        'PieceRef',        // Document reference
+        'PieceDate',       // Document date (YYYYMMDD)
+        'EcritureLib',     // Entry description
+        'Debit',           // Debit amount
+        'Credit',          // Credit amount
+        'EcritureLet',     // Lettrage (optional)
+        'DateLet',         // Lettrage date (optional)
+        'ValidDate',       // Validation date (YYYYMMDD)
+        'Montantdevise',   // Foreign currency amount (optional)
+        'Idevise'          // Currency code (optional)
+    ];
+
+    // Additional fields of cash-basis accounting (comptabilité de trésorerie)
+    const CASH_BASIS_FIELDS = [
+        'DateRglt',        // Settlement date (YYYYMMDD)
+        'ModeRglt',        // Settlement method (chèque, virement, espèces...)
+        'NatOp'            // Nature of the operation
+    ];
+
     const FEC_CONFIG = {
-        // Field definitions (18 mandatory fields)
-        FIELDS: [
-            'JournalCode',     // Journal code (e.g., VE, AC, BQ)
-            'JournalLib',      // Journal label
-            'EcritureNum',     // Entry number (unique)
-            'EcritureDate',    // Entry date (YYYYMMDD)
-            'CompteNum',       // Account number (PCG)
-            'CompteLib',       // Account label
-            'CompAuxNum',      // Auxiliary account number (optional)
-            'CompAuxLib',      // Auxiliary account label (optional)
-            'PieceRef',        // Document reference
-            'PieceDate',       // Document date (YYYYMMDD)
-            'EcritureLib',     // Entry description
-            'Debit',           // Debit amount
-            'Credit',          // Credit amount
-            'EcritureLet',     // Lettrage (optional)
-            'DateLet',         // Lettrage date (optional)
-            'ValidDate',       // Validation date (YYYYMMDD)
-            'Montantdevise',   // Foreign currency amount (optional)
-            'Idevise'          // Currency code (optional)
-        ],
+        // Standard layout (accrual accounting)
+        FIELDS: STANDARD_FIELDS,
+
+        // File layouts (field lists), selected through the tax regime
+        SCHEMAS: {
+            STANDARD: {
+                label: 'Comptabilité d\'engagement (18 zones)',
+                cashBasis: false,
+                fields: STANDARD_FIELDS
+            },
+            TRESORERIE: {
+                label: 'Comptabilité de trésorerie (21 zones)',
+                cashBasis: true,
+                fields: [...STANDARD_FIELDS, ...CASH_BASIS_FIELDS]
+            },
+            TRESORERIE_IDCLIENT: {
+                label: 'Comptabilité de trésorerie avec IdClient (22 zones)',
+                cashBasis: true,
+                fields: [...STANDARD_FIELDS, ...CASH_BASIS_FIELDS, 'IdClient']
+            }
+        },
+
+        // Tax regimes and the layout their FEC must follow
+        REGIMES: {
+            BIC_IS: { label: 'BIC / IS - engagement', schema: 'STANDARD' },
+            BNC_ENGAGEMENT: { label: 'BNC - créances / dettes', schema: 'STANDARD' },
+            BA_ENGAGEMENT: { label: 'BA - engagement', schema: 'STANDARD' },
+            BIC_TRESORERIE: { label: 'BIC - trésorerie', schema: 'TRESORERIE' },
+            BA_TRESORERIE: { label: 'BA - trésorerie', schema: 'TRESORERIE' },
+            BNC_TRESORERIE: { label: 'BNC - recettes / dépenses', schema: 'TRESORERIE_IDCLIENT' }
+        },
+
+        // Amount columns: Debit + Credit, or a single Montant with its Sens.
+        // Entries always hold Debit / Credit; the layout only applies to files.
+        AMOUNT_LAYOUTS: {
+            DEBIT_CREDIT: { label: 'Débit / Crédit', fields: ['Debit', 'Credit'] },
+            MONTANT_SENS: { label: 'Montant / Sens', fields: ['Montant', 'Sens'] }
+        },
+
+        // Accepted Sens values and the side they stand for
+        SENS_VALUES: {
+            'D': 'D',
+            'C': 'C',
+            '+1': 'D',
+            '1': 'D',
+            '-1': 'C'
+        },
 
         // Validation rules
         VALIDATION: {
@@ -58,7 +117,42 @@
             ACCOUNT_MIN_LENGTH: 3,             // Min account number length
             ACCOUNT_MAX_LENGTH: 20,            // Max account number length
             MAX_AMOUNT: 9999999999.99,         // Max debit/credit
-            BALANCE_TOLERANCE: 0.01            // Allowed rounding difference
+            BALANCE_TOLERANCE: 0.01,           // Allowed rounding difference
+            SEQUENCE_GAP_SEVERITY: 'warning',  // 'error' | 'warning' for missing EcritureNum
+            FISCAL_YEAR_START: '0101',         // MMDD, first day of the fiscal year
+            FISCAL_YEAR_MAX_MONTHS: 24,        // Longest first fiscal year
+            DATE_FIELDS: ['EcritureDate', 'PieceDate', 'DateLet', 'ValidDate'], // Checked on every line
+            COLLECTIVE_ACCOUNTS: ['401', '411'], // Roots that require a CompAuxNum
+            EXCHANGE_RATE_TOLERANCE: 0.02      // Max relative gap between exchange rates
+        },
+
+        // Accounting currency (Debit / Credit)
+        BASE_CURRENCY: 'EUR',
+
+        // ISO 4217 active currency codes (Idevise)
+        CURRENCIES: [
+            'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN',
+            'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL',
+            'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY',
+            'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP',
+            'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD',
+            'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR',
+            'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+            'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+            'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR',
+            'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR',
+            'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR',
+            'RON', 'RSD', 'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD',
+            'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB',
+            'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+            'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XCG',
+            'XOF', 'XPF', 'YER', 'ZAR', 'ZMW', 'ZWG'
+        ],
+
+        // Field separators allowed by the DGFiP specification
+        SEPARATORS: {
+            '|': 'pipe',
+            '\t': 'tabulation'
         },
 
         // Plan Comptable Général - Account classes
@@ -73,6 +167,37 @@
             '8': 'Comptes spéciaux'
         },
 
+        // Chunked / worker parsing of large files
+        STREAMING: {
+            CHUNK_SIZE: 1024 * 1024,           // Bytes read per step (1MB)
+            PROGRESS_INTERVAL: 50000,          // Entries between validation progress events
+            WORKER_URL: null                   // Resolved from this script's URL when null
+        },
+
+        // Validation issue codes, as grouped in the fec-manager panel
+        ISSUE_LABELS: {
+            EMPTY_FEC: 'FEC vide',
+            ENTRY_INVALID: 'Lignes invalides',
+            ENTRY_UNBALANCED: 'Écritures déséquilibrées',
+            JOURNAL_DAY_UNBALANCED: 'Journaux déséquilibrés par jour',
+            FILE_UNBALANCED: 'Fichier déséquilibré',
+            PIECE_UNBALANCED: 'Pièces déséquilibrées',
+            CHRONOLOGY_WARNING: 'Ordre chronologique',
+            DUPLICATE_NUM: 'Numéros d\'écriture dupliqués',
+            SEQUENCE_GAP: 'Trous de numérotation',
+            VAT_WARNING: 'Comptes de TVA',
+            UNKNOWN_JOURNAL: 'Codes journal non standard',
+            LETTRAGE_UNBALANCED: 'Lettrages non soldés',
+            LETTRAGE_DATE_MISSING: 'Lettrages sans DateLet valide',
+            LETTRAGE_CODE_MISSING: 'DateLet sans code de lettrage',
+            CURRENCY_RATE_MISMATCH: 'Montants en devise incohérents',
+            AUX_MISSING: 'Comptes collectifs sans compte auxiliaire',
+            AUX_LABEL_INCONSISTENT: 'Libellés auxiliaires incohérents',
+            SETTLEMENT_MISSING: 'Écritures sans date de règlement',
+            UNKNOWN_ACCOUNT: 'Comptes absents du PCG',
+            ACCOUNT_JOURNAL_MISMATCH: 'Comptes incohérents avec le journal'
+        },
+
         // Common journal codes
         JOURNAL_CODES: {
             'AC': 'Achats',
@@ -80,10 +205,123 @@
             'BQ': 'Banque',
             'CA': 'Caisse',
             'OD': 'Opérations diverses',
+            'PA': 'Paie',
             'AN': 'À nouveau'
-        }
+        },
+
+        // Opening balances (à-nouveaux) and the classes they carry forward
+        OPENING_JOURNAL: 'AN',
+        BALANCE_SHEET_CLASSES: ['1', '2', '3', '4', '5'],
+        RESULT_CLASSES: ['6', '7']
     };
 
+    // =====================================================
+    // FILE LAYOUTS (SCHEMAS)
+    // =====================================================
+
+    /**
+     * Resolve the file layout from a tax regime or a layout id.
+     * The regime wins when both are given.
+     * @param {Object} options - { regime: key of FEC_CONFIG.REGIMES, schema: key of FEC_CONFIG.SCHEMAS,
+     *        amountLayout: key of FEC_CONFIG.AMOUNT_LAYOUTS (default DEBIT_CREDIT) }
+     * @returns {Object} { id, label, cashBasis, fields, amountLayout } (STANDARD by default)
+     */
+    function getSchema(options = {}) {
+        let id = options.schema || 'STANDARD';
+        const amountLayout = options.amountLayout || 'DEBIT_CREDIT';
+
+        if (options.regime) {
+            if (!FEC_CONFIG.REGIMES[options.regime]) {
+                throw new Error(`Régime fiscal inconnu: ${options.regime}`);
+            }
+            id = FEC_CONFIG.REGIMES[options.regime].schema;
+        }
+
+        if (!FEC_CONFIG.SCHEMAS[id]) {
+            throw new Error(`Structure FEC inconnue: ${id}`);
+        }
+        if (!FEC_CONFIG.AMOUNT_LAYOUTS[amountLayout]) {
+            throw new Error(`Présentation des montants inconnue: ${amountLayout}`);
+        }
+
+        const standardColumns = FEC_CONFIG.AMOUNT_LAYOUTS.DEBIT_CREDIT.fields;
+        const layoutColumns = FEC_CONFIG.AMOUNT_LAYOUTS[amountLayout].fields;
+        const fields = FEC_CONFIG.SCHEMAS[id].fields.map(field => {
+            const column = standardColumns.indexOf(field);
+            return column === -1 ? field : layoutColumns[column];
+        });
+
+        return { id, ...FEC_CONFIG.SCHEMAS[id], fields, amountLayout };
+    }
+
+    /**
+     * Find the layout of a file from its header fields (the column count
+     * identifies the layout, the field names the amount columns)
+     * @param {string[]} header - Header field names
+     * @returns {Object|null} Schema (see getSchema), null when no layout has this column count
+     */
+    function detectSchema(header) {
+        const id = Object.keys(FEC_CONFIG.SCHEMAS)
+            .find(key => FEC_CONFIG.SCHEMAS[key].fields.length === header.length);
+
+        return id ? getSchema({ schema: id, amountLayout: detectAmountLayout(header) }) : null;
+    }
+
+    /**
+     * @param {string[]} header - Header field names
+     * @returns {string} 'MONTANT_SENS' when the header has Montant and Sens, 'DEBIT_CREDIT' otherwise
+     */
+    function detectAmountLayout(header) {
+        const names = header.map(name => name.trim().toLowerCase());
+        const columns = FEC_CONFIG.AMOUNT_LAYOUTS.MONTANT_SENS.fields.map(field => field.toLowerCase());
+
+        return columns.every(column => names.includes(column)) ? 'MONTANT_SENS' : 'DEBIT_CREDIT';
+    }
+
+    /**
+     * Debit / Credit of an entry as Montant + Sens (net amount)
+     * @param {Object} entry - FEC entry
+     * @returns {Object} { Montant: string (dot decimals), Sens: 'D' | 'C' }
+     */
+    function toMontantSens(entry) {
+        const net = toCents(entry.Debit) - toCents(entry.Credit);
+        return { Montant: formatCents(Math.abs(net)), Sens: net < 0 ? 'C' : 'D' };
+    }
+
+    /**
+     * Montant + Sens of a parsed line as Debit / Credit
+     * @param {Object} entry - Parsed line with Montant (dot decimals) and Sens
+     * @returns {Object|null} Entry with Debit / Credit instead of Montant / Sens,
+     *          null when the Sens is not a known value
+     */
+    function fromMontantSens(entry) {
+        const sens = FEC_CONFIG.SENS_VALUES[String(entry.Sens || '').trim().toUpperCase()];
+        if (!sens) return null;
+
+        // A negative amount stands on the other side
+        const cents = toCents(entry.Montant);
+        const debit = (sens === 'D') === (cents >= 0);
+        const amount = formatCents(Math.abs(cents));
+
+        // Debit / Credit take the place of Montant / Sens
+        const result = {};
+        Object.keys(entry).forEach(field => {
+            if (field === 'Montant') {
+                result.Debit = debit ? amount : '0.00';
+            } else if (field === 'Sens') {
+                result.Credit = debit ? '0.00' : amount;
+            } else {
+                result[field] = entry[field];
+            }
+        });
+
+        return result;
+    }
+
+    function getSchemaFieldCounts() {
+        return Object.values(FEC_CONFIG.SCHEMAS).map(schema => schema.fields.length);
+    }
+
     // =====================================================
     // VALIDATION FUNCTIONS
     // =====================================================
@@ -91,10 +329,15 @@
     /**
      * Validate a single FEC entry
      * @param {Object} entry - FEC entry to validate
-     * @returns {Object} { valid: boolean, errors: string[] }
+     * @param {Object} options - {
+     *     regime / schema: file layout (see getSchema),
+     *     fiscalYear: { start, end } (see getFiscalYearBounds)
+     * }
+     * @returns {Object} { valid: boolean, errors: string[], warnings: [{ type, message }] }
      */
-    function validateEntry(entry) {
+    function validateEntry(entry, options = {}) {
         const errors = [];
+        const warnings = [];
 
         // Check required fields
         const requiredFields = [
@@ -108,9 +351,28 @@
             }
         });
 
-        // Validate date format
-        if (entry.EcritureDate && !FEC_CONFIG.VALIDATION.DATE_FORMAT.test(entry.EcritureDate)) {
-            errors.push(`Format de date invalide: ${entry.EcritureDate} (attendu: YYYYMMDD)`);
+        // Validate dates: YYYYMMDD and a day that exists
+        const dates = {};
+        FEC_CONFIG.VALIDATION.DATE_FIELDS.forEach(field => {
+            const value = (entry[field] || '').toString().trim();
+            if (!value) return;
+
+            if (isValidFECDate(value)) {
+                dates[field] = value;
+            } else {
+                errors.push(`Date invalide (${field}): ${value} (attendu: YYYYMMDD)`);
+            }
+        });
+
+        if (dates.ValidDate && dates.EcritureDate && dates.ValidDate < dates.EcritureDate) {
+            errors.push(`ValidDate ${dates.ValidDate} antérieure à EcritureDate ${dates.EcritureDate}`);
+        }
+
+        if (options.fiscalYear && dates.EcritureDate) {
+            const { start, end } = getFiscalYearBounds(options.fiscalYear);
+            if (dates.EcritureDate < start || dates.EcritureDate > end) {
+                errors.push(`EcritureDate ${dates.EcritureDate} hors de l'exercice (${start} - ${end})`);
+            }
         }
 
         // Validate account number
@@ -125,6 +387,69 @@
             const accountClass = entry.CompteNum[0];
             if (!FEC_CONFIG.PCG_CLASSES[accountClass]) {
                 errors.push(`Classe de compte invalide: ${accountClass}`);
+            } else if (typeof window.FECPlanComptable !== 'undefined') {
+                // PCG root existence and account / journal consistency
+                warnings.push(...window.FECPlanComptable.checkAccount(entry.CompteNum, entry.JournalCode));
+            }
+        }
+
+        // Auxiliary account: CompAuxNum and CompAuxLib go together
+        const auxNum = (entry.CompAuxNum || '').toString().trim();
+        const auxLib = (entry.CompAuxLib || '').toString().trim();
+
+        if (auxNum && !auxLib) {
+            errors.push(`CompAuxLib manquant pour le compte auxiliaire ${auxNum}`);
+        }
+        if (auxLib && !auxNum) {
+            errors.push(`CompAuxNum manquant pour le libellé auxiliaire ${auxLib}`);
+        }
+
+        if (entry.CompteNum && !auxNum &&
+            FEC_CONFIG.VALIDATION.COLLECTIVE_ACCOUNTS.some(root => entry.CompteNum.startsWith(root))) {
+            warnings.push({
+                type: 'AUX_MISSING',
+                message: `Compte collectif ${entry.CompteNum} sans compte auxiliaire (CompAuxNum)`
+            });
+        }
+
+        // Foreign currency: Montantdevise and Idevise go together
+        const currency = (entry.Idevise || '').toString().trim();
+        const foreignAmount = (entry.Montantdevise || '').toString().trim();
+
+        if (currency && !FEC_CONFIG.CURRENCIES.includes(currency)) {
+            errors.push(`Code devise invalide: ${currency} (code ISO 4217 attendu)`);
+        }
+        if (currency && !foreignAmount) {
+            errors.push(`Montantdevise manquant pour la devise ${currency}`);
+        }
+        if (foreignAmount && !currency) {
+            errors.push(`Idevise manquant pour le montant en devise ${foreignAmount}`);
+        }
+        if (foreignAmount && isNaN(parseFloat(foreignAmount.replace(',', '.')))) {
+            errors.push(`Montant en devise invalide: ${foreignAmount}`);
+        }
+
+        // Cash-basis accounting: settlement date and method
+        if (getSchema(options).cashBasis) {
+            const settlementDate = (entry.DateRglt || '').toString().trim();
+            const settlementMode = (entry.ModeRglt || '').toString().trim();
+
+            if (settlementDate && !isValidFECDate(settlementDate)) {
+                errors.push(`Format de date de règlement invalide: ${settlementDate} (attendu: YYYYMMDD)`);
+            }
+            if (settlementDate && !settlementMode) {
+                errors.push(`ModeRglt manquant pour le règlement du ${settlementDate}`);
+            }
+            if (settlementMode && !settlementDate) {
+                errors.push(`DateRglt manquant pour le mode de règlement ${settlementMode}`);
+            }
+
+            // Opening balances are not settlements
+            if (!settlementDate && !settlementMode && entry.JournalCode !== 'AN') {
+                warnings.push({
+                    type: 'SETTLEMENT_MISSING',
+                    message: 'Ligne sans date de règlement (DateRglt) en comptabilité de trésorerie'
+                });
             }
         }
 
@@ -158,311 +483,1558 @@
 
         return {
             valid: errors.length === 0,
-            errors
+            errors,
+            warnings
         };
     }
 
     /**
      * Comprehensive FEC compliance validation
      * @param {Array} entries - All FEC entries
-     * @returns {Object} { valid: boolean, errors: array, warnings: array }
+     * @param {Object} options - {
+     *     onProgress(done, total),
+     *     regime / schema: file layout (see getSchema),
+     *     gapSeverity: 'error' | 'warning' (missing EcritureNum),
+     *     fiscalYear: { start, end } (see getFiscalYearBounds),
+     *     fiscalYearStart: 'MMDD' (defaults to the day after fiscalYear.end),
+     *     exchangeRates: { USD: 0.92, ... } (EUR per currency unit),
+     *     rateTolerance: number (relative)
+     * }
+     * @returns {Object} { valid: boolean, errors: array, warnings: array, sequenceGaps: array }
      */
-    function validateFECCompliance(entries) {
-        console.log('Validating FEC compliance for', entries.length, 'entries...');
+    function validateFECCompliance(entries, options = {}) {
+        console.log('Validating FEC compliance for', entries ? entries.length : 0, 'entries...');
 
-        const errors = [];
-        const warnings = [];
+        const accumulator = createValidationAccumulator(options);
+        const onProgress = options.onProgress || (() => {});
+        const progressInterval = FEC_CONFIG.STREAMING.PROGRESS_INTERVAL;
 
-        if (!entries || entries.length === 0) {
-            errors.push({
-                type: 'EMPTY_FEC',
-                message: 'Aucune écriture à valider'
-            });
-            return { valid: false, errors, warnings };
+        if (entries) {
+            for (let index = 0; index < entries.length; index += progressInterval) {
+                onProgress(index, entries.length);
+                accumulator.add(entries.slice(index, index + progressInterval));
+            }
+            onProgress(entries.length, entries.length);
         }
 
-        // 1. Individual entry validation
-        entries.forEach((entry, index) => {
-            const validation = validateEntry(entry);
-            if (!validation.valid) {
-                validation.errors.forEach(error => {
-                    errors.push({
-                        type: 'ENTRY_INVALID',
-                        message: error,
-                        entry: entry.EcritureNum || `Ligne ${index + 1}`
-                    });
-                });
-            }
-        });
+        const result = accumulator.result();
 
-        // 2. Balance verification per PieceRef
-        const pieceRefs = {};
-        entries.forEach(entry => {
-            const ref = entry.PieceRef;
-            if (!pieceRefs[ref]) {
-                pieceRefs[ref] = { debit: 0, credit: 0, entries: [] };
-            }
-            pieceRefs[ref].debit += parseFloat(entry.Debit || 0);
-            pieceRefs[ref].credit += parseFloat(entry.Credit || 0);
-            pieceRefs[ref].entries.push(entry.EcritureNum);
-        });
+        console.log(`Validation complete: ${result.valid ? 'VALID' : 'INVALID'}, ${result.errors.length} errors, ${result.warnings.length} warnings`);
+
+        return result;
+    }
+
+    /**
+     * Single-pass compliance validation, fed batch by batch: the import
+     * pipeline validates each batch as it is parsed, without keeping the
+     * entries. Only per-écriture, per-account and per-sequence totals are
+     * held until result().
+     * @param {Object} options - validateFECCompliance options (without onProgress)
+     * @returns {Object} { add(batch: Array), result(): validateFECCompliance() result }
+     */
+    function createValidationAccumulator(options = {}) {
+        // Bounds are resolved once, so invalid ones throw before any line is read
+        if (options.fiscalYear) {
+            options = { ...options, fiscalYear: getFiscalYearBounds(options.fiscalYear) };
+        }
 
-        Object.entries(pieceRefs).forEach(([ref, totals]) => {
-            const diff = Math.abs(totals.debit - totals.credit);
-            if (diff > FEC_CONFIG.VALIDATION.BALANCE_TOLERANCE) {
-                errors.push({
-                    type: 'BALANCE_ERROR',
-                    message: `Pièce ${ref} déséquilibrée: Débit ${totals.debit.toFixed(2)} ≠ Crédit ${totals.credit.toFixed(2)}`,
+        // One list per check, concatenated in this order by result()
+        const entryErrors = [];
+        const entryWarnings = [];
+        const chronologyWarnings = [];
+        const duplicateErrors = [];
+        const vatWarnings = [];
+        const journalWarnings = [];
+
+        const balances = createBalanceAccumulator();
+        const sequences = createSequenceAccumulator(options);
+        const lettering = createLetteringAccumulator();
+        const auxiliaries = createAuxiliaryAccumulator();
+        const currencies = createCurrencyAccumulator(options);
+
+        // Lines of one écriture share its journal and number: a number is
+        // duplicated when it is reused within the journal on another date
+        const numDates = new Map();
+        const reportedNums = new Set();
+        const lastByJournal = new Map();
+        let count = 0;
+
+        function addEntry(entry) {
+            const ref = entry.EcritureNum || `Ligne ${count + 1}`;
+
+            // 1. Individual entry validation
+            const validation = validateEntry(entry, options);
+            validation.errors.forEach(error => {
+                entryErrors.push({
+                    type: 'ENTRY_INVALID',
+                    message: error,
                     entry: ref
                 });
-            }
-        });
+            });
+            validation.warnings.forEach(warning => {
+                entryWarnings.push({
+                    ...warning,
+                    entry: ref
+                });
+            });
 
-        // 3. Chronological order verification
-        const dates = entries.map(e => ({
-            date: e.EcritureDate,
-            num: e.EcritureNum
-        })).sort((a, b) => a.date.localeCompare(b.date));
+            // 2. Balance verification (amounts summed in cents to avoid float drift)
+            balances.add(entry);
 
-        let prevDate = '';
-        dates.forEach((item, index) => {
-            if (index > 0 && item.date < prevDate) {
-                warnings.push({
+            // 3. Chronological order verification, within each journal
+            // (a file sorted by journal then date is in order)
+            const previous = lastByJournal.get(entry.JournalCode);
+            if (previous && entry.EcritureDate && entry.EcritureDate < previous.EcritureDate) {
+                chronologyWarnings.push({
                     type: 'CHRONOLOGY_WARNING',
-                    message: `Ordre chronologique non respecté: ${item.num} (${item.date}) après ${dates[index-1].num} (${dates[index-1].date})`
+                    message: `Ordre chronologique non respecté: ${entry.EcritureNum} (${entry.EcritureDate}) après ${previous.EcritureNum} (${previous.EcritureDate})`,
+                    entry: entry.EcritureNum
                 });
             }
-            prevDate = item.date;
-        });
-
-        // 4. Sequence continuity check
-        const ecritureNums = entries.map(e => e.EcritureNum).sort();
-        for (let i = 1; i < ecritureNums.length; i++) {
-            if (ecritureNums[i] === ecritureNums[i-1]) {
-                errors.push({
-                    type: 'DUPLICATE_NUM',
-                    message: `Numéro d'écriture dupliqué: ${ecritureNums[i]}`
-                });
+            if (entry.EcritureDate) {
+                lastByJournal.set(entry.JournalCode, { EcritureNum: entry.EcritureNum, EcritureDate: entry.EcritureDate });
             }
-        }
 
-        // 5. VAT account validation (445*)
-        entries.forEach(entry => {
-            if (entry.CompteNum && entry.CompteNum.startsWith('445')) {
-                const amount = parseFloat(entry.Debit || entry.Credit || 0);
-                if (amount === 0) {
-                    warnings.push({
-                        type: 'VAT_WARNING',
-                        message: `Compte TVA ${entry.CompteNum} avec montant nul`,
-                        entry: entry.EcritureNum
+            // 4. Sequence continuity check
+            const num = entry.EcritureNum;
+            if (num) {
+                const key = `${entry.JournalCode}|${num}`;
+                if (!numDates.has(key)) {
+                    numDates.set(key, entry.EcritureDate);
+                } else if (numDates.get(key) !== entry.EcritureDate && !reportedNums.has(key)) {
+                    reportedNums.add(key);
+                    duplicateErrors.push({
+                        type: 'DUPLICATE_NUM',
+                        message: `Numéro d'écriture dupliqué: ${num} (journal ${entry.JournalCode})`,
+                        entry: num
                     });
                 }
             }
-        });
+            sequences.add(entry);
+
+            // 5. VAT account validation (445*)
+            // Credit lines carry a "0.00" debit
+            if (entry.CompteNum && entry.CompteNum.startsWith('445') &&
+                toCents(entry.Debit) === 0 && toCents(entry.Credit) === 0) {
+                vatWarnings.push({
+                    type: 'VAT_WARNING',
+                    message: `Compte TVA ${entry.CompteNum} avec montant nul`,
+                    entry: entry.EcritureNum
+                });
+            }
 
-        // 6. Journal code validation
-        entries.forEach(entry => {
+            // 6. Journal code validation
             if (entry.JournalCode && !FEC_CONFIG.JOURNAL_CODES[entry.JournalCode]) {
-                warnings.push({
+                journalWarnings.push({
                     type: 'UNKNOWN_JOURNAL',
                     message: `Code journal non standard: ${entry.JournalCode}`,
                     entry: entry.EcritureNum
                 });
             }
-        });
 
-        const valid = errors.length === 0;
+            // 7. Lettering consistency, 8. auxiliary labels, 9. currency amounts
+            lettering.add(entry, ref);
+            auxiliaries.add(entry);
+            currencies.add(entry, ref);
 
-        console.log(`Validation complete: ${valid ? 'VALID' : 'INVALID'}, ${errors.length} errors, ${warnings.length} warnings`);
+            count++;
+        }
 
         return {
-            valid,
-            errors,
-            warnings
-        };
-    }
-
-    // =====================================================
-    // FEC FILE GENERATION
-    // =====================================================
-
-    /**
-     * Generate FEC file content
-     * @param {Array} entries - FEC entries
-     * @returns {string} FEC file content (pipe-delimited)
-     */
-    function generateFECFile(entries) {
-        console.log('Generating FEC file for', entries.length, 'entries...');
+            add(batch) {
+                for (const entry of batch) {
+                    addEntry(entry);
+                }
+            },
 
-        if (!entries || entries.length === 0) {
-            throw new Error('Aucune écriture à exporter');
-        }
+            result() {
+                if (count === 0) {
+                    return {
+                        valid: false,
+                        errors: [{ type: 'EMPTY_FEC', message: 'Aucune écriture à valider' }],
+                        warnings: []
+                    };
+                }
 
-        // Header line (field names)
-        const header = FEC_CONFIG.FIELDS.join('|');
+                const errors = [...entryErrors];
+                const warnings = [...entryWarnings];
+
+                balances.report(errors, warnings);
+                warnings.push(...chronologyWarnings);
+                errors.push(...duplicateErrors);
+
+                // Missing numbers per journal and fiscal year
+                const gapSeverity = options.gapSeverity || FEC_CONFIG.VALIDATION.SEQUENCE_GAP_SEVERITY;
+                const sequenceGaps = sequences.result();
+                sequenceGaps.forEach(gap => {
+                    (gapSeverity === 'error' ? errors : warnings).push({
+                        type: 'SEQUENCE_GAP',
+                        message: `Journal ${gap.journal} (exercice ${gap.fiscalYear}): ${gap.missingCount} numéro(s) manquant(s): ${gap.missingRanges.map(formatRange).join(', ')}`,
+                        entry: gap.journal,
+                        journal: gap.journal,
+                        fiscalYear: gap.fiscalYear,
+                        missingRanges: gap.missingRanges
+                    });
+                });
 
-        // Data lines
-        const lines = entries.map(entry => {
-            return FEC_CONFIG.FIELDS.map(field => {
-                let value = entry[field] || '';
-                
-                // Format amounts with comma decimal separator
-                if (field === 'Debit' || field === 'Credit' || field === 'Montantdevise') {
-                    const num = parseFloat(value || 0);
-                    value = num.toFixed(2).replace('.', ',');
-                }
-                
-                // Ensure no pipe characters in values (would break format)
-                value = value.toString().replace(/\|/g, '');
-                
-                return value;
-            }).join('|');
-        });
+                warnings.push(...vatWarnings, ...journalWarnings);
 
-        const content = [header, ...lines].join('\r\n');
+                const letteringResult = lettering.result();
+                errors.push(...letteringResult.errors);
+                warnings.push(...letteringResult.warnings);
 
-        console.log('✅ FEC file generated:', lines.length, 'entries');
+                warnings.push(...auxiliaries.result());
+                warnings.push(...currencies.result());
 
-        return content;
+                return {
+                    valid: errors.length === 0,
+                    errors,
+                    warnings,
+                    sequenceGaps
+                };
+            }
+        };
     }
 
-    // =====================================================
-    // FEC FILE PARSING
-    // =====================================================
-
     /**
-     * Parse FEC file content
-     * @param {string} content - FEC file content
-     * @returns {Array} Array of entry objects
+     * Balance checks: per écriture (EcritureNum), per journal and day, and
+     * for the whole file are legal requirements (errors). A PieceRef may be
+     * split across écritures, so an unbalanced piece is only a warning.
+     * @returns {Object} { add(entry), report(errors: Array, warnings: Array) }
      */
-    function parseFECFile(content) {
-        console.log('Parsing FEC file...');
-
-        if (!content || content.trim() === '') {
-            throw new Error('Fichier FEC vide');
-        }
+    function createBalanceAccumulator() {
+        const tolerance = Math.round(FEC_CONFIG.VALIDATION.BALANCE_TOLERANCE * 100);
+        const byEcriture = new Map();
+        const byJournalDay = new Map();
+        const byPiece = new Map();
+        const fileTotals = { debit: 0, credit: 0 };
+
+        const addTo = (map, key) => {
+            if (!map.has(key)) {
+                map.set(key, { debit: 0, credit: 0 });
+            }
+            return map.get(key);
+        };
 
-        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        const isUnbalanced = totals => Math.abs(totals.debit - totals.credit) > tolerance;
+        const describe = totals => `Débit ${formatCents(totals.debit)} ≠ Crédit ${formatCents(totals.credit)}`;
 
-        if (lines.length < 2) {
-            throw new Error('Fichier FEC invalide: moins de 2 lignes');
-        }
+        return {
+            add(entry) {
+                const debit = toCents(entry.Debit);
+                const credit = toCents(entry.Credit);
+
+                [
+                    addTo(byEcriture, `${entry.JournalCode}|${entry.EcritureNum}`),
+                    addTo(byJournalDay, `${entry.JournalCode}|${entry.EcritureDate}`),
+                    addTo(byPiece, entry.PieceRef),
+                    fileTotals
+                ].forEach(totals => {
+                    totals.debit += debit;
+                    totals.credit += credit;
+                });
+            },
 
-        // First line should be header
-        const header = lines[0].split('|');
-        
-        // Validate header
-        const expectedFields = FEC_CONFIG.FIELDS;
-        if (header.length !== expectedFields.length) {
-            throw new Error(`Format FEC invalide: ${header.length} colonnes au lieu de ${expectedFields.length}`);
-        }
+            report(errors, warnings) {
+                byEcriture.forEach((totals, key) => {
+                    if (isUnbalanced(totals)) {
+                        const [journal, num] = key.split('|');
+                        errors.push({
+                            type: 'ENTRY_UNBALANCED',
+                            message: `Écriture ${num} (journal ${journal}) déséquilibrée: ${describe(totals)}`,
+                            entry: num
+                        });
+                    }
+                });
 
-        // Parse data lines
-        const entries = [];
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split('|');
-            
-            if (values.length !== expectedFields.length) {
-                console.warn(`Ligne ${i + 1} ignorée: nombre de colonnes invalide`);
-                continue;
-            }
+                byJournalDay.forEach((totals, key) => {
+                    if (isUnbalanced(totals)) {
+                        const [journal, date] = key.split('|');
+                        errors.push({
+                            type: 'JOURNAL_DAY_UNBALANCED',
+                            message: `Journal ${journal} déséquilibré le ${date}: ${describe(totals)}`,
+                            entry: journal
+                        });
+                    }
+                });
 
-            const entry = {};
-            expectedFields.forEach((field, index) => {
-                let value = values[index].trim();
-                
-                // Convert comma to dot for amounts
-                if (field === 'Debit' || field === 'Credit' || field === 'Montantdevise') {
-                    value = value.replace(',', '.');
+                if (isUnbalanced(fileTotals)) {
+                    errors.push({
+                        type: 'FILE_UNBALANCED',
+                        message: `Fichier déséquilibré: ${describe(fileTotals)}`
+                    });
                 }
-                
-                entry[field] = value;
-            });
-
-            entries.push(entry);
-        }
 
-        console.log('✅ FEC file parsed:', entries.length, 'entries');
-
-        return entries;
+                byPiece.forEach((totals, ref) => {
+                    if (isUnbalanced(totals)) {
+                        warnings.push({
+                            type: 'PIECE_UNBALANCED',
+                            message: `Pièce ${ref} déséquilibrée: ${describe(totals)}`,
+                            entry: ref
+                        });
+                    }
+                });
+            }
+        };
     }
 
-    // =====================================================
-    // ENCODING HELPERS
-    // =====================================================
+    /**
+     * Auxiliary account checks: a CompAuxNum keeps the same CompAuxLib
+     * across the file
+     * @param {Array} entries - FEC entries
+     * @returns {Array} Warnings (AUX_LABEL_INCONSISTENT)
+     */
+    function validateAuxiliaryAccounts(entries) {
+        const accumulator = createAuxiliaryAccumulator();
+        entries.forEach(entry => accumulator.add(entry));
+        return accumulator.result();
+    }
 
     /**
-     * Note: Browsers cannot directly save files in ISO-8859-1 encoding.
-     * They will save as UTF-8 regardless of the blob type specified.
-     * 
-     * For official FEC submission, the file MUST be converted to ISO-8859-1
-     * using server-side tools or command-line utilities.
-     * 
-     * Command-line conversion:
-     * - iconv: `iconv -f UTF-8 -t ISO-8859-1 input.txt > output.txt`
-     * - Python: `with open('out.txt', 'w', encoding='iso-8859-1') as f: ...`
-     * 
-     * This function documents the requirement but cannot enforce it client-side.
+     * @returns {Object} { add(entry), result(): validateAuxiliaryAccounts() result }
      */
-    function getEncodingNote() {
-        return `
-⚠️ IMPORTANT - Encodage ISO-8859-1
+    function createAuxiliaryAccumulator() {
+        const labels = new Map();
 
-Le fichier FEC doit être encodé en ISO-8859-1 pour être accepté par l'administration fiscale.
+        return {
+            add(entry) {
+                const auxNum = (entry.CompAuxNum || '').trim();
+                const auxLib = (entry.CompAuxLib || '').trim();
+                if (!auxNum || !auxLib) return;
 
-Le navigateur sauvegarde en UTF-8. Vous devez convertir le fichier avec:
-- iconv (Linux/Mac): iconv -f UTF-8 -t ISO-8859-1 fichier.txt > fichier_iso.txt
-- Python: voir documentation pour conversion
-- Éditeur de texte: Enregistrer avec encodage ISO-8859-1
+                if (!labels.has(auxNum)) {
+                    labels.set(auxNum, new Map());
+                }
+                const variants = labels.get(auxNum);
+                if (!variants.has(auxLib)) {
+                    variants.set(auxLib, entry.EcritureNum);
+                }
+            },
 
-NE PAS soumettre directement le fichier téléchargé depuis le navigateur.
-        `.trim();
+            result() {
+                const warnings = [];
+                labels.forEach((variants, auxNum) => {
+                    if (variants.size > 1) {
+                        const [first] = variants.values();
+                        warnings.push({
+                            type: 'AUX_LABEL_INCONSISTENT',
+                            message: `Compte auxiliaire ${auxNum} avec plusieurs libellés: ${Array.from(variants.keys()).join(' / ')}`,
+                            entry: first
+                        });
+                    }
+                });
+                return warnings;
+            }
+        };
     }
 
-    // =====================================================
-    // UTILITY FUNCTIONS
-    // =====================================================
-
     /**
-     * Get statistics from FEC entries
+     * Foreign currency checks: the rate implied by Debit/Credit and
+     * Montantdevise must match the reference rate when one is given, and
+     * otherwise be the same for every line of the écriture in that currency.
      * @param {Array} entries - FEC entries
-     * @returns {Object} Statistics object
+     * @param {Object} options - { exchangeRates: { CODE: rate }, rateTolerance }
+     * @returns {Array} Warnings (CURRENCY_RATE_MISMATCH)
      */
-    function getStatistics(entries) {
+    function validateCurrencyAmounts(entries, options = {}) {
+        const accumulator = createCurrencyAccumulator(options);
+        entries.forEach((entry, index) => accumulator.add(entry, entry.EcritureNum || `Ligne ${index + 1}`));
+        return accumulator.result();
+    }
+
+    /**
+     * @param {Object} options - { exchangeRates, rateTolerance }
+     * @returns {Object} { add(entry, ref), result(): validateCurrencyAmounts() result }
+     */
+    function createCurrencyAccumulator(options = {}) {
+        const rates = options.exchangeRates || {};
+        const tolerance = options.rateTolerance !== undefined
+            ? options.rateTolerance
+            : FEC_CONFIG.VALIDATION.EXCHANGE_RATE_TOLERANCE;
+        const warnings = [];
+        const ecritureRates = new Map();
+
+        const isOff = (rate, reference) => Math.abs(rate - reference) / reference > tolerance;
+
         return {
-            totalEntries: entries.length,
-            validatedEntries: entries.filter(e => e.ValidDate && e.ValidDate.trim() !== '').length,
-            totalDebit: entries.reduce((sum, e) => sum + parseFloat(e.Debit || 0), 0),
-            totalCredit: entries.reduce((sum, e) => sum + parseFloat(e.Credit || 0), 0),
-            dateRange: {
-                start: entries.length > 0 ? Math.min(...entries.map(e => e.EcritureDate)) : null,
-                end: entries.length > 0 ? Math.max(...entries.map(e => e.EcritureDate)) : null
+            add(entry, ref) {
+                const currency = (entry.Idevise || '').trim();
+                const foreign = Math.abs(toCents(entry.Montantdevise));
+                const amount = Math.abs(toCents(entry.Debit) - toCents(entry.Credit));
+
+                if (!currency || foreign === 0 || amount === 0) return;
+
+                const rate = amount / foreign;
+                const reference = currency === FEC_CONFIG.BASE_CURRENCY ? 1 : rates[currency];
+
+                if (reference) {
+                    if (isOff(rate, reference)) {
+                        warnings.push({
+                            type: 'CURRENCY_RATE_MISMATCH',
+                            message: `${formatCents(amount)} ${FEC_CONFIG.BASE_CURRENCY} pour ${formatCents(foreign)} ${currency}: taux ${rate.toFixed(4)} au lieu de ${reference} (compte ${entry.CompteNum})`,
+                            entry: ref
+                        });
+                    }
+                    return;
+                }
+
+                const key = `${entry.JournalCode}|${entry.EcritureNum}|${currency}`;
+                const first = ecritureRates.get(key);
+                if (!first) {
+                    ecritureRates.set(key, rate);
+                } else if (isOff(rate, first)) {
+                    warnings.push({
+                        type: 'CURRENCY_RATE_MISMATCH',
+                        message: `Taux ${currency} incohérent dans l'écriture: ${rate.toFixed(4)} au lieu de ${first.toFixed(4)} (compte ${entry.CompteNum})`,
+                        entry: ref
+                    });
+                }
             },
-            journalCounts: countByField(entries, 'JournalCode'),
-            accountClasses: countAccountClasses(entries)
-        };
-    }
 
-    function countByField(entries, field) {
-        const counts = {};
-        entries.forEach(entry => {
-            const value = entry[field] || 'Non renseigné';
-            counts[value] = (counts[value] || 0) + 1;
-        });
-        return counts;
+            result() {
+                return warnings;
+            }
+        };
     }
 
-    function countAccountClasses(entries) {
-        const classes = {};
-        entries.forEach(entry => {
-            if (entry.CompteNum) {
-                const classNum = entry.CompteNum[0];
-                const className = FEC_CONFIG.PCG_CLASSES[classNum] || 'Classe inconnue';
-                classes[classNum] = classes[classNum] || { name: className, count: 0 };
-                classes[classNum].count++;
+    /**
+     * Lettering checks: every lettering code must net to zero on its account
+     * (CompteNum + CompAuxNum), and a lettered line needs a valid DateLet
+     * @param {Array} entries - FEC entries
+     * @returns {Object} { errors: array, warnings: array }
+     */
+    function validateLettering(entries) {
+        const accumulator = createLetteringAccumulator();
+        entries.forEach((entry, index) => accumulator.add(entry, entry.EcritureNum || `Ligne ${index + 1}`));
+        return accumulator.result();
+    }
+
+    /**
+     * @returns {Object} { add(entry, ref), result(): validateLettering() result }
+     */
+    function createLetteringAccumulator() {
+        const errors = [];
+        const warnings = [];
+        const groups = new Map();
+
+        return {
+            add(entry, ref) {
+                const code = (entry.EcritureLet || '').trim();
+                const dateLet = (entry.DateLet || '').trim();
+
+                if (!code) {
+                    if (dateLet) {
+                        warnings.push({
+                            type: 'LETTRAGE_CODE_MISSING',
+                            message: `DateLet ${dateLet} renseignée sans code de lettrage (compte ${entry.CompteNum})`,
+                            entry: ref
+                        });
+                    }
+                    return;
+                }
+
+                // An invalid DateLet is reported by validateEntry
+                if (!dateLet) {
+                    errors.push({
+                        type: 'LETTRAGE_DATE_MISSING',
+                        message: `Lettrage ${code} sans DateLet (compte ${entry.CompteNum})`,
+                        entry: ref
+                    });
+                }
+
+                const key = `${entry.CompteNum}|${entry.CompAuxNum || ''}|${code}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { account: entry.CompteNum, aux: entry.CompAuxNum || '', code, balance: 0, entries: [] });
+                }
+                const group = groups.get(key);
+                group.balance += toCents(entry.Debit) - toCents(entry.Credit);
+                group.entries.push(ref);
+            },
+
+            result() {
+                const tolerance = Math.round(FEC_CONFIG.VALIDATION.BALANCE_TOLERANCE * 100);
+                const unbalanced = [];
+                groups.forEach(group => {
+                    if (Math.abs(group.balance) > tolerance) {
+                        const account = group.aux ? `${group.account} / ${group.aux}` : group.account;
+                        unbalanced.push({
+                            type: 'LETTRAGE_UNBALANCED',
+                            message: `Lettrage ${group.code} non soldé sur le compte ${account}: solde ${formatCents(group.balance)}`,
+                            entry: group.entries.join(', ')
+                        });
+                    }
+                });
+
+                return { errors: [...errors, ...unbalanced], warnings };
+            }
+        };
+    }
+
+    /**
+     * Convert an amount ("12.5", "12,50", 12.5) to integer cents
+     * @param {string|number} value - Amount
+     * @returns {number} Cents (0 when empty or invalid)
+     */
+    function toCents(value) {
+        const num = parseFloat(String(value || 0).replace(',', '.'));
+        return isNaN(num) ? 0 : Math.round(num * 100);
+    }
+
+    function formatCents(cents) {
+        return (cents / 100).toFixed(2);
+    }
+
+    /**
+     * Find missing EcritureNum values per journal and fiscal year.
+     * Numbers are split into a prefix and a trailing counter
+     * ("VE2024-0012" → "VE2024-" + 12); each prefix is its own sequence.
+     * Numbers without a trailing counter cannot be checked and are ignored.
+     * Lines within options.fiscalYear form a single year, however long it is.
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { fiscalYear: { start, end }, fiscalYearStart: 'MMDD' }
+     * @returns {Array} [{ journal, fiscalYear, prefix, missingCount,
+     *          missingRanges: [{ from, to }] }]
+     */
+    function findSequenceGaps(entries, options = {}) {
+        const accumulator = createSequenceAccumulator(options);
+        entries.forEach(entry => accumulator.add(entry));
+        return accumulator.result();
+    }
+
+    /**
+     * @param {Object} options - { fiscalYear: { start, end }, fiscalYearStart: 'MMDD' }
+     * @returns {Object} { add(entry), result(): findSequenceGaps() result }
+     */
+    function createSequenceAccumulator(options = {}) {
+        const bounds = options.fiscalYear ? getFiscalYearBounds(options.fiscalYear) : null;
+        const fiscalYearStart = options.fiscalYearStart ||
+            (bounds ? toFECDate(addDays(parseFECDate(bounds.end), 1)).substr(4, 4) : FEC_CONFIG.VALIDATION.FISCAL_YEAR_START);
+        const sequences = new Map();
+
+        return {
+            add(entry) {
+                const match = /^(.*?)(\d+)$/.exec(String(entry.EcritureNum || '').trim());
+                const date = (entry.EcritureDate || '').trim();
+                if (!match || !isValidFECDate(date)) {
+                    return;
+                }
+
+                const journal = entry.JournalCode || '';
+                const fiscalYear = bounds && date >= bounds.start && date <= bounds.end
+                    ? bounds.start.substr(0, 4)
+                    : getFiscalYear(date, fiscalYearStart);
+                const key = `${journal}|${fiscalYear}|${match[1]}`;
+
+                if (!sequences.has(key)) {
+                    sequences.set(key, { journal, fiscalYear, prefix: match[1], width: match[2].length, numbers: new Set() });
+                }
+                sequences.get(key).numbers.add(parseInt(match[2], 10));
+            },
+
+            result() {
+                return getSequenceGaps(sequences);
+            }
+        };
+    }
+
+    function getSequenceGaps(sequences) {
+        const gaps = [];
+        sequences.forEach(sequence => {
+            const numbers = Array.from(sequence.numbers).sort((a, b) => a - b);
+            const missingRanges = [];
+            let missingCount = 0;
+
+            for (let i = 1; i < numbers.length; i++) {
+                if (numbers[i] > numbers[i - 1] + 1) {
+                    const from = numbers[i - 1] + 1;
+                    const to = numbers[i] - 1;
+                    missingCount += to - from + 1;
+                    missingRanges.push({
+                        from: formatSequenceNumber(sequence, from),
+                        to: formatSequenceNumber(sequence, to)
+                    });
+                }
+            }
+
+            if (missingRanges.length > 0) {
+                gaps.push({
+                    journal: sequence.journal,
+                    fiscalYear: sequence.fiscalYear,
+                    prefix: sequence.prefix,
+                    missingCount,
+                    missingRanges
+                });
+            }
+        });
+
+        return gaps;
+    }
+
+    /**
+     * Fiscal year of a date, named after the calendar year it starts in
+     * @param {string} date - YYYYMMDD
+     * @param {string} fiscalYearStart - MMDD
+     * @returns {string} Fiscal year (YYYY)
+     */
+    function getFiscalYear(date, fiscalYearStart = FEC_CONFIG.VALIDATION.FISCAL_YEAR_START) {
+        const year = parseInt(date.substr(0, 4), 10);
+        return String(date.substr(4, 4) >= fiscalYearStart ? year : year - 1);
+    }
+
+    /**
+     * Split entries between the opening balance and the movements of a period
+     *
+     * Opening = the à-nouveaux (AN) of the period's fiscal year and the
+     * movements of that fiscal year dated before `from`. AN of other fiscal
+     * years restate balances already counted and are left out. Without AN in
+     * the fiscal year, the balance-sheet movements (classes 1 to 5) since the
+     * last AN are carried forward instead; earlier income and expenses
+     * (classes 6 and 7) are an unclosed result, kept apart.
+     *
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { from, to: 'YYYYMMDD', fiscalYearStart: 'MMDD' }
+     *     (without `from`, the period starts with the first fiscal year of the entries)
+     * @returns {Object} {
+     *     fiscalYear, start: 'YYYYMMDD' (fiscal year start), hasOpening: boolean,
+     *     classify: entry => 'opening' | 'movement' | 'priorResult' | null (left out)
+     * }
+     */
+    function getPeriodScope(entries, options = {}) {
+        const { from = null, to = null } = options;
+        const fiscalYearStart = options.fiscalYearStart || FEC_CONFIG.VALIDATION.FISCAL_YEAR_START;
+        const yearOf = (date) => parseFECDate(date) ? getFiscalYear(date, fiscalYearStart) : null;
+        const isOpening = (entry) => entry.JournalCode === FEC_CONFIG.OPENING_JOURNAL;
+
+        let reference = from;
+        if (!reference) {
+            entries.forEach(entry => {
+                const date = entry.EcritureDate || '';
+                if (yearOf(date) && (!to || date <= to) && (!reference || date < reference)) {
+                    reference = date;
+                }
+            });
+        }
+
+        const fiscalYear = reference ? yearOf(reference) : null;
+        const start = fiscalYear ? fiscalYear + fiscalYearStart : null;
+
+        // Fiscal years that have à-nouveaux
+        const openingYears = new Set(entries.filter(isOpening).map(entry => yearOf(entry.EcritureDate || '')));
+        const hasOpening = openingYears.has(fiscalYear);
+        const baseYear = Array.from(openingYears)
+            .filter(year => year && fiscalYear && year < fiscalYear)
+            .sort()
+            .pop() || null;
+
+        const carryForward = (entry) => {
+            const accountClass = (entry.CompteNum || '').trim().charAt(0);
+            if (FEC_CONFIG.BALANCE_SHEET_CLASSES.includes(accountClass)) return 'opening';
+            if (FEC_CONFIG.RESULT_CLASSES.includes(accountClass)) return 'priorResult';
+            return null;
+        };
+
+        const classify = (entry) => {
+            const date = entry.EcritureDate || '';
+            if (to && date > to) return null;
+
+            const year = yearOf(date);
+            if (!start || !year) return 'movement';
+
+            if (isOpening(entry)) {
+                if (year === fiscalYear) return 'opening';
+                return !hasOpening && year === baseYear ? carryForward(entry) : null;
+            }
+
+            if (date >= start) {
+                return from && date < from ? 'opening' : 'movement';
+            }
+            if (hasOpening || (baseYear && year < baseYear)) return null;
+            return carryForward(entry);
+        };
+
+        return { fiscalYear, start, hasOpening, classify };
+    }
+
+    // =====================================================
+    // DATES AND FISCAL YEAR
+    // =====================================================
+
+    /**
+     * YYYYMMDD that exists in the calendar (20240230 does not)
+     * @param {string} value - Date
+     * @returns {boolean}
+     */
+    function isValidFECDate(value) {
+        return parseFECDate(value) !== null;
+    }
+
+    /**
+     * Check and complete the bounds of a fiscal year. It may start on any
+     * day and, for a first fiscal year, last up to FISCAL_YEAR_MAX_MONTHS.
+     * @param {Object} fiscalYear - { start: 'YYYYMMDD', end: 'YYYYMMDD' }
+     *     (start defaults to twelve months before the end)
+     * @returns {Object} { start, end, months, long: boolean (over twelve months) }
+     */
+    function getFiscalYearBounds(fiscalYear = {}) {
+        const endDate = parseFECDate(fiscalYear.end);
+        if (!endDate) {
+            throw new Error(`Date de clôture de l'exercice invalide: ${fiscalYear.end || '(vide)'}`);
+        }
+
+        const startDate = fiscalYear.start ? parseFECDate(fiscalYear.start) : addDays(addMonths(endDate, -12), 1);
+        if (!startDate) {
+            throw new Error(`Date de début de l'exercice invalide: ${fiscalYear.start}`);
+        }
+        if (startDate > endDate) {
+            throw new Error('La date de début de l\'exercice est postérieure à sa date de clôture');
+        }
+
+        // Months started between the first day and the day after the closing
+        const next = addDays(endDate, 1);
+        let months = (next.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+                     next.getUTCMonth() - startDate.getUTCMonth();
+        if (next.getUTCDate() > startDate.getUTCDate()) {
+            months++;
+        }
+
+        const maxMonths = FEC_CONFIG.VALIDATION.FISCAL_YEAR_MAX_MONTHS;
+        if (months > maxMonths) {
+            throw new Error(`Exercice de ${months} mois: ${maxMonths} mois au maximum`);
+        }
+
+        return {
+            start: toFECDate(startDate),
+            end: toFECDate(endDate),
+            months,
+            long: months > 12
+        };
+    }
+
+    function parseFECDate(value) {
+        if (!FEC_CONFIG.VALIDATION.DATE_FORMAT.test(value || '')) return null;
+
+        const year = parseInt(value.substr(0, 4), 10);
+        const month = parseInt(value.substr(4, 2), 10);
+        const day = parseInt(value.substr(6, 2), 10);
+        const date = new Date(Date.UTC(year, month - 1, day));
+
+        // Date.UTC rolls over out-of-range days and months (20241345)
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    function toFECDate(date) {
+        return date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    function addDays(date, days) {
+        return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Same day n months later, or the last day of a shorter month
+     */
+    function addMonths(date, months) {
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+        return target;
+    }
+
+    function formatSequenceNumber(sequence, number) {
+        return sequence.prefix + String(number).padStart(sequence.width, '0');
+    }
+
+    function formatRange(range) {
+        return range.from === range.to ? range.from : `${range.from} à ${range.to}`;
+    }
+
+    // =====================================================
+    // FEC FILE GENERATION
+    // =====================================================
+
+    /**
+     * Generate FEC file content
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { regime / schema / amountLayout: file layout (see getSchema) }
+     * @returns {string} FEC file content (pipe-delimited)
+     */
+    function generateFECFile(entries, options = {}) {
+        return buildFECContent(entries, options, false).content;
+    }
+
+    /**
+     * Generate the FEC file to download, encoded in ISO-8859-1 as the
+     * administration expects
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { strict: boolean (throw on characters without a Latin-1 equivalent),
+     *        regime / schema / amountLayout: file layout (see getSchema) }
+     * @returns {Object} { content, blob, encoding: 'ISO-8859-1', report: { valid, transliterated, unmappable } }
+     */
+    function generateFECBlob(entries, options = {}) {
+        const { content, report } = buildFECContent(entries, options, true);
+
+        if (options.strict && report.unmappable.length > 0) {
+            const first = report.unmappable[0];
+            throw new Error(`${report.unmappable.length} caractère(s) non représentable(s) en ISO-8859-1 (ligne ${first.line}, champ ${first.field})`);
+        }
+
+        if (report.transliterated.length > 0 || report.unmappable.length > 0) {
+            console.warn(`ISO-8859-1: ${report.transliterated.length} translittération(s), ${report.unmappable.length} caractère(s) remplacé(s) par "?"`);
+        }
+
+        return {
+            content,
+            blob: new Blob([encodeLatin1(content)], { type: 'text/plain;charset=ISO-8859-1' }),
+            encoding: 'ISO-8859-1',
+            report: {
+                valid: report.unmappable.length === 0,
+                transliterated: report.transliterated,
+                unmappable: report.unmappable
+            }
+        };
+    }
+
+    /**
+     * Header and data lines, transliterated to Latin-1 when asked
+     * @returns {Object} { content: string, report: { transliterated, unmappable } }
+     */
+    function buildFECContent(entries, options, latin1) {
+        console.log('Generating FEC file for', entries.length, 'entries...');
+
+        if (!entries || entries.length === 0) {
+            throw new Error('Aucune écriture à exporter');
+        }
+
+        const report = { transliterated: [], unmappable: [] };
+        const schema = getSchema(options);
+        const fields = schema.fields;
+
+        // Header line (field names)
+        const header = fields.join('|');
+
+        // Data lines
+        const lines = entries.map((entry, index) => {
+            const values = schema.amountLayout === 'MONTANT_SENS' ? { ...entry, ...toMontantSens(entry) } : entry;
+
+            return fields.map(field => {
+                let value = values[field] || '';
+                
+                // Format amounts with comma decimal separator
+                // (Montantdevise stays empty for lines in the base currency)
+                if (field === 'Debit' || field === 'Credit' || field === 'Montant' ||
+                    (field === 'Montantdevise' && value !== '')) {
+                    const num = parseFloat(value || 0);
+                    value = num.toFixed(2).replace('.', ',');
+                }
+                
+                // Ensure no pipe characters in values (would break format)
+                value = value.toString().replace(/\|/g, '');
+
+                // Line numbers are 1-based and count the header line
+                if (latin1) {
+                    value = toLatin1Field(value, index + 2, field, entry, report);
+                }
+                
+                return value;
+            }).join('|');
+        });
+
+        const content = [header, ...lines].join('\r\n');
+
+        console.log('✅ FEC file generated:', lines.length, 'entries');
+
+        return { content, report };
+    }
+
+    // =====================================================
+    // FEC FILE PARSING
+    // =====================================================
+
+    /**
+     * Parse FEC file content
+     * @param {string|ArrayBuffer|Uint8Array} input - FEC file content or raw bytes
+     * @param {Object} options - { separator: '|' | '\t', withDetails: boolean,
+     *        regime / schema / amountLayout: expected layout (detected from the header when absent) }
+     * @returns {Array|Object} Array of entry objects (always with Debit / Credit), or
+     *          { entries, encoding, separator, schema, amountLayout, skippedLines } when withDetails is set
+     */
+    function parseFECFile(input, options = {}) {
+        console.log('Parsing FEC file...');
+
+        if (input === null || input === undefined ||
+            (typeof input === 'string' && input.trim() === '')) {
+            throw new Error('Fichier FEC vide');
+        }
+
+        const parser = createFECParser({
+            separator: options.separator,
+            schema: options.schema,
+            regime: options.regime,
+            amountLayout: options.amountLayout
+        });
+        parser.push(typeof input === 'string' ? input : toUint8Array(input));
+        const result = parser.end();
+
+        console.log(`✅ FEC file parsed: ${result.entries.length} entries (${result.encoding}, séparateur ${FEC_CONFIG.SEPARATORS[result.separator]}, structure ${result.schema}, ${FEC_CONFIG.AMOUNT_LAYOUTS[result.amountLayout].label})`);
+
+        if (options.withDetails) {
+            return result;
+        }
+
+        return result.entries;
+    }
+
+    /**
+     * Create an incremental FEC parser fed chunk by chunk.
+     * Lines split across chunks are buffered until their end is seen.
+     * @param {Object} options - { separator, regime / schema / amountLayout, onEntries(batch) }
+     *        When onEntries is set, parsed entries are handed over after each
+     *        push instead of being kept by the parser.
+     *        Each entry keeps its SourceLine (1-based, header included), the
+     *        line reported to the user; not a FEC field, exports leave it out.
+     *        Without regime or schema, the layout is detected from the header;
+     *        without amountLayout, the amount columns too.
+     * @returns {Object} { push(chunk: string|Uint8Array), end(): Object,
+     *          schema: layout id once the header is read }
+     */
+    function createFECParser(options = {}) {
+        // Fails early on an unknown regime or layout
+        const requestedSchema = (options.regime || options.schema) ? getSchema(options) : null;
+        let expectedFields = null;
+        const entries = [];
+        const state = {
+            decoder: null,
+            encoding: null,
+            firstChunk: true,
+            remainder: '',
+            separator: options.separator || null,
+            schema: null,
+            headerParsed: false,
+            lineNumber: 0,
+            nonEmptyLines: 0,
+            skippedLines: []
+        };
+
+        function decodeBytes(bytes) {
+            if (!state.decoder) {
+                const detected = detectEncoding(bytes);
+
+                if (state.firstChunk && detected.bom) {
+                    bytes = bytes.subarray(3);
+                }
+                state.firstChunk = false;
+
+                // Pure ASCII so far: decodes identically in every candidate
+                // encoding, so the decision waits for the first non-ASCII byte
+                if (detected.encoding === 'ASCII') {
+                    state.encoding = 'ASCII';
+                    return new TextDecoder('utf-8').decode(bytes);
+                }
+
+                state.encoding = detected.encoding;
+                state.decoder = new TextDecoder(detected.encoding === 'UTF-8' ? 'utf-8' : 'windows-1252');
+            } else if (state.encoding === 'ISO-8859-1' && detectEncoding(bytes).encoding === 'windows-1252') {
+                state.encoding = 'windows-1252';
+            }
+
+            return state.decoder.decode(bytes, { stream: true });
+        }
+
+        function processText(text, final) {
+            if (state.firstChunk) {
+                text = text.replace(/^\uFEFF/, '');
+                state.firstChunk = false;
+                state.encoding = state.encoding || 'UTF-8';
+            }
+
+            const lines = (state.remainder + text).split(/\r?\n/);
+            state.remainder = final ? '' : lines.pop();
+            lines.forEach(processLine);
+        }
+
+        function processLine(line) {
+            state.lineNumber++;
+
+            if (line.trim() === '') {
+                return;
+            }
+            state.nonEmptyLines++;
+
+            // First line should be header
+            if (!state.headerParsed) {
+                state.separator = state.separator || detectSeparator(line);
+                const header = line.split(state.separator);
+
+                // Validate header
+                state.schema = requestedSchema
+                    ? getSchema({ ...options, amountLayout: options.amountLayout || detectAmountLayout(header) })
+                    : detectSchema(header);
+
+                if (!state.schema) {
+                    const counts = getSchemaFieldCounts();
+                    throw new Error(`Format FEC invalide: ${header.length} colonnes au lieu de ${counts.slice(0, -1).join(', ')} ou ${counts[counts.length - 1]}`);
+                }
+                expectedFields = state.schema.fields;
+
+                if (header.length !== expectedFields.length) {
+                    throw new Error(`Format FEC invalide: ${header.length} colonnes au lieu de ${expectedFields.length}`);
+                }
+
+                state.headerParsed = true;
+                return;
+            }
+
+            const values = line.split(state.separator);
+
+            if (values.length !== expectedFields.length) {
+                console.warn(`Ligne ${state.lineNumber} ignorée: nombre de colonnes invalide`);
+                state.skippedLines.push({
+                    line: state.lineNumber,
+                    reason: `${values.length} colonnes au lieu de ${expectedFields.length}`
+                });
+                return;
+            }
+
+            let entry = {};
+            expectedFields.forEach((field, index) => {
+                let value = values[index].trim();
+                
+                // Convert comma to dot for amounts
+                if (field === 'Debit' || field === 'Credit' || field === 'Montant' || field === 'Montantdevise') {
+                    value = value.replace(',', '.');
+                }
+                
+                entry[field] = value;
+            });
+
+            if (state.schema.amountLayout === 'MONTANT_SENS') {
+                const sens = entry.Sens;
+                entry = fromMontantSens(entry);
+
+                if (!entry) {
+                    console.warn(`Ligne ${state.lineNumber} ignorée: sens invalide`);
+                    state.skippedLines.push({
+                        line: state.lineNumber,
+                        reason: `Sens invalide: "${sens}" (attendu: D ou C)`
+                    });
+                    return;
+                }
+            }
+
+            entry.SourceLine = state.lineNumber;
+            entries.push(entry);
+        }
+
+        function flush() {
+            if (options.onEntries && entries.length > 0) {
+                options.onEntries(entries.splice(0, entries.length));
+            }
+        }
+
+        return {
+            get schema() {
+                return state.schema ? state.schema.id : null;
+            },
+
+            push(chunk) {
+                processText(typeof chunk === 'string' ? chunk : decodeBytes(chunk), false);
+                flush();
+            },
+
+            end() {
+                processText(state.decoder ? state.decoder.decode() : '', true);
+                flush();
+
+                if (state.nonEmptyLines === 0) {
+                    throw new Error('Fichier FEC vide');
+                }
+                if (state.nonEmptyLines < 2) {
+                    throw new Error('Fichier FEC invalide: moins de 2 lignes');
+                }
+
+                return {
+                    entries: options.onEntries ? [] : entries,
+                    encoding: state.encoding,
+                    separator: state.separator,
+                    schema: state.schema ? state.schema.id : null,
+                    amountLayout: state.schema ? state.schema.amountLayout : null,
+                    skippedLines: state.skippedLines,
+                    lineCount: state.lineNumber
+                };
+            }
+        };
+    }
+
+    /**
+     * Detect the field separator from the header line
+     * @param {string} headerLine - First line of the file
+     * @returns {string} '|' or '\t'
+     */
+    function detectSeparator(headerLine) {
+        const expected = getSchemaFieldCounts();
+        const candidates = Object.keys(FEC_CONFIG.SEPARATORS);
+
+        // Prefer the separator that yields the column count of a known layout
+        const exact = candidates.find(sep => expected.includes(headerLine.split(sep).length));
+        if (exact) {
+            return exact;
+        }
+
+        // Otherwise the most frequent one, so the column count error is meaningful
+        return candidates.reduce((best, sep) =>
+            headerLine.split(sep).length > headerLine.split(best).length ? sep : best
+        );
+    }
+
+    // =====================================================
+    // LARGE FILE PARSING (CHUNKED / WEB WORKER)
+    // =====================================================
+
+    // Captured at load time: document.currentScript is only set while the
+    // script is executing, and is absent inside the worker itself
+    const MODULE_URL = (typeof document !== 'undefined' && document.currentScript)
+        ? document.currentScript.src
+        : null;
+
+    /**
+     * Parse, validate and compute statistics for a FEC file off the main thread
+     * @param {File|Blob|ArrayBuffer|string} source - FEC file
+     * @param {Object} options - {
+     *     onProgress({ phase: 'parse' | 'validate', loaded, total }),
+     *     signal: AbortSignal,
+     *     separator: string,
+     *     validate: boolean (default true),
+     *     validationOptions: Object (see validateFECCompliance)
+     * }
+     * @returns {Promise<Object>} { entries, encoding, separator, schema, amountLayout, skippedLines,
+     *          lineCount, validation, statistics }
+     */
+    function parseFECFileAsync(source, options = {}) {
+        const { onProgress = () => {}, signal = null, ...pipelineOptions } = options;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const workerUrl = getWorkerUrl();
+
+            // No worker support: same pipeline, chunked on the main thread
+            if (!workerUrl || typeof Worker === 'undefined') {
+                console.warn('Web Worker indisponible, analyse FEC sur le thread principal');
+                const entries = [];
+                runFECPipeline(source, {
+                    ...pipelineOptions,
+                    signal,
+                    onProgress,
+                    onEntries: batch => { for (const entry of batch) entries.push(entry); }
+                }).then(result => resolve({ ...result, entries }), reject);
+                return;
+            }
+
+            const worker = new Worker(workerUrl);
+            const entries = [];
+
+            const onAbort = () => {
+                worker.terminate();
+                reject(createAbortError());
+            };
+
+            const finish = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                switch (message.type) {
+                    case 'progress':
+                        onProgress(message.progress);
+                        break;
+                    case 'entries':
+                        // Batches keep each postMessage small; push avoids spreading huge arrays
+                        for (const entry of message.entries) entries.push(entry);
+                        break;
+                    case 'done':
+                        finish();
+                        resolve({ ...message.result, entries });
+                        break;
+                    case 'error':
+                        finish();
+                        reject(new Error(message.message));
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                finish();
+                reject(new Error(event.message || 'Erreur du worker FEC'));
+            };
+
+            worker.postMessage({ type: 'parse', source, options: pipelineOptions });
+        });
+    }
+
+    /**
+     * Chunked parse + validation + statistics pipeline.
+     * Runs inside fec-worker.js, or on the main thread as a fallback.
+     * Each batch is validated and summarized, then handed to onEntries: the
+     * pipeline keeps no entries, the caller holds the only copy.
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} source - FEC file
+     * @param {Object} options - { onProgress, onEntries(batch), signal, separator,
+     *        regime / schema / amountLayout, validate, validationOptions }
+     * @returns {Promise<Object>} Parse details, validation and statistics (without entries)
+     */
+    async function runFECPipeline(source, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const chunkSize = FEC_CONFIG.STREAMING.CHUNK_SIZE;
+        const total = getSourceSize(source);
+        const statistics = createStatisticsAccumulator();
+        // Created with the first batch, once the layout is known
+        let validator = null;
+
+        const parser = createFECParser({
+            separator: options.separator,
+            schema: options.schema,
+            regime: options.regime,
+            amountLayout: options.amountLayout,
+            onEntries: batch => {
+                if (options.validate !== false) {
+                    validator = validator || createValidationAccumulator({
+                        schema: parser.schema,
+                        ...options.validationOptions
+                    });
+                    validator.add(batch);
+                }
+                for (const entry of batch) {
+                    statistics.add(entry);
+                }
+                if (options.onEntries) options.onEntries(batch);
             }
         });
-        return classes;
+
+        if (total === 0) {
+            throw new Error('Fichier FEC vide');
+        }
+
+        for (let offset = 0; offset < total; offset += chunkSize) {
+            throwIfAborted(options.signal);
+            parser.push(await readChunk(source, offset, chunkSize));
+            onProgress({ phase: 'parse', loaded: Math.min(offset + chunkSize, total), total });
+
+            // Let the event loop breathe (progress rendering, abort events)
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const details = parser.end();
+        throwIfAborted(options.signal);
+
+        // Whole-file checks (balances, duplicates, sequences) run on the totals
+        onProgress({ phase: 'validate', loaded: 0, total: 1 });
+        const validation = options.validate === false
+            ? null
+            : (validator || createValidationAccumulator({ schema: details.schema, ...options.validationOptions })).result();
+        onProgress({ phase: 'validate', loaded: 1, total: 1 });
+
+        return {
+            encoding: details.encoding,
+            separator: details.separator,
+            schema: details.schema,
+            amountLayout: details.amountLayout,
+            skippedLines: details.skippedLines,
+            lineCount: details.lineCount,
+            validation,
+            statistics: statistics.result()
+        };
+    }
+
+    function getWorkerUrl() {
+        if (FEC_CONFIG.STREAMING.WORKER_URL) {
+            return FEC_CONFIG.STREAMING.WORKER_URL;
+        }
+        return MODULE_URL ? new URL('fec-worker.js', MODULE_URL).href : null;
+    }
+
+    function getSourceSize(source) {
+        if (typeof source === 'string') return source.length;
+        if (typeof Blob !== 'undefined' && source instanceof Blob) return source.size;
+        return source.byteLength;
+    }
+
+    async function readChunk(source, offset, size) {
+        if (typeof source === 'string') {
+            return source.slice(offset, offset + size);
+        }
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            return new Uint8Array(await source.slice(offset, offset + size).arrayBuffer());
+        }
+        return toUint8Array(source).subarray(offset, offset + size);
+    }
+
+    function toUint8Array(input) {
+        if (input instanceof Uint8Array) return input;
+        if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        return new Uint8Array(input);
+    }
+
+    function createAbortError() {
+        const error = new Error('Analyse FEC annulée');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw createAbortError();
+        }
+    }
+
+    // =====================================================
+    // ENCODING HELPERS
+    // =====================================================
+
+    // Characters outside ISO-8859-1 with an accepted Latin-1 spelling.
+    // Anything not listed here falls back to stripping diacritics (NFD).
+    const LATIN1_TRANSLITERATIONS = {
+        '\u2018': "'", '\u2019': "'", '\u201A': "'", '\u2032': "'",
+        '\u201C': '"', '\u201D': '"', '\u201E': '"', '\u2033': '"',
+        '\u2010': '-', '\u2011': '-', '\u2013': '-', '\u2014': '-', '\u2212': '-',
+        '\u2022': '-',
+        '\u2026': '...',
+        '\u2039': '<', '\u203A': '>',
+        '\u0152': 'OE', '\u0153': 'oe',
+        '\u0178': 'Y',
+        '\u0110': 'D', '\u0111': 'd', '\u0131': 'i', '\u0141': 'L', '\u0142': 'l',
+        '\u20AC': 'EUR',
+        '\u2030': 'o/oo',
+        '\u2122': 'TM',
+        '\u0192': 'f',
+        '\u2007': ' ', '\u2009': ' ', '\u202F': ' ',
+        '\u200B': '', '\uFEFF': ''
+    };
+
+    /**
+     * Detect the text encoding of raw FEC bytes
+     * @param {Uint8Array} bytes - Raw file content
+     * @returns {Object} { encoding: 'UTF-8' | 'ISO-8859-1' | 'windows-1252' | 'ASCII', bom: boolean }
+     */
+    function detectEncoding(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'UTF-8', bom: true };
+        }
+
+        let hasHighBytes = false;
+        let hasC1Bytes = false;
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] >= 0x80) {
+                hasHighBytes = true;
+                if (bytes[i] <= 0x9F) {
+                    hasC1Bytes = true;
+                    break;
+                }
+            }
+        }
+
+        if (!hasHighBytes) {
+            return { encoding: 'ASCII', bom: false };
+        }
+
+        try {
+            // stream: a multi-byte sequence cut at the end of a chunk is not an error
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return { encoding: 'UTF-8', bom: false };
+        } catch (error) {
+            // 0x80-0x9F are control codes in ISO-8859-1 but printable
+            // characters (€, œ, ’...) in its Windows superset
+            return { encoding: hasC1Bytes ? 'windows-1252' : 'ISO-8859-1', bom: false };
+        }
+    }
+
+    /**
+     * Convert text to characters representable in ISO-8859-1
+     * @param {string} text - Text to convert
+     * @returns {Object} { text: string, changes: Array<{ original, replacement }> }
+     *          replacement is null when no Latin-1 equivalent exists ("?" is used)
+     */
+    function transliterateLatin1(text) {
+        let result = '';
+        const changes = [];
+
+        for (const char of String(text).normalize('NFC')) {
+            if (char.charCodeAt(0) <= 0xFF) {
+                result += char;
+                continue;
+            }
+
+            let replacement = LATIN1_TRANSLITERATIONS[char];
+            if (replacement === undefined) {
+                const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                replacement = /^[\x00-\xFF]+$/.test(stripped) ? stripped : null;
+            }
+
+            changes.push({ original: char, replacement });
+            result += replacement === null ? '?' : replacement;
+        }
+
+        return { text: result, changes };
+    }
+
+    /**
+     * Transliterate one field value and record the changes in the report
+     */
+    function toLatin1Field(value, line, field, entry, report) {
+        const { text, changes } = transliterateLatin1(value);
+
+        changes.forEach(change => {
+            const item = {
+                line,
+                field,
+                entry: entry.EcritureNum || '',
+                original: change.original,
+                codePoint: 'U+' + change.original.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')
+            };
+
+            if (change.replacement === null) {
+                report.unmappable.push({ ...item, replacement: '?' });
+            } else {
+                report.transliterated.push({ ...item, replacement: change.replacement });
+            }
+        });
+
+        return text;
+    }
+
+    /**
+     * Encode a Latin-1 string into bytes (one byte per character)
+     * @param {string} text - Text containing only U+0000..U+00FF characters
+     * @returns {Uint8Array} ISO-8859-1 bytes
+     */
+    function encodeLatin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code > 0xFF) {
+                throw new Error(`Caractère non ISO-8859-1 à la position ${i}: ${text[i]}`);
+            }
+            bytes[i] = code;
+        }
+        return bytes;
+    }
+
+    /**
+     * Browsers encode strings as UTF-8 when building a Blob, whatever the
+     * charset in the MIME type. generateFECBlob()
+     * works around this by transliterating the content and writing the
+     * Latin-1 bytes itself, so the downloaded file can be submitted as-is.
+     */
+    function getEncodingNote() {
+        return `
+ℹ️ Encodage ISO-8859-1
+
+Le fichier FEC doit être encodé en ISO-8859-1 pour être accepté par l'administration fiscale.
+
+Le fichier généré est directement encodé en ISO-8859-1:
+- Les caractères typographiques (guillemets, tirets, €, œ...) sont translittérés
+- Les caractères sans équivalent sont remplacés par "?" et listés ligne par ligne dans le rapport d'encodage
+
+Vérifiez le rapport d'encodage avant soumission si des caractères ont été remplacés.
+        `.trim();
+    }
+
+    // =====================================================
+    // UTILITY FUNCTIONS
+    // =====================================================
+
+    /**
+     * Get statistics from FEC entries
+     * @param {Array} entries - FEC entries
+     * @returns {Object} Statistics object
+     *   (currencies: { CODE: { count, foreignAmount, amount, averageRate } } for lines with an Idevise)
+     */
+    function getStatistics(entries) {
+        const accumulator = createStatisticsAccumulator();
+        for (const entry of entries) {
+            accumulator.add(entry);
+        }
+        return accumulator.result();
+    }
+
+    /**
+     * Single-pass statistics, fed one entry at a time.
+     * Avoids Math.min(...array), which overflows the call stack on large files.
+     * @returns {Object} { add(entry), result(): Object }
+     */
+    function createStatisticsAccumulator() {
+        const stats = {
+            totalEntries: 0,
+            validatedEntries: 0,
+            totalDebit: 0,
+            totalCredit: 0,
+            dateRange: { start: null, end: null },
+            journalCounts: {},
+            accountClasses: {},
+            currencies: {}
+        };
+        const currencyTotals = {};
+
+        return {
+            add(entry) {
+                stats.totalEntries++;
+                if (entry.ValidDate && entry.ValidDate.trim() !== '') {
+                    stats.validatedEntries++;
+                }
+                stats.totalDebit += parseFloat(entry.Debit || 0);
+                stats.totalCredit += parseFloat(entry.Credit || 0);
+
+                // YYYYMMDD strings compare chronologically
+                const date = entry.EcritureDate;
+                if (date) {
+                    if (stats.dateRange.start === null || date < stats.dateRange.start) stats.dateRange.start = date;
+                    if (stats.dateRange.end === null || date > stats.dateRange.end) stats.dateRange.end = date;
+                }
+
+                const journal = entry.JournalCode || 'Non renseigné';
+                stats.journalCounts[journal] = (stats.journalCounts[journal] || 0) + 1;
+
+                if (entry.CompteNum) {
+                    const classNum = entry.CompteNum[0];
+                    const className = FEC_CONFIG.PCG_CLASSES[classNum] || 'Classe inconnue';
+                    stats.accountClasses[classNum] = stats.accountClasses[classNum] || { name: className, count: 0 };
+                    stats.accountClasses[classNum].count++;
+                }
+
+                // Per-currency totals, in cents until result()
+                const currency = (entry.Idevise || '').trim();
+                if (currency) {
+                    const totals = currencyTotals[currency] = currencyTotals[currency] || { count: 0, foreign: 0, amount: 0 };
+                    totals.count++;
+                    totals.foreign += Math.abs(toCents(entry.Montantdevise));
+                    totals.amount += Math.abs(toCents(entry.Debit) - toCents(entry.Credit));
+                }
+            },
+
+            result() {
+                Object.keys(currencyTotals).forEach(currency => {
+                    const totals = currencyTotals[currency];
+                    stats.currencies[currency] = {
+                        count: totals.count,
+                        foreignAmount: totals.foreign / 100,
+                        amount: totals.amount / 100,
+                        averageRate: totals.foreign > 0 ? Math.round(totals.amount / totals.foreign * 1e6) / 1e6 : null
+                    };
+                });
+                return stats;
+            }
+        };
     }
 
     // =====================================================
@@ -473,14 +2045,37 @@ NE PAS soumettre directement le fichier téléchargé depuis le navigateur.
         // Validation
         validateEntry,
         validateFECCompliance,
+        createValidationAccumulator,
+        findSequenceGaps,
+        validateLettering,
+        validateAuxiliaryAccounts,
+        validateCurrencyAmounts,
+        getFiscalYear,
+        getPeriodScope,
+        getFiscalYearBounds,
+        isValidFECDate,
         
         // File operations
         generateFECFile,
+        generateFECBlob,
         parseFECFile,
+        parseFECFileAsync,
+        createFECParser,
+        runFECPipeline,
+        detectEncoding,
+        detectSeparator,
+        getSchema,
+        detectSchema,
+        detectAmountLayout,
         
         // Utilities
+        toCents,
+        formatCents,
         getStatistics,
+        createStatisticsAccumulator,
         getEncodingNote,
+        transliterateLatin1,
+        encodeLatin1,
         
         // Configuration
         config: FEC_CONFIG
@@ -0,0 +1,340 @@
+/**
+ * ========================================
+ * NUMMA - FEC PAYROLL MODULE v3.0
+ * ========================================
+ * Monthly payroll écriture generated from the contributions computed by
+ * EmployeeAPI.calculateDeductions (numma-employees.js)
+ *
+ * Features:
+ * - Gross salaries on 641, employer contributions on 645 per body
+ * - Employee and employer shares owed to the social bodies (431, 437)
+ * - Net pay owed to each employee on 421, with an auxiliary account
+ * - Withholding tax (prélèvement à la source) on 4421
+ * - Employees hired after the month, or without gross salary, left out
+ * - Posted in OD or in the payroll journal, checked with
+ *   validateFECCompliance before posting
+ *
+ * A payslip is { employee, deductions } where deductions is the
+ * calculateDeductions(employee) result: [{ label, base, rate,
+ * employee_amount, employer_amount }]. The withholding rate (%) is
+ * employee.withholding_rate, or the default rate of the batch.
+ *
+ * DEPENDENCIES: fec-module.js, fec-saisie.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('💶 Loading FEC Payroll Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined' || typeof window.FECSaisie === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js and fec-saisie.js required');
+        return;
+    }
+
+    const { toCents, formatCents, isValidFECDate } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const PAYROLL_CONFIG = {
+        JOURNALS: ['OD', 'PA'],
+        DEFAULT_JOURNAL: 'PA',
+
+        PIECE_PREFIX: 'PAIE',
+        EMPLOYEE_AUX_PREFIX: 'S',
+
+        ACCOUNTS: {
+            GROSS: { CompteNum: '641100', CompteLib: 'Salaires, appointements' },
+            NET: { CompteNum: '421000', CompteLib: 'Personnel - Rémunérations dues' },
+            WITHHOLDING: { CompteNum: '442100', CompteLib: 'Prélèvement à la source' }
+        },
+
+        // Contribution label (calculateDeductions) -> employer charge and social body
+        CONTRIBUTIONS: {
+            'Sécurité sociale': { charge: '645100', body: '431000' },
+            'Retraite complémentaire': { charge: '645300', body: '437100' },
+            'Assurance chômage': { charge: '645400', body: '431000' },
+            'CSG/CRDS': { charge: '645100', body: '431000' },
+            'Prévoyance': { charge: '645800', body: '437200' }
+        },
+        DEFAULT_CONTRIBUTION: { charge: '645800', body: '437000' },
+
+        ACCOUNT_LABELS: {
+            '645100': 'Cotisations à l\'URSSAF',
+            '645300': 'Cotisations aux caisses de retraite',
+            '645400': 'Cotisations à France Travail',
+            '645800': 'Cotisations aux autres organismes sociaux',
+            '431000': 'Sécurité sociale',
+            '437000': 'Autres organismes sociaux',
+            '437100': 'Caisses de retraite complémentaire',
+            '437200': 'Organismes de prévoyance'
+        },
+
+        // Share of the CSG/CRDS that is not deductible (2,4 % CSG + 0,5 % CRDS
+        // out of 9,7 %): added back to the net for the withholding base
+        CSG_LABEL: 'CSG/CRDS',
+        NON_DEDUCTIBLE_CSG_SHARE: 2.9 / 9.7,
+
+        MONTH_NAMES: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet',
+                      'août', 'septembre', 'octobre', 'novembre', 'décembre']
+    };
+
+    // =====================================================
+    // PAYSLIPS
+    // =====================================================
+
+    /**
+     * Amounts of one payslip, in cents
+     * @param {Object} payslip - { employee, deductions }
+     * @param {Object} options - { withholdingRate: default rate (%) }
+     * @returns {Object} {
+     *     gross, employee, employer, taxable, withholding, net,
+     *     contributions: [{ label, employee, employer }]
+     * }
+     */
+    function computePayslip(payslip, options = {}) {
+        const gross = toCents(payslip.employee.gross_salary);
+
+        const contributions = payslip.deductions.map(deduction => ({
+            label: deduction.label,
+            employee: Math.round(Number(deduction.employee_amount || 0) * 100),
+            employer: Math.round(Number(deduction.employer_amount || 0) * 100)
+        }));
+
+        const employee = contributions.reduce((sum, item) => sum + item.employee, 0);
+        const employer = contributions.reduce((sum, item) => sum + item.employer, 0);
+
+        const csg = contributions.find(item => item.label === PAYROLL_CONFIG.CSG_LABEL);
+        const taxable = gross - employee + (csg ? Math.round(csg.employee * PAYROLL_CONFIG.NON_DEDUCTIBLE_CSG_SHARE) : 0);
+
+        const rate = getWithholdingRate(payslip.employee, options);
+        const withholding = Math.max(0, Math.round(taxable * rate / 100));
+
+        return {
+            gross,
+            employee,
+            employer,
+            taxable,
+            withholding,
+            net: gross - employee - withholding,
+            contributions
+        };
+    }
+
+    function getWithholdingRate(employee, options) {
+        const rate = employee.withholding_rate !== undefined && employee.withholding_rate !== null && employee.withholding_rate !== ''
+            ? employee.withholding_rate
+            : options.withholdingRate;
+        return Number(rate) || 0;
+    }
+
+    // =====================================================
+    // ÉCRITURE
+    // =====================================================
+
+    /**
+     * Saisie draft of the month's payroll (see fec-saisie.js)
+     * @param {Array} payslips - [{ employee, deductions }]
+     * @param {Object} options - { period: 'YYYYMM', journalCode, withholdingRate }
+     * @returns {Object} { draft, payslips: [{ employee, amounts }] }
+     */
+    function createPayrollDraft(payslips, options = {}) {
+        const period = String(options.period || '');
+        const date = getPayrollDate(period);
+        const year = parseInt(period.substr(0, 4), 10);
+        const month = parseInt(period.substr(4, 2), 10);
+
+        const journalCode = options.journalCode || PAYROLL_CONFIG.DEFAULT_JOURNAL;
+        if (!PAYROLL_CONFIG.JOURNALS.includes(journalCode)) {
+            throw new Error(`Journal de paie non autorisé: ${journalCode}`);
+        }
+
+        const monthLabel = `${PAYROLL_CONFIG.MONTH_NAMES[month - 1]} ${year}`;
+        const { ACCOUNTS } = PAYROLL_CONFIG;
+
+        const computed = payslips.map(payslip => ({
+            employee: payslip.employee,
+            amounts: computePayslip(payslip, options)
+        }));
+
+        // Contributions are grouped by account; the employee lines keep one 421 each
+        const charges = new Map();
+        const bodies = new Map();
+        const add = (totals, account, amount) => totals.set(account, (totals.get(account) || 0) + amount);
+
+        computed.forEach(({ amounts }) => {
+            amounts.contributions.forEach(item => {
+                const accounts = PAYROLL_CONFIG.CONTRIBUTIONS[item.label] || PAYROLL_CONFIG.DEFAULT_CONTRIBUTION;
+                add(charges, accounts.charge, item.employer);
+                add(bodies, accounts.body, item.employee + item.employer);
+            });
+        });
+
+        const sum = (field) => computed.reduce((total, { amounts }) => total + amounts[field], 0);
+        const toLines = (totals, side) => Array.from(totals.entries()).map(([account, amount]) => ({
+            CompteNum: account,
+            CompteLib: PAYROLL_CONFIG.ACCOUNT_LABELS[account] || '',
+            [side]: formatCents(amount)
+        }));
+
+        const lines = [
+            { ...ACCOUNTS.GROSS, Debit: formatCents(sum('gross')) },
+            ...toLines(charges, 'Debit'),
+            ...toLines(bodies, 'Credit'),
+            ...computed.map(({ employee, amounts }) => ({
+                ...ACCOUNTS.NET,
+                CompAuxNum: PAYROLL_CONFIG.EMPLOYEE_AUX_PREFIX + employee.id,
+                CompAuxLib: getEmployeeName(employee),
+                EcritureLib: `Net à payer ${monthLabel} ${getEmployeeName(employee)}`,
+                Credit: formatCents(amounts.net)
+            })),
+            { ...ACCOUNTS.WITHHOLDING, Credit: formatCents(sum('withholding')) }
+        ].filter(line => toCents(line.Debit || line.Credit) !== 0);
+
+        return {
+            draft: {
+                JournalCode: journalCode,
+                EcritureDate: date,
+                PieceRef: `${PAYROLL_CONFIG.PIECE_PREFIX}${period}`,
+                PieceDate: date,
+                EcritureLib: `Salaires ${monthLabel}`,
+                lines
+            },
+            payslips: computed
+        };
+    }
+
+    /**
+     * Generate and check the month's payroll écriture
+     * @param {Array} payslips - [{ employee, deductions }]
+     * @param {Array} entries - Existing FEC entries
+     * @param {Object} options - createPayrollDraft options and createEcriture /
+     *     validateFECCompliance options (regime, fiscalYear, fiscalYearStart...)
+     * @returns {Object} {
+     *     valid, draft, ecriture, payslips: [{ employee, amounts }],
+     *     skipped: [{ employee, reason }],
+     *     entries: Array (new lines), validation: validateFECCompliance() result
+     * }
+     */
+    function previewPayroll(payslips, entries, options = {}) {
+        const periodEnd = getPayrollDate(String(options.period || ''));
+        const skipped = [];
+        const paid = payslips.filter(payslip => {
+            const hireDate = getHireDate(payslip.employee);
+            if (hireDate && hireDate > periodEnd) {
+                skipped.push({ employee: payslip.employee, reason: `Embauché(e) le ${hireDate.substr(6, 2)}/${hireDate.substr(4, 2)}/${hireDate.substr(0, 4)}, après la période` });
+                return false;
+            }
+            if (!(toCents(payslip.employee.gross_salary) > 0)) {
+                skipped.push({ employee: payslip.employee, reason: 'Salaire brut non renseigné' });
+                return false;
+            }
+            return true;
+        });
+
+        if (paid.length === 0) {
+            throw new Error('Aucun salarié à payer sur la période');
+        }
+
+        const { draft, payslips: computed } = createPayrollDraft(paid, options);
+
+        const posted = entries.some(entry => entry.JournalCode === draft.JournalCode && entry.PieceRef === draft.PieceRef);
+        if (posted) {
+            throw new Error(`Paie déjà comptabilisée (pièce ${draft.PieceRef})`);
+        }
+
+        computed.forEach(({ employee, amounts }) => {
+            if (amounts.net <= 0) {
+                throw new Error(`Net à payer négatif ou nul pour ${getEmployeeName(employee)}`);
+            }
+        });
+
+        const ecriture = window.FECSaisie.createEcriture(draft, entries, options);
+        const validation = window.FECModule.validateFECCompliance(ecriture.entries, options);
+
+        return {
+            valid: validation.valid && ecriture.valid,
+            draft,
+            ecriture,
+            payslips: computed,
+            skipped,
+            entries: ecriture.entries,
+            validation
+        };
+    }
+
+    /**
+     * Post a previewed payroll écriture, in EcritureDate order
+     * @param {Array} entries - FEC entries
+     * @param {Object} preview - Result of previewPayroll()
+     * @returns {Object} { entries: Array, ecritureNum: string }
+     */
+    function postPayroll(entries, preview) {
+        if (!preview.valid) {
+            throw new Error('Écriture de paie refusée: corrigez les erreurs de la prévisualisation');
+        }
+
+        const { JournalCode, EcritureNum } = preview.entries[0];
+        if (entries.some(entry => entry.JournalCode === JournalCode && entry.EcritureNum === EcritureNum)) {
+            throw new Error(`Le numéro ${EcritureNum} a été utilisé depuis la prévisualisation`);
+        }
+
+        console.log(`✅ Paie: écriture ${EcritureNum} (${preview.payslips.length} salarié(s))`);
+
+        return {
+            entries: window.FECSaisie.insertEntries(entries, preview.entries),
+            ecritureNum: EcritureNum
+        };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    /**
+     * Payroll is booked on the last day of the month
+     * @param {string} period - 'YYYYMM'
+     * @returns {string} YYYYMMDD
+     */
+    function getPayrollDate(period) {
+        const year = parseInt(period.substr(0, 4), 10);
+        const month = parseInt(period.substr(4, 2), 10);
+
+        if (!/^\d{6}$/.test(period) || month < 1 || month > 12) {
+            throw new Error(`Période de paie invalide: ${period || '(vide)'}`);
+        }
+
+        return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    /**
+     * Hire date as YYYYMMDD (stored as YYYY-MM-DD), or null when unknown
+     */
+    function getHireDate(employee) {
+        const date = String(employee.hire_date || '').slice(0, 10).replace(/-/g, '');
+        return isValidFECDate(date) ? date : null;
+    }
+
+    function getEmployeeName(employee) {
+        return `${employee.first_name || ''} ${employee.last_name || ''}`.trim();
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECPayroll = {
+        computePayslip,
+        createPayrollDraft,
+        previewPayroll,
+        postPayroll,
+
+        // Configuration
+        config: PAYROLL_CONFIG
+    };
+
+    console.log('✅ FEC Payroll Module v3.0 loaded');
+})();
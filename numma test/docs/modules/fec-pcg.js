@@ -0,0 +1,741 @@
+/**
+ * ========================================
+ * NUMMA - PLAN COMPTABLE GÉNÉRAL MODULE v3.0
+ * ========================================
+ * Reference of the Plan Comptable Général (PCG) accounts
+ *
+ * Features:
+ * - Bundled PCG account list (2- to 6-digit roots)
+ * - Account lookup by longest matching root
+ * - Existence check of the 3-digit root of a CompteNum
+ * - Account / journal consistency rules (e.g. no class 7 in AC)
+ * - CompteLib suggestions for entry editors (InteractiveModule autocomplete)
+ *
+ * DEPENDENCIES: none (numma-interactive-complete.js for autocomplete)
+ */
+
+(function() {
+    'use strict';
+
+    console.log('📚 Loading Plan Comptable Module v3.0...');
+
+    // =====================================================
+    // PCG REFERENCE
+    // =====================================================
+
+    const PCG_ACCOUNTS = {
+        // Classe 1 - Comptes de capitaux
+        '10': 'Capital et réserves',
+        '101': 'Capital',
+        '1011': 'Capital souscrit - non appelé',
+        '1012': 'Capital souscrit - appelé, non versé',
+        '1013': 'Capital souscrit - appelé, versé',
+        '1018': 'Capital souscrit soumis à des réglementations particulières',
+        '102': 'Fonds fiduciaires',
+        '104': 'Primes liées au capital social',
+        '1041': 'Primes d\'émission',
+        '1042': 'Primes de fusion',
+        '1043': 'Primes d\'apport',
+        '1044': 'Primes de conversion d\'obligations en actions',
+        '105': 'Écarts de réévaluation',
+        '106': 'Réserves',
+        '1061': 'Réserve légale',
+        '1062': 'Réserves indisponibles',
+        '1063': 'Réserves statutaires ou contractuelles',
+        '1064': 'Réserves réglementées',
+        '1068': 'Autres réserves',
+        '107': 'Écart d\'équivalence',
+        '108': 'Compte de l\'exploitant',
+        '109': 'Actionnaires : capital souscrit - non appelé',
+        '11': 'Report à nouveau',
+        '110': 'Report à nouveau (solde créditeur)',
+        '119': 'Report à nouveau (solde débiteur)',
+        '12': 'Résultat de l\'exercice',
+        '120': 'Résultat de l\'exercice (bénéfice)',
+        '129': 'Résultat de l\'exercice (perte)',
+        '13': 'Subventions d\'investissement',
+        '131': 'Subventions d\'équipement',
+        '138': 'Autres subventions d\'investissement',
+        '139': 'Subventions d\'investissement inscrites au compte de résultat',
+        '14': 'Provisions réglementées',
+        '143': 'Provisions réglementées relatives aux stocks',
+        '145': 'Amortissements dérogatoires',
+        '148': 'Autres provisions réglementées',
+        '15': 'Provisions',
+        '151': 'Provisions pour risques',
+        '1511': 'Provisions pour litiges',
+        '1512': 'Provisions pour garanties données aux clients',
+        '1515': 'Provisions pour pertes de change',
+        '1518': 'Autres provisions pour risques',
+        '153': 'Provisions pour pensions et obligations similaires',
+        '155': 'Provisions pour impôts',
+        '156': 'Provisions pour renouvellement des immobilisations',
+        '157': 'Provisions pour charges à répartir sur plusieurs exercices',
+        '158': 'Autres provisions pour charges',
+        '16': 'Emprunts et dettes assimilées',
+        '161': 'Emprunts obligataires convertibles',
+        '163': 'Autres emprunts obligataires',
+        '164': 'Emprunts auprès des établissements de crédit',
+        '165': 'Dépôts et cautionnements reçus',
+        '166': 'Participation des salariés aux résultats',
+        '167': 'Emprunts et dettes assortis de conditions particulières',
+        '168': 'Autres emprunts et dettes assimilées',
+        '1681': 'Autres emprunts',
+        '1688': 'Intérêts courus',
+        '169': 'Primes de remboursement des obligations',
+        '17': 'Dettes rattachées à des participations',
+        '171': 'Dettes rattachées à des participations (groupe)',
+        '174': 'Dettes rattachées à des participations (hors groupe)',
+        '178': 'Dettes rattachées à des sociétés en participation',
+        '18': 'Comptes de liaison des établissements et sociétés en participation',
+        '181': 'Comptes de liaison des établissements',
+        '186': 'Biens et prestations de services échangés entre établissements (charges)',
+        '187': 'Biens et prestations de services échangés entre établissements (produits)',
+        '188': 'Comptes de liaison des sociétés en participation',
+
+        // Classe 2 - Comptes d'immobilisations
+        '20': 'Immobilisations incorporelles',
+        '201': 'Frais d\'établissement',
+        '203': 'Frais de recherche et de développement',
+        '205': 'Concessions et droits similaires, brevets, licences, marques, procédés, logiciels',
+        '206': 'Droit au bail',
+        '207': 'Fonds commercial',
+        '208': 'Autres immobilisations incorporelles',
+        '21': 'Immobilisations corporelles',
+        '211': 'Terrains',
+        '212': 'Agencements et aménagements de terrains',
+        '213': 'Constructions',
+        '214': 'Constructions sur sol d\'autrui',
+        '215': 'Installations techniques, matériels et outillage industriels',
+        '2154': 'Matériel industriel',
+        '2155': 'Outillage industriel',
+        '218': 'Autres immobilisations corporelles',
+        '2181': 'Installations générales, agencements, aménagements divers',
+        '2182': 'Matériel de transport',
+        '2183': 'Matériel de bureau et matériel informatique',
+        '2184': 'Mobilier',
+        '2185': 'Cheptel',
+        '2186': 'Emballages récupérables',
+        '22': 'Immobilisations mises en concession',
+        '23': 'Immobilisations en cours',
+        '231': 'Immobilisations corporelles en cours',
+        '232': 'Immobilisations incorporelles en cours',
+        '237': 'Avances et acomptes versés sur immobilisations incorporelles',
+        '238': 'Avances et acomptes versés sur commandes d\'immobilisations corporelles',
+        '25': 'Parts dans des entreprises liées et créances sur des entreprises liées',
+        '26': 'Participations et créances rattachées à des participations',
+        '261': 'Titres de participation',
+        '266': 'Autres formes de participation',
+        '267': 'Créances rattachées à des participations',
+        '268': 'Créances rattachées à des sociétés en participation',
+        '269': 'Versements restant à effectuer sur titres de participation non libérés',
+        '27': 'Autres immobilisations financières',
+        '271': 'Titres immobilisés autres que les titres immobilisés de l\'activité de portefeuille',
+        '272': 'Titres immobilisés (droit de créance)',
+        '273': 'Titres immobilisés de l\'activité de portefeuille',
+        '274': 'Prêts',
+        '275': 'Dépôts et cautionnements versés',
+        '276': 'Autres créances immobilisées',
+        '277': 'Actions propres ou parts propres',
+        '279': 'Versements restant à effectuer sur titres immobilisés non libérés',
+        '28': 'Amortissements des immobilisations',
+        '280': 'Amortissements des immobilisations incorporelles',
+        '281': 'Amortissements des immobilisations corporelles',
+        '2813': 'Amortissements des constructions',
+        '2815': 'Amortissements des installations techniques, matériels et outillage',
+        '2818': 'Amortissements des autres immobilisations corporelles',
+        '282': 'Amortissements des immobilisations mises en concession',
+        '29': 'Dépréciations des immobilisations',
+        '290': 'Dépréciations des immobilisations incorporelles',
+        '291': 'Dépréciations des immobilisations corporelles',
+        '292': 'Dépréciations des immobilisations mises en concession',
+        '293': 'Dépréciations des immobilisations en cours',
+        '296': 'Dépréciations des participations et créances rattachées',
+        '297': 'Dépréciations des autres immobilisations financières',
+
+        // Classe 3 - Comptes de stocks et en-cours
+        '31': 'Matières premières et fournitures',
+        '32': 'Autres approvisionnements',
+        '321': 'Matières consommables',
+        '322': 'Fournitures consommables',
+        '326': 'Emballages',
+        '33': 'En-cours de production de biens',
+        '331': 'Produits en cours',
+        '335': 'Travaux en cours',
+        '34': 'En-cours de production de services',
+        '341': 'Études en cours',
+        '345': 'Prestations de services en cours',
+        '35': 'Stocks de produits',
+        '351': 'Produits intermédiaires',
+        '355': 'Produits finis',
+        '358': 'Produits résiduels',
+        '36': 'Stocks provenant d\'immobilisations',
+        '37': 'Stocks de marchandises',
+        '38': 'Stocks en voie d\'acheminement, mis en dépôt ou donnés en consignation',
+        '39': 'Dépréciations des stocks et en-cours',
+        '391': 'Dépréciations des matières premières et fournitures',
+        '392': 'Dépréciations des autres approvisionnements',
+        '393': 'Dépréciations des en-cours de production de biens',
+        '394': 'Dépréciations des en-cours de production de services',
+        '395': 'Dépréciations des stocks de produits',
+        '397': 'Dépréciations des stocks de marchandises',
+
+        // Classe 4 - Comptes de tiers
+        '40': 'Fournisseurs et comptes rattachés',
+        '401': 'Fournisseurs',
+        '4011': 'Fournisseurs - Achats de biens et prestations de services',
+        '4017': 'Fournisseurs - Retenues de garantie',
+        '403': 'Fournisseurs - Effets à payer',
+        '404': 'Fournisseurs d\'immobilisations',
+        '4041': 'Fournisseurs - Achats d\'immobilisations',
+        '4047': 'Fournisseurs d\'immobilisations - Retenues de garantie',
+        '405': 'Fournisseurs d\'immobilisations - Effets à payer',
+        '408': 'Fournisseurs - Factures non parvenues',
+        '4081': 'Fournisseurs - Factures non parvenues',
+        '4084': 'Fournisseurs d\'immobilisations - Factures non parvenues',
+        '4088': 'Fournisseurs - Intérêts courus',
+        '409': 'Fournisseurs débiteurs',
+        '4091': 'Fournisseurs - Avances et acomptes versés sur commandes',
+        '4096': 'Fournisseurs - Créances pour emballages et matériel à rendre',
+        '4097': 'Fournisseurs - Autres avoirs',
+        '4098': 'Rabais, remises, ristournes à obtenir et autres avoirs non encore reçus',
+        '41': 'Clients et comptes rattachés',
+        '411': 'Clients',
+        '4111': 'Clients - Ventes de biens ou de prestations de services',
+        '4117': 'Clients - Retenues de garantie',
+        '413': 'Clients - Effets à recevoir',
+        '416': 'Clients douteux ou litigieux',
+        '418': 'Clients - Produits non encore facturés',
+        '4181': 'Clients - Factures à établir',
+        '4188': 'Clients - Intérêts courus',
+        '419': 'Clients créditeurs',
+        '4191': 'Clients - Avances et acomptes reçus sur commandes',
+        '4196': 'Clients - Dettes sur emballages et matériels consignés',
+        '4197': 'Clients - Autres avoirs',
+        '4198': 'Rabais, remises, ristournes à accorder et autres avoirs à établir',
+        '42': 'Personnel et comptes rattachés',
+        '421': 'Personnel - Rémunérations dues',
+        '422': 'Comités d\'entreprise, d\'établissement',
+        '424': 'Participation des salariés aux résultats',
+        '425': 'Personnel - Avances et acomptes',
+        '426': 'Personnel - Dépôts',
+        '427': 'Personnel - Oppositions',
+        '428': 'Personnel - Charges à payer et produits à recevoir',
+        '4282': 'Dettes provisionnées pour congés à payer',
+        '4286': 'Autres charges à payer',
+        '4287': 'Produits à recevoir',
+        '43': 'Sécurité sociale et autres organismes sociaux',
+        '431': 'Sécurité sociale',
+        '437': 'Autres organismes sociaux',
+        '438': 'Organismes sociaux - Charges à payer et produits à recevoir',
+        '4382': 'Charges sociales sur congés à payer',
+        '4386': 'Autres charges à payer',
+        '4387': 'Produits à recevoir',
+        '44': 'État et autres collectivités publiques',
+        '441': 'État - Subventions à recevoir',
+        '442': 'Contributions, impôts et taxes recouvrés pour le compte de l\'État',
+        '4421': 'Prélèvements à la source (impôt sur le revenu)',
+        '4422': 'Prélèvements forfaitaires non libératoires',
+        '4423': 'Retenues et prélèvements sur les distributions',
+        '443': 'Opérations particulières avec l\'État, les collectivités publiques, les organismes internationaux',
+        '444': 'État - Impôts sur les bénéfices',
+        '445': 'État - Taxes sur le chiffre d\'affaires',
+        '4452': 'TVA due intracommunautaire',
+        '4455': 'Taxes sur le chiffre d\'affaires à décaisser',
+        '44551': 'TVA à décaisser',
+        '44558': 'Taxes assimilées à la TVA',
+        '4456': 'Taxes sur le chiffre d\'affaires déductibles',
+        '44562': 'TVA sur immobilisations',
+        '44563': 'TVA transférée par d\'autres entreprises',
+        '44566': 'TVA sur autres biens et services',
+        '44567': 'Crédit de TVA à reporter',
+        '44568': 'Taxes assimilées à la TVA',
+        '4457': 'Taxes sur le chiffre d\'affaires collectées par l\'entreprise',
+        '44571': 'TVA collectée',
+        '44578': 'Taxes assimilées à la TVA',
+        '4458': 'Taxes sur le chiffre d\'affaires à régulariser ou en attente',
+        '44581': 'Acomptes - Régime simplifié d\'imposition',
+        '44583': 'Remboursement de taxes sur le chiffre d\'affaires demandé',
+        '44584': 'TVA récupérée d\'avance',
+        '44586': 'Taxes sur le chiffre d\'affaires sur factures non parvenues',
+        '44587': 'Taxes sur le chiffre d\'affaires sur factures à établir',
+        '446': 'Obligations cautionnées',
+        '447': 'Autres impôts, taxes et versements assimilés',
+        '448': 'État - Charges à payer et produits à recevoir',
+        '4482': 'Charges fiscales sur congés à payer',
+        '4486': 'Charges à payer',
+        '4487': 'Produits à recevoir',
+        '449': 'Quotas d\'émission à acquérir',
+        '45': 'Groupe et associés',
+        '451': 'Groupe',
+        '455': 'Associés - Comptes courants',
+        '4551': 'Principal',
+        '4558': 'Intérêts courus',
+        '456': 'Associés - Opérations sur le capital',
+        '457': 'Associés - Dividendes à payer',
+        '458': 'Associés - Opérations faites en commun et en GIE',
+        '46': 'Débiteurs divers et créditeurs divers',
+        '462': 'Créances sur cessions d\'immobilisations',
+        '464': 'Dettes sur acquisitions de valeurs mobilières de placement',
+        '465': 'Créances sur cessions de valeurs mobilières de placement',
+        '467': 'Autres comptes débiteurs ou créditeurs',
+        '468': 'Divers - Charges à payer et produits à recevoir',
+        '47': 'Comptes transitoires ou d\'attente',
+        '471': 'Comptes d\'attente',
+        '476': 'Différence de conversion - Actif',
+        '477': 'Différences de conversion - Passif',
+        '478': 'Autres comptes transitoires',
+        '48': 'Comptes de régularisation',
+        '481': 'Frais d\'émission des emprunts',
+        '486': 'Charges constatées d\'avance',
+        '487': 'Produits constatés d\'avance',
+        '488': 'Comptes de répartition périodique des charges et des produits',
+        '49': 'Dépréciations des comptes de tiers',
+        '491': 'Dépréciations des comptes de clients',
+        '495': 'Dépréciations des comptes du groupe et des associés',
+        '496': 'Dépréciations des comptes de débiteurs divers',
+
+        // Classe 5 - Comptes financiers
+        '50': 'Valeurs mobilières de placement',
+        '502': 'Actions propres',
+        '503': 'Actions',
+        '504': 'Autres titres conférant un droit de propriété',
+        '505': 'Obligations et bons émis par la société et rachetés par elle',
+        '506': 'Obligations',
+        '507': 'Bons du Trésor et bons de caisse à court terme',
+        '508': 'Autres valeurs mobilières de placement et autres créances assimilées',
+        '509': 'Versements restant à effectuer sur valeurs mobilières de placement non libérées',
+        '51': 'Banques, établissements financiers et assimilés',
+        '511': 'Valeurs à l\'encaissement',
+        '5112': 'Chèques à encaisser',
+        '5113': 'Effets à l\'encaissement',
+        '5114': 'Effets à l\'escompte',
+        '512': 'Banques',
+        '514': 'Chèques postaux',
+        '515': 'Caisses du Trésor et des établissements publics',
+        '516': 'Sociétés de bourse',
+        '517': 'Autres organismes financiers',
+        '518': 'Intérêts courus',
+        '519': 'Concours bancaires courants',
+        '52': 'Instruments de trésorerie',
+        '53': 'Caisse',
+        '531': 'Caisse siège social',
+        '54': 'Régies d\'avances et accréditifs',
+        '58': 'Virements internes',
+        '59': 'Dépréciations des comptes financiers',
+        '590': 'Dépréciations des valeurs mobilières de placement',
+
+        // Classe 6 - Comptes de charges
+        '60': 'Achats (sauf 603)',
+        '601': 'Achats stockés - Matières premières et fournitures',
+        '602': 'Achats stockés - Autres approvisionnements',
+        '603': 'Variations des stocks (approvisionnements et marchandises)',
+        '6031': 'Variation des stocks de matières premières et fournitures',
+        '6032': 'Variation des stocks des autres approvisionnements',
+        '6037': 'Variation des stocks de marchandises',
+        '604': 'Achats d\'études et prestations de services',
+        '605': 'Achats de matériel, équipements et travaux',
+        '606': 'Achats non stockés de matière et fournitures',
+        '6061': 'Fournitures non stockables (eau, énergie)',
+        '6063': 'Fournitures d\'entretien et de petit équipement',
+        '6064': 'Fournitures administratives',
+        '6068': 'Autres matières et fournitures',
+        '607': 'Achats de marchandises',
+        '608': 'Frais accessoires d\'achat',
+        '609': 'Rabais, remises et ristournes obtenus sur achats',
+        '61': 'Services extérieurs',
+        '611': 'Sous-traitance générale',
+        '612': 'Redevances de crédit-bail',
+        '6122': 'Crédit-bail mobilier',
+        '6125': 'Crédit-bail immobilier',
+        '613': 'Locations',
+        '6132': 'Locations immobilières',
+        '6135': 'Locations mobilières',
+        '614': 'Charges locatives et de copropriété',
+        '615': 'Entretien et réparations',
+        '6152': 'Entretien et réparations sur biens immobiliers',
+        '6155': 'Entretien et réparations sur biens mobiliers',
+        '6156': 'Maintenance',
+        '616': 'Primes d\'assurances',
+        '617': 'Études et recherches',
+        '618': 'Divers',
+        '6181': 'Documentation générale',
+        '6183': 'Documentation technique',
+        '6185': 'Frais de colloques, séminaires, conférences',
+        '619': 'Rabais, remises et ristournes obtenus sur services extérieurs',
+        '62': 'Autres services extérieurs',
+        '621': 'Personnel extérieur à l\'entreprise',
+        '622': 'Rémunérations d\'intermédiaires et honoraires',
+        '6221': 'Commissions et courtages sur achats',
+        '6222': 'Commissions et courtages sur ventes',
+        '6224': 'Rémunérations des transitaires',
+        '6225': 'Rémunérations d\'affacturage',
+        '6226': 'Honoraires',
+        '6227': 'Frais d\'actes et de contentieux',
+        '6228': 'Divers',
+        '623': 'Publicité, publications, relations publiques',
+        '6231': 'Annonces et insertions',
+        '6233': 'Foires et expositions',
+        '6234': 'Cadeaux à la clientèle',
+        '6236': 'Catalogues et imprimés',
+        '6237': 'Publications',
+        '6238': 'Divers (pourboires, dons courants)',
+        '624': 'Transports de biens et transports collectifs du personnel',
+        '625': 'Déplacements, missions et réceptions',
+        '6251': 'Voyages et déplacements',
+        '6255': 'Frais de déménagement',
+        '6256': 'Missions',
+        '6257': 'Réceptions',
+        '626': 'Frais postaux et de télécommunications',
+        '627': 'Services bancaires et assimilés',
+        '628': 'Divers',
+        '6281': 'Concours divers (cotisations)',
+        '6284': 'Frais de recrutement de personnel',
+        '629': 'Rabais, remises et ristournes obtenus sur autres services extérieurs',
+        '63': 'Impôts, taxes et versements assimilés',
+        '631': 'Impôts, taxes et versements assimilés sur rémunérations (administration des impôts)',
+        '6311': 'Taxe sur les salaires',
+        '6312': 'Taxe d\'apprentissage',
+        '6313': 'Participation des employeurs à la formation professionnelle continue',
+        '633': 'Impôts, taxes et versements assimilés sur rémunérations (autres organismes)',
+        '6331': 'Versement mobilité',
+        '6333': 'Participation des employeurs à la formation professionnelle continue',
+        '635': 'Autres impôts, taxes et versements assimilés (administration des impôts)',
+        '6351': 'Impôts directs (sauf impôts sur les bénéfices)',
+        '63511': 'Contribution économique territoriale',
+        '63512': 'Taxes foncières',
+        '63513': 'Autres impôts locaux',
+        '63514': 'Taxe sur les véhicules des sociétés',
+        '6352': 'Taxe sur le chiffre d\'affaires non récupérables',
+        '6353': 'Impôts indirects',
+        '6354': 'Droits d\'enregistrement et de timbre',
+        '637': 'Autres impôts, taxes et versements assimilés (autres organismes)',
+        '64': 'Charges de personnel',
+        '641': 'Rémunérations du personnel',
+        '6411': 'Salaires, appointements',
+        '6412': 'Congés payés',
+        '6413': 'Primes et gratifications',
+        '6414': 'Indemnités et avantages divers',
+        '6415': 'Supplément familial',
+        '644': 'Rémunération du travail de l\'exploitant',
+        '645': 'Charges de sécurité sociale et de prévoyance',
+        '6451': 'Cotisations à l\'URSSAF',
+        '6452': 'Cotisations aux mutuelles',
+        '6453': 'Cotisations aux caisses de retraites',
+        '6454': 'Cotisations à France Travail',
+        '6458': 'Cotisations aux autres organismes sociaux',
+        '646': 'Cotisations sociales personnelles de l\'exploitant',
+        '647': 'Autres charges sociales',
+        '648': 'Autres charges de personnel',
+        '65': 'Autres charges de gestion courante',
+        '651': 'Redevances pour concessions, brevets, licences, marques, procédés, logiciels',
+        '653': 'Rémunérations de l\'activité des administrateurs et des gérants',
+        '654': 'Pertes sur créances irrécouvrables',
+        '655': 'Quote-part de résultat sur opérations faites en commun',
+        '656': 'Pertes de change sur créances et dettes commerciales',
+        '658': 'Pénalités et autres charges',
+        '66': 'Charges financières',
+        '661': 'Charges d\'intérêts',
+        '6611': 'Intérêts des emprunts et dettes',
+        '6615': 'Intérêts des comptes courants et des dépôts créditeurs',
+        '6616': 'Intérêts bancaires et sur opérations de financement',
+        '6618': 'Intérêts des autres dettes',
+        '664': 'Pertes sur créances liées à des participations',
+        '665': 'Escomptes accordés',
+        '666': 'Pertes de change financières',
+        '667': 'Charges nettes sur cessions de valeurs mobilières de placement',
+        '668': 'Autres charges financières',
+        '67': 'Charges exceptionnelles',
+        '671': 'Charges exceptionnelles sur opérations de gestion',
+        '672': 'Charges sur exercices antérieurs',
+        '675': 'Valeurs comptables des éléments d\'actif cédés',
+        '678': 'Autres charges exceptionnelles',
+        '68': 'Dotations aux amortissements, aux dépréciations et aux provisions',
+        '681': 'Dotations aux amortissements, aux dépréciations et aux provisions - Charges d\'exploitation',
+        '6811': 'Dotations aux amortissements sur immobilisations incorporelles et corporelles',
+        '6815': 'Dotations aux provisions d\'exploitation',
+        '6816': 'Dotations pour dépréciations des immobilisations incorporelles et corporelles',
+        '6817': 'Dotations pour dépréciations des actifs circulants',
+        '686': 'Dotations aux amortissements, aux dépréciations et aux provisions - Charges financières',
+        '687': 'Dotations aux amortissements, aux dépréciations et aux provisions - Charges exceptionnelles',
+        '6872': 'Dotations aux provisions réglementées (immobilisations)',
+        '6873': 'Dotations aux provisions réglementées (stocks)',
+        '69': 'Participation des salariés - Impôts sur les bénéfices et assimilés',
+        '691': 'Participation des salariés aux résultats',
+        '695': 'Impôts sur les bénéfices',
+        '696': 'Suppléments d\'impôt sur les sociétés liés aux distributions',
+        '698': 'Intégration fiscale',
+        '699': 'Produits - Reports en arrière des déficits',
+
+        // Classe 7 - Comptes de produits
+        '70': 'Ventes de produits fabriqués, prestations de services, marchandises',
+        '701': 'Ventes de produits finis',
+        '702': 'Ventes de produits intermédiaires',
+        '703': 'Ventes de produits résiduels',
+        '704': 'Travaux',
+        '705': 'Études',
+        '706': 'Prestations de services',
+        '707': 'Ventes de marchandises',
+        '708': 'Produits des activités annexes',
+        '7081': 'Produits des services exploités dans l\'intérêt du personnel',
+        '7083': 'Locations diverses',
+        '7085': 'Ports et frais accessoires facturés',
+        '7088': 'Autres produits d\'activités annexes',
+        '709': 'Rabais, remises et ristournes accordés par l\'entreprise',
+        '71': 'Production stockée (ou déstockage)',
+        '713': 'Variation des stocks (en-cours de production, produits)',
+        '72': 'Production immobilisée',
+        '721': 'Immobilisations incorporelles',
+        '722': 'Immobilisations corporelles',
+        '74': 'Subventions d\'exploitation',
+        '75': 'Autres produits de gestion courante',
+        '751': 'Redevances pour concessions, brevets, licences, marques, procédés, logiciels',
+        '752': 'Revenus des immeubles non affectés à des activités professionnelles',
+        '753': 'Rémunérations de l\'activité des administrateurs et des gérants',
+        '754': 'Ristournes perçues des coopératives',
+        '755': 'Quote-part de résultat sur opérations faites en commun',
+        '756': 'Gains de change sur créances et dettes commerciales',
+        '758': 'Indemnités et autres produits',
+        '76': 'Produits financiers',
+        '761': 'Produits des participations',
+        '762': 'Produits des autres immobilisations financières',
+        '763': 'Revenus des autres créances',
+        '764': 'Revenus des valeurs mobilières de placement',
+        '765': 'Escomptes obtenus',
+        '766': 'Gains de change financiers',
+        '767': 'Produits nets sur cessions de valeurs mobilières de placement',
+        '768': 'Autres produits financiers',
+        '77': 'Produits exceptionnels',
+        '771': 'Produits exceptionnels sur opérations de gestion',
+        '772': 'Produits sur exercices antérieurs',
+        '775': 'Produits des cessions d\'éléments d\'actif',
+        '777': 'Quote-part des subventions d\'investissement virée au résultat de l\'exercice',
+        '778': 'Autres produits exceptionnels',
+        '78': 'Reprises sur amortissements, dépréciations et provisions',
+        '781': 'Reprises sur amortissements, dépréciations et provisions (produits d\'exploitation)',
+        '786': 'Reprises sur dépréciations et provisions (produits financiers)',
+        '787': 'Reprises sur dépréciations et provisions (produits exceptionnels)',
+        '79': 'Transferts de charges',
+        '791': 'Transferts de charges d\'exploitation',
+        '796': 'Transferts de charges financières',
+        '797': 'Transferts de charges exceptionnels',
+
+        // Classe 8 - Comptes spéciaux
+        '80': 'Engagements',
+        '801': 'Engagements donnés par l\'entité',
+        '802': 'Engagements reçus par l\'entité',
+        '809': 'Contrepartie des engagements',
+        '88': 'Résultat en instance d\'affectation',
+        '89': 'Bilan',
+        '890': 'Bilan d\'ouverture',
+        '891': 'Bilan de clôture'
+    };
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const PCG_CONFIG = {
+        // Length of the root that must exist in the reference
+        REQUIRED_ROOT_LENGTH: 3,
+
+        // Account roots that should not appear in a journal
+        JOURNAL_RULES: {
+            'AC': { forbidden: ['7'], message: 'compte de produits dans le journal des achats' },
+            'VE': { forbidden: ['6'], message: 'compte de charges dans le journal des ventes' },
+            'AN': { forbidden: ['6', '7'], message: 'compte de gestion dans le journal des à-nouveaux' },
+            'CA': { forbidden: ['512', '514', '519'], message: 'compte bancaire dans le journal de caisse' },
+            'BQ': { forbidden: ['53'], message: 'compte de caisse dans le journal de banque' }
+        },
+
+        MAX_SUGGESTIONS: 10
+    };
+
+    // =====================================================
+    // LOOKUP
+    // =====================================================
+
+    /**
+     * Find the PCG account with the longest root matching a CompteNum
+     * @param {string} compteNum - Account number (e.g. '41100000')
+     * @returns {Object|null} { root, label, accountClass }
+     */
+    function findAccount(compteNum) {
+        const account = String(compteNum || '').trim();
+
+        // PCG roots are at most 6 digits; trailing zeros are padding
+        for (let length = Math.min(account.length, 6); length >= 1; length--) {
+            const root = account.substr(0, length);
+            if (PCG_ACCOUNTS[root]) {
+                return { root, label: PCG_ACCOUNTS[root], accountClass: account.charAt(0) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Default CompteLib for an account number
+     * @param {string} compteNum - Account number
+     * @returns {string} PCG label ('' if unknown)
+     */
+    function getAccountLabel(compteNum) {
+        const account = findAccount(compteNum);
+        return account ? account.label : '';
+    }
+
+    /**
+     * Check an account against the PCG reference and its journal
+     * @param {string} compteNum - Account number
+     * @param {string} journalCode - Journal code (optional)
+     * @returns {Array} Warnings: [{ type: 'UNKNOWN_ACCOUNT' | 'ACCOUNT_JOURNAL_MISMATCH', message }]
+     */
+    function checkAccount(compteNum, journalCode) {
+        const warnings = [];
+        const account = String(compteNum || '').trim();
+
+        if (!account) return warnings;
+
+        const root = account.substr(0, PCG_CONFIG.REQUIRED_ROOT_LENGTH);
+        if (root.length === PCG_CONFIG.REQUIRED_ROOT_LENGTH && !findRoot(root)) {
+            warnings.push({
+                type: 'UNKNOWN_ACCOUNT',
+                message: `Compte ${account}: la racine ${root} n'existe pas dans le PCG`
+            });
+        }
+
+        const rule = PCG_CONFIG.JOURNAL_RULES[journalCode];
+        if (rule && rule.forbidden.some(prefix => account.startsWith(prefix))) {
+            warnings.push({
+                type: 'ACCOUNT_JOURNAL_MISMATCH',
+                message: `Compte ${account} incohérent avec le journal ${journalCode}: ${rule.message}`
+            });
+        }
+
+        return warnings;
+    }
+
+    /**
+     * A root exists when it is listed, or when it is a "0" subdivision of a
+     * listed parent (e.g. 110, 120, 280 style padding of 2-digit accounts)
+     */
+    function findRoot(root) {
+        if (PCG_ACCOUNTS[root]) return true;
+        return root.endsWith('0') && Boolean(PCG_ACCOUNTS[root.slice(0, -1)]);
+    }
+
+    // =====================================================
+    // SUGGESTIONS
+    // =====================================================
+
+    /**
+     * Search the reference by account number prefix or label
+     * @param {string} query - Digits (number prefix) or text (label search)
+     * @param {number} limit - Maximum results
+     * @returns {Array} [{ account, label }]
+     */
+    function searchAccounts(query, limit = PCG_CONFIG.MAX_SUGGESTIONS) {
+        const value = String(query || '').trim();
+        if (!value) return [];
+
+        const isNumber = /^\d+$/.test(value);
+        const needle = normalize(value);
+        const results = [];
+
+        Object.keys(PCG_ACCOUNTS).forEach(account => {
+            const matches = isNumber
+                ? account.startsWith(value) || value.startsWith(account)
+                : normalize(PCG_ACCOUNTS[account]).includes(needle);
+
+            if (matches) {
+                results.push({ account, label: PCG_ACCOUNTS[account] });
+            }
+        });
+
+        // For a number: the account itself, its sub-accounts, then its parents
+        if (isNumber) {
+            results.sort((a, b) => {
+                if (a.account === value || b.account === value) return a.account === value ? -1 : 1;
+                const aIsParent = value.startsWith(a.account);
+                const bIsParent = value.startsWith(b.account);
+                if (aIsParent !== bIsParent) return aIsParent ? 1 : -1;
+                return aIsParent ? b.account.length - a.account.length : a.account.localeCompare(b.account);
+            });
+        } else {
+            results.sort((a, b) => a.account.localeCompare(b.account));
+        }
+
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Suggest a CompteLib while the user types an account number or label
+     * @param {HTMLInputElement} compteNumInput - CompteNum field
+     * @param {HTMLInputElement} compteLibInput - CompteLib field (filled on selection)
+     * @param {Object} options - { onSelect(account) }
+     */
+    function attachAccountAutocomplete(compteNumInput, compteLibInput, options = {}) {
+        if (typeof window.InteractiveModule === 'undefined') {
+            console.warn('⚠️ InteractiveModule not loaded: no account suggestions');
+            return;
+        }
+
+        const config = {
+            minChars: 1,
+            maxResults: PCG_CONFIG.MAX_SUGGESTIONS,
+            renderItem: (item) => `<strong>${escapeHtml(item.account)}</strong> ${escapeHtml(item.label)}`,
+            getValue: (item) => item.account
+        };
+
+        window.InteractiveModule.createAutocomplete(compteNumInput, async (query) => searchAccounts(query), {
+            ...config,
+            onSelect: (item) => {
+                if (compteLibInput && compteLibInput.value.trim() === '') {
+                    compteLibInput.value = item.label;
+                }
+                if (options.onSelect) options.onSelect(item);
+            }
+        });
+
+        if (compteLibInput) {
+            window.InteractiveModule.createAutocomplete(compteLibInput, async (query) => searchAccounts(query), {
+                ...config,
+                minChars: 2,
+                getValue: (item) => item.label,
+                onSelect: (item) => {
+                    if (compteNumInput.value.trim() === '') {
+                        compteNumInput.value = item.account;
+                    }
+                    if (options.onSelect) options.onSelect(item);
+                }
+            });
+        }
+    }
+
+    function normalize(text) {
+        return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECPlanComptable = {
+        // Lookup
+        findAccount,
+        getAccountLabel,
+        checkAccount,
+
+        // Suggestions
+        searchAccounts,
+        attachAccountAutocomplete,
+
+        // Reference data
+        accounts: PCG_ACCOUNTS,
+
+        // Configuration
+        config: PCG_CONFIG
+    };
+
+    console.log('✅ Plan Comptable Module v3.0 loaded');
+})();
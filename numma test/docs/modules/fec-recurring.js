@@ -0,0 +1,433 @@
+/**
+ * ========================================
+ * NUMMA - FEC RECURRING ENTRIES MODULE v3.0
+ * ========================================
+ * Templates for écritures posted on a schedule (rent, loans,
+ * depreciation, payroll accruals...)
+ *
+ * Features:
+ * - Monthly, quarterly or yearly schedule with start / end dates
+ * - Amount formulas: fixed, percentage of another line, prorated
+ *   (30/360 prorata temporis of an annual amount), balancing line
+ * - Batch of saisie drafts for a date range, already posted ones skipped
+ * - Batch preview checked with validateFECCompliance before posting
+ *
+ * A template is {
+ *     id, name, JournalCode,
+ *     PieceRef, EcritureLib: patterns with {YYYY}, {MM}, {DD}, {MOIS},
+ *     schedule: { frequency: 'monthly' | 'quarterly' | 'yearly',
+ *                 day: 1-31 | 'last', start: 'YYYYMMDD', end: 'YYYYMMDD' | '' },
+ *     lines: [{ CompteNum, CompteLib, CompAuxNum, CompAuxLib, side: 'D' | 'C', formula }]
+ * }
+ * with formula { type: 'fixed', amount } | { type: 'percentage', rate, line }
+ * (line: index of the base line) | { type: 'prorated', amount } (annual
+ * amount, over the days of the period within the schedule) | { type: 'balance' }.
+ *
+ * DEPENDENCIES: fec-module.js, fec-saisie.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🔁 Loading FEC Recurring Entries Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined' || typeof window.FECSaisie === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js and fec-saisie.js required');
+        return;
+    }
+
+    const { toCents, formatCents, isValidFECDate } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const RECURRING_CONFIG = {
+        FREQUENCIES: {
+            monthly: { label: 'Mensuelle', months: 1 },
+            quarterly: { label: 'Trimestrielle', months: 3 },
+            yearly: { label: 'Annuelle', months: 12 }
+        },
+
+        FORMULAS: {
+            fixed: 'Montant fixe',
+            percentage: 'Pourcentage d\'une ligne',
+            prorated: 'Prorata temporis (montant annuel)',
+            balance: 'Solde de l\'écriture'
+        },
+
+        // Prorata temporis: months of 30 days, years of 360 days
+        PRORATA_YEAR_DAYS: 360,
+
+        MONTH_NAMES: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet',
+                      'août', 'septembre', 'octobre', 'novembre', 'décembre']
+    };
+
+    // =====================================================
+    // TEMPLATES
+    // =====================================================
+
+    /**
+     * Check a template before it is saved or generated
+     * @param {Object} template - Template (see module header)
+     * @returns {string[]} Errors (empty when valid)
+     */
+    function validateTemplate(template) {
+        const errors = [];
+        const schedule = template.schedule || {};
+        const lines = template.lines || [];
+
+        if (!String(template.name || '').trim()) {
+            errors.push('Nom du modèle requis');
+        }
+        if (!String(template.JournalCode || '').trim()) {
+            errors.push('Journal requis');
+        }
+        if (!String(template.PieceRef || '').trim() || !String(template.EcritureLib || '').trim()) {
+            errors.push('Pièce et libellé requis');
+        }
+
+        if (!RECURRING_CONFIG.FREQUENCIES[schedule.frequency]) {
+            errors.push(`Fréquence inconnue: ${schedule.frequency}`);
+        }
+        if (schedule.day !== 'last' && !(Number.isInteger(schedule.day) && schedule.day >= 1 && schedule.day <= 31)) {
+            errors.push(`Jour d'échéance invalide: ${schedule.day} (1 à 31 ou fin de mois)`);
+        }
+        if (!isValidFECDate(schedule.start)) {
+            errors.push(`Date de début invalide: ${schedule.start || '(vide)'}`);
+        }
+        if (schedule.end && (!isValidFECDate(schedule.end) || schedule.end < schedule.start)) {
+            errors.push(`Date de fin invalide: ${schedule.end}`);
+        }
+
+        if (lines.length < 2) {
+            errors.push('Un modèle comporte au moins deux lignes');
+        }
+        if (lines.filter(line => line.formula && line.formula.type === 'balance').length > 1) {
+            errors.push('Une seule ligne de solde par modèle');
+        }
+
+        lines.forEach((line, index) => {
+            const formula = line.formula || {};
+            const ref = `Ligne ${index + 1}`;
+
+            if (!String(line.CompteNum || '').trim()) {
+                errors.push(`${ref}: compte requis`);
+            }
+            if (formula.type !== 'balance' && line.side !== 'D' && line.side !== 'C') {
+                errors.push(`${ref}: sens D ou C requis`);
+            }
+
+            switch (formula.type) {
+                case 'fixed':
+                case 'prorated':
+                    if (!(Number(formula.amount) > 0)) {
+                        errors.push(`${ref}: montant positif requis`);
+                    }
+                    break;
+                case 'percentage': {
+                    const base = lines[formula.line];
+                    const baseType = base && base.formula ? base.formula.type : null;
+                    if (!(Number(formula.rate) > 0)) {
+                        errors.push(`${ref}: taux positif requis`);
+                    }
+                    // Percentages are computed in line order, after fixed and prorated amounts
+                    if (!baseType || formula.line === index || baseType === 'balance' ||
+                        (baseType === 'percentage' && formula.line > index)) {
+                        errors.push(`${ref}: ligne de base invalide`);
+                    }
+                    break;
+                }
+                case 'balance':
+                    break;
+                default:
+                    errors.push(`${ref}: formule inconnue (${formula.type})`);
+            }
+        });
+
+        return errors;
+    }
+
+    // =====================================================
+    // SCHEDULE
+    // =====================================================
+
+    /**
+     * Dates of the template between two dates (inclusive)
+     * @param {Object} template - Template
+     * @param {string} from - YYYYMMDD
+     * @param {string} to - YYYYMMDD
+     * @returns {string[]} YYYYMMDD dates
+     */
+    function getOccurrences(template, from, to) {
+        const { frequency, day, start, end } = template.schedule;
+        const step = RECURRING_CONFIG.FREQUENCIES[frequency].months;
+        const last = end && end < to ? end : to;
+        const dates = [];
+
+        const anchorYear = parseInt(start.substr(0, 4), 10);
+        const anchorMonth = parseInt(start.substr(4, 2), 10) - 1;
+
+        for (let k = 0; ; k++) {
+            const date = getScheduleDate(anchorYear, anchorMonth + k * step, day);
+            if (date > last) break;
+            if (date >= start && date >= from) {
+                dates.push(date);
+            }
+        }
+
+        return dates;
+    }
+
+    /**
+     * Day of a month, or the last one when the month is shorter
+     */
+    function getScheduleDate(year, month, day) {
+        const lastDay = new Date(Date.UTC(year, month + 1, 0));
+        const date = day === 'last' || day >= lastDay.getUTCDate()
+            ? lastDay
+            : new Date(Date.UTC(year, month, day));
+        return toFECDate(date);
+    }
+
+    // =====================================================
+    // AMOUNTS
+    // =====================================================
+
+    /**
+     * Amount of each line for one date
+     * @param {Object} template - Template
+     * @param {string} date - Occurrence (YYYYMMDD)
+     * @returns {Array} [{ debit, credit }] in cents, in line order
+     */
+    function computeAmounts(template, date) {
+        const cents = template.lines.map(line => {
+            const formula = line.formula;
+            if (formula.type === 'fixed') return toCents(formula.amount);
+            if (formula.type === 'prorated') {
+                const days = getProrataDays(template, date);
+                return Math.round(toCents(formula.amount) * days / RECURRING_CONFIG.PRORATA_YEAR_DAYS);
+            }
+            return 0;
+        });
+
+        template.lines.forEach((line, index) => {
+            if (line.formula.type === 'percentage') {
+                cents[index] = Math.round(cents[line.formula.line] * Number(line.formula.rate) / 100);
+            }
+        });
+
+        const amounts = template.lines.map((line, index) => ({
+            debit: line.side === 'D' ? cents[index] : 0,
+            credit: line.side === 'C' ? cents[index] : 0
+        }));
+
+        // The balancing line takes whatever is left, rounding included
+        const balanceIndex = template.lines.findIndex(line => line.formula.type === 'balance');
+        if (balanceIndex !== -1) {
+            const imbalance = amounts.reduce((sum, amount) => sum + amount.debit - amount.credit, 0);
+            amounts[balanceIndex] = {
+                debit: imbalance < 0 ? -imbalance : 0,
+                credit: imbalance > 0 ? imbalance : 0
+            };
+        }
+
+        return amounts;
+    }
+
+    /**
+     * 30/360 days of the period ending with the occurrence's month that
+     * fall within the schedule
+     */
+    function getProrataDays(template, date) {
+        const { frequency, start, end } = template.schedule;
+        const months = RECURRING_CONFIG.FREQUENCIES[frequency].months;
+        const year = parseInt(date.substr(0, 4), 10);
+        const month = parseInt(date.substr(4, 2), 10) - 1;
+
+        const periodStart = toFECDate(new Date(Date.UTC(year, month - months + 1, 1)));
+        const periodEnd = toFECDate(new Date(Date.UTC(year, month + 1, 0)));
+
+        const from = start > periodStart ? start : periodStart;
+        const to = end && end < periodEnd ? end : periodEnd;
+        if (from > to) return 0;
+
+        return days360(from, to);
+    }
+
+    /**
+     * Days from one date to another (both included), months of 30 days
+     */
+    function days360(from, to) {
+        const [y1, m1, d1] = splitDate(from);
+        const [y2, m2, d2] = splitDate(to);
+        const lastDay = new Date(Date.UTC(y2, m2, 0)).getUTCDate();
+
+        // A month covered up to its last day counts 30 days, February included
+        const endDay = d2 === lastDay ? 30 : Math.min(d2, 30);
+        return (y2 - y1) * 360 + (m2 - m1) * 30 + endDay - Math.min(d1, 30) + 1;
+    }
+
+    // =====================================================
+    // DRAFTS AND BATCHES
+    // =====================================================
+
+    /**
+     * Saisie draft of one occurrence (see fec-saisie.js)
+     * @param {Object} template - Template
+     * @param {string} date - Occurrence (YYYYMMDD)
+     * @returns {Object} Draft
+     */
+    function createDraft(template, date) {
+        const amounts = computeAmounts(template, date);
+
+        return {
+            JournalCode: template.JournalCode,
+            EcritureDate: date,
+            PieceRef: formatPattern(template.PieceRef, date),
+            PieceDate: date,
+            EcritureLib: formatPattern(template.EcritureLib, date),
+            // Lines prorated down to nothing are left out
+            lines: template.lines
+                .map((line, index) => ({
+                    CompteNum: line.CompteNum,
+                    CompteLib: line.CompteLib || '',
+                    CompAuxNum: line.CompAuxNum || '',
+                    CompAuxLib: line.CompAuxLib || '',
+                    Debit: amounts[index].debit ? formatCents(amounts[index].debit) : '',
+                    Credit: amounts[index].credit ? formatCents(amounts[index].credit) : ''
+                }))
+                .filter(line => line.Debit || line.Credit)
+        };
+    }
+
+    /**
+     * Generate and check the écritures due between two dates
+     * @param {Array} templates - Templates
+     * @param {Array} entries - Existing FEC entries
+     * @param {Object} options - { from, to } (YYYYMMDD) and createEcriture /
+     *     validateFECCompliance options (regime, fiscalYear, fiscalYearStart...)
+     * @returns {Object} {
+     *     valid, occurrences: [{ templateId, name, date, draft, ecriture }],
+     *     skipped: [{ templateId, name, date, reason }],
+     *     entries: Array (new lines), validation: validateFECCompliance() result
+     * }
+     */
+    function previewBatch(templates, entries, options = {}) {
+        const { from, to } = options;
+
+        if (!isValidFECDate(from) || !isValidFECDate(to) || from > to) {
+            throw new Error('Période de génération invalide');
+        }
+
+        const occurrences = [];
+        const skipped = [];
+        let allEntries = entries;
+
+        templates.forEach(template => {
+            const errors = validateTemplate(template);
+            if (errors.length > 0) {
+                throw new Error(`Modèle ${template.name || template.id}: ${errors[0]}`);
+            }
+
+            getOccurrences(template, from, to).forEach(date => {
+                const draft = createDraft(template, date);
+
+                const posted = allEntries.some(entry =>
+                    entry.JournalCode === draft.JournalCode &&
+                    entry.EcritureDate === date &&
+                    entry.PieceRef === draft.PieceRef
+                );
+                if (posted) {
+                    skipped.push({ templateId: template.id, name: template.name, date, reason: 'Déjà comptabilisée' });
+                    return;
+                }
+
+                // Numbers follow on from the écritures generated before
+                const ecriture = window.FECSaisie.createEcriture(draft, allEntries, options);
+                allEntries = allEntries.concat(ecriture.entries);
+
+                occurrences.push({ templateId: template.id, name: template.name, date, draft, ecriture });
+            });
+        });
+
+        const newEntries = occurrences.flatMap(occurrence => occurrence.ecriture.entries);
+        const validation = newEntries.length > 0
+            ? window.FECModule.validateFECCompliance(newEntries, options)
+            : { valid: false, errors: [{ type: 'EMPTY_FEC', message: 'Aucune écriture à générer' }], warnings: [] };
+
+        return {
+            valid: validation.valid && occurrences.every(occurrence => occurrence.ecriture.valid),
+            occurrences,
+            skipped,
+            entries: newEntries,
+            validation
+        };
+    }
+
+    /**
+     * Post a previewed batch, in EcritureDate order
+     * @param {Array} entries - FEC entries
+     * @param {Object} preview - Result of previewBatch()
+     * @returns {Object} { entries: Array, count: number (écritures) }
+     */
+    function postBatch(entries, preview) {
+        if (!preview.valid) {
+            throw new Error('Lot refusé: corrigez les erreurs de la prévisualisation');
+        }
+
+        const clash = preview.entries.find(line =>
+            entries.some(entry => entry.JournalCode === line.JournalCode && entry.EcritureNum === line.EcritureNum)
+        );
+        if (clash) {
+            throw new Error(`Le numéro ${clash.EcritureNum} a été utilisé depuis la prévisualisation`);
+        }
+
+        console.log(`✅ Récurrentes: ${preview.occurrences.length} écriture(s) générée(s)`);
+
+        return {
+            entries: window.FECSaisie.insertEntries(entries, preview.entries),
+            count: preview.occurrences.length
+        };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    function formatPattern(pattern, date) {
+        const month = parseInt(date.substr(4, 2), 10);
+        return String(pattern || '')
+            .replace(/\{YYYY\}/g, date.substr(0, 4))
+            .replace(/\{MM\}/g, date.substr(4, 2))
+            .replace(/\{DD\}/g, date.substr(6, 2))
+            .replace(/\{MOIS\}/g, RECURRING_CONFIG.MONTH_NAMES[month - 1]);
+    }
+
+    function splitDate(date) {
+        return [date.substr(0, 4), date.substr(4, 2), date.substr(6, 2)].map(part => parseInt(part, 10));
+    }
+
+    function toFECDate(date) {
+        return date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECRecurring = {
+        validateTemplate,
+        getOccurrences,
+        computeAmounts,
+        createDraft,
+        previewBatch,
+        postBatch,
+
+        // Configuration
+        config: RECURRING_CONFIG
+    };
+
+    console.log('✅ FEC Recurring Entries Module v3.0 loaded');
+})();
@@ -0,0 +1,375 @@
+/**
+ * ========================================
+ * NUMMA - FEC REPAIR MODULE v3.0
+ * ========================================
+ * Suggested fixes for mechanical FEC validation failures
+ *
+ * Features:
+ * - Trimmed fields (leading / trailing spaces)
+ * - Dates rewritten as YYYYMMDD (DD/MM/YYYY, YYYY-MM-DD...)
+ * - Amounts normalized ("1 234,5" → "1234.50")
+ * - Negative or double-sided amounts moved to the right column
+ * - Lines sorted by EcritureDate
+ * - Line-by-line change log, rules accepted one by one
+ * - Values that cannot be fixed safely reported instead: ambiguous
+ *   amounts ("1,234") and écritures without ValidDate, validated only
+ *   at a date the user gives (setValidDate)
+ *
+ * Entries are never modified in place: every operation returns a new
+ * entries array in which only the changed lines are copies.
+ *
+ * DEPENDENCIES: fec-module.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('🛠️ Loading FEC Repair Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents, formatCents, isValidFECDate } = window.FECModule;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const REPAIR_CONFIG = {
+        // Rules in the order they are applied
+        RULES: {
+            TRIM_FIELDS: 'Espaces en début / fin de champ',
+            DATE_FORMAT: 'Dates au format AAAAMMJJ',
+            AMOUNT_FORMAT: 'Montants normalisés',
+            AMOUNT_SIDE: 'Montants négatifs ou au débit et au crédit',
+            CHRONOLOGY: 'Tri chronologique'
+        },
+        // Reported, left for the user to settle
+        ISSUES: {
+            AMOUNT_AMBIGUOUS: 'Montant ambigu: séparateur de milliers ou décimal',
+            VALID_DATE_MISSING: 'Écriture non validée: date de validation à saisir'
+        },
+        DATE_FIELDS: ['EcritureDate', 'PieceDate', 'DateLet', 'ValidDate', 'DateRglt'],
+        AMOUNT_FIELDS: ['Debit', 'Credit', 'Montantdevise']
+    };
+
+    // =====================================================
+    // REPAIR RULES
+    // =====================================================
+
+    /**
+     * Each rule receives the current lines, a change recorder and an issue
+     * reporter, and returns the new lines. Lines are { index, entry }, index
+     * being the position in the original entries.
+     */
+    const RULE_HANDLERS = {
+        TRIM_FIELDS(lines, record) {
+            return lines.map(line => updateFields(line, record, 'TRIM_FIELDS', Object.keys(line.entry), value =>
+                typeof value === 'string' ? value.trim() : value
+            ));
+        },
+
+        DATE_FORMAT(lines, record) {
+            return lines.map(line => updateFields(line, record, 'DATE_FORMAT', REPAIR_CONFIG.DATE_FIELDS, normalizeDate));
+        },
+
+        AMOUNT_FORMAT(lines, record, report) {
+            return lines.map(line => {
+                // "1,234" is 1234 or 1.234: rewriting it could be off by 1000
+                const ambiguous = REPAIR_CONFIG.AMOUNT_FIELDS.filter(field => isAmbiguousAmount(line.entry[field]));
+                ambiguous.forEach(field => report('AMOUNT_AMBIGUOUS', line, field, line.entry[field]));
+
+                const fields = REPAIR_CONFIG.AMOUNT_FIELDS.filter(field => !ambiguous.includes(field));
+                return updateFields(line, record, 'AMOUNT_FORMAT', fields, normalizeAmount);
+            });
+        },
+
+        AMOUNT_SIDE(lines, record) {
+            return lines.map(line => {
+                const { entry } = line;
+                if (!isAmount(entry.Debit) || !isAmount(entry.Credit)) return line;
+
+                const debit = toCents(entry.Debit);
+                const credit = toCents(entry.Credit);
+                if (debit >= 0 && credit >= 0 && (debit === 0 || credit === 0)) return line;
+
+                // Net signed amount: debit positive, credit negative
+                const net = debit - credit;
+                const Debit = formatCents(Math.max(net, 0));
+                const Credit = formatCents(Math.max(-net, 0));
+
+                return setFields(line, record, 'AMOUNT_SIDE', { Debit, Credit });
+            });
+        },
+
+        CHRONOLOGY(lines, record) {
+            // Stable sort: lines of one date keep their relative order
+            const sorted = lines
+                .map((line, position) => ({ line, position }))
+                .sort((a, b) => (a.line.entry.EcritureDate || '').localeCompare(b.line.entry.EcritureDate || '') ||
+                                a.position - b.position);
+
+            sorted.forEach((item, position) => {
+                if (item.position !== position) {
+                    // Line numbers are 1-based and count the header line
+                    record('CHRONOLOGY', item.line, null, `ligne ${item.position + 2}`, `ligne ${position + 2}`);
+                }
+            });
+
+            return sorted.map(item => item.line);
+        }
+    };
+
+    // =====================================================
+    // SUGGESTIONS
+    // =====================================================
+
+    /**
+     * Propose a corrected entry set
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { rules: string[] (rule ids, all by default) }
+     * @returns {Object} {
+     *     entries: Array (corrected),
+     *     changes: [{ rule, index, entry, field, before, after }],
+     *     rules: [{ id, label, count }] (rules with at least one change),
+     *     issues: [{ type, index, entry, field, value }] (left unchanged)
+     * }
+     */
+    function suggestRepairs(entries, options = {}) {
+        const enabled = options.rules || Object.keys(REPAIR_CONFIG.RULES);
+        const changes = [];
+        const issues = [];
+
+        const report = (type, line, field, value) => {
+            issues.push({
+                type,
+                index: line.index,
+                entry: line.entry.EcritureNum || `Ligne ${line.index + 2}`,
+                field,
+                value
+            });
+        };
+
+        const record = (rule, line, field, before, after) => {
+            changes.push({
+                rule,
+                index: line.index,
+                entry: line.entry.EcritureNum || `Ligne ${line.index + 2}`,
+                field,
+                before,
+                after
+            });
+        };
+
+        let lines = entries.map((entry, index) => ({ index, entry }));
+
+        Object.keys(REPAIR_CONFIG.RULES).forEach(rule => {
+            if (enabled.includes(rule)) {
+                lines = RULE_HANDLERS[rule](lines, record, report);
+            }
+        });
+
+        // One report per écriture still in the brouillard
+        const drafts = new Set();
+        lines.forEach(line => {
+            const key = getEcritureKey(line.entry);
+            if (isDraft(line.entry) && !drafts.has(key)) {
+                drafts.add(key);
+                report('VALID_DATE_MISSING', line, 'ValidDate', '');
+            }
+        });
+
+        const rules = Object.keys(REPAIR_CONFIG.RULES)
+            .map(id => ({
+                id,
+                label: REPAIR_CONFIG.RULES[id],
+                count: changes.filter(change => change.rule === id).length
+            }))
+            .filter(rule => rule.count > 0);
+
+        return {
+            entries: lines.map(line => line.entry),
+            changes,
+            rules,
+            issues
+        };
+    }
+
+    /**
+     * Apply the accepted rules only
+     * @param {Array} entries - FEC entries
+     * @param {string[]} rules - Accepted rule ids
+     * @returns {Object} { entries: Array, changes: Array }
+     */
+    function applyRepairs(entries, rules) {
+        if (!rules || rules.length === 0) {
+            throw new Error('Aucune correction sélectionnée');
+        }
+
+        const result = suggestRepairs(entries, { rules });
+
+        console.log(`✅ Corrections: ${result.changes.length} modification(s) appliquée(s)`);
+
+        return { entries: result.entries, changes: result.changes };
+    }
+
+    /**
+     * Validate the écritures still in the brouillard at a date given by the
+     * user. Validated lines become intangible: the date is never guessed.
+     * @param {Array} entries - FEC entries
+     * @param {string} validDate - YYYYMMDD, usually today
+     * @returns {Object} {
+     *     entries: Array, count: number (lines validated),
+     *     skipped: string[] (écritures dated after validDate)
+     * }
+     */
+    function setValidDate(entries, validDate) {
+        if (!isValidFECDate(validDate)) {
+            throw new Error(`Date de validation invalide: ${validDate || '(vide)'}`);
+        }
+
+        // Lines of one écriture are validated together, or not at all
+        const later = new Set();
+        entries.forEach(entry => {
+            if (isDraft(entry) && (entry.EcritureDate || '') > validDate) {
+                later.add(getEcritureKey(entry));
+            }
+        });
+
+        let count = 0;
+        const result = entries.map(entry => {
+            if (!isDraft(entry) || later.has(getEcritureKey(entry))) return entry;
+            count++;
+            return { ...entry, ValidDate: validDate };
+        });
+
+        console.log(`✅ Validation: ${count} ligne(s) validée(s) au ${validDate}`);
+
+        return {
+            entries: result,
+            count,
+            skipped: Array.from(later).map(key => key.replace('|', ' '))
+        };
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    function updateFields(line, record, rule, fields, normalize) {
+        const updates = {};
+
+        fields.forEach(field => {
+            const value = line.entry[field];
+            if (value === undefined || value === null || value === '') return;
+
+            const normalized = normalize(value);
+            if (normalized !== value) {
+                updates[field] = normalized;
+            }
+        });
+
+        return setFields(line, record, rule, updates);
+    }
+
+    function setFields(line, record, rule, updates) {
+        const fields = Object.keys(updates).filter(field => updates[field] !== line.entry[field]);
+        if (fields.length === 0) return line;
+
+        fields.forEach(field => record(rule, line, field, line.entry[field] || '', updates[field]));
+
+        return { index: line.index, entry: { ...line.entry, ...updates } };
+    }
+
+    /**
+     * Rewrite a date as YYYYMMDD; values that are not a recognizable date
+     * are left as they are
+     */
+    function normalizeDate(value) {
+        const text = String(value).trim();
+        let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+        let parts = match ? [match[1], match[2], match[3]] : null;
+
+        if (!parts) {
+            match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+            parts = match ? [match[3], match[2], match[1]] : null;
+        }
+
+        if (!parts) return value;
+
+        const [year, month, day] = parts.map(part => parseInt(part, 10));
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return value;
+        }
+
+        return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Normalize an amount to dot decimals with two digits.
+     * With both separators ("1.234,50", "1,234.50") the last one is the
+     * decimal separator; a separator repeated alone ("1.234.567") groups
+     * thousands. Values that are not a number are left as they are, and so
+     * are ambiguous ones (see isAmbiguousAmount).
+     */
+    function normalizeAmount(value) {
+        let text = String(value).replace(/\s/g, '');
+        if (isAmbiguousAmount(text)) return value;
+
+        const separators = text.match(/[.,]/g) || [];
+        const decimal = separators.length > 1 && separators.every(separator => separator === separators[0])
+            ? -1
+            : Math.max(text.lastIndexOf(','), text.lastIndexOf('.'));
+
+        if (separators.length > 0 && decimal === -1) {
+            text = text.replace(/[.,]/g, '');
+        } else if (decimal !== -1) {
+            text = text.slice(0, decimal).replace(/[.,]/g, '') + '.' + text.slice(decimal + 1);
+        }
+
+        if (!/^-?\d+(\.\d+)?$/.test(text)) return value;
+
+        return formatCents(toCents(text));
+    }
+
+    /**
+     * A lone separator followed by exactly three digits ("1,234", "-12.500")
+     * may group thousands or mark decimals
+     */
+    function isAmbiguousAmount(value) {
+        if (value === undefined || value === null) return false;
+        return /^-?[1-9]\d{0,2}[.,]\d{3}$/.test(String(value).replace(/\s/g, ''));
+    }
+
+    function isDraft(entry) {
+        return !entry.ValidDate || String(entry.ValidDate).trim() === '';
+    }
+
+    function isAmount(value) {
+        return value === undefined || value === null || value === '' ||
+               /^-?\d+(\.\d+)?$/.test(String(value));
+    }
+
+    function getEcritureKey(entry) {
+        return `${entry.JournalCode || ''}|${entry.EcritureNum || ''}`;
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECRepair = {
+        suggestRepairs,
+        applyRepairs,
+        setValidDate,
+
+        // Configuration
+        config: REPAIR_CONFIG
+    };
+
+    console.log('✅ FEC Repair Module v3.0 loaded');
+})();
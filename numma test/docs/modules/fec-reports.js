@@ -0,0 +1,1064 @@
+/**
+ * ========================================
+ * NUMMA - FEC REPORTS MODULE v3.0
+ * ========================================
+ * Accounting reports built from FEC entries
+ *
+ * Features:
+ * - Trial balance (balance générale) with opening, period and closing
+ *   balances per CompteNum
+ * - Subtotals by PCG class and by 2- and 3-digit account roots
+ * - General ledger (grand livre) with carried-forward opening line and
+ *   running balance per account
+ * - Subsidiary ledgers and balances per customer / supplier (CompAuxNum)
+ * - Simplified balance sheet and income statement (structure of Cerfa
+ *   2050 to 2053) with previous-year comparison
+ * - Date range and journal filters
+ * - CSV / PDF export through NummaExports
+ *
+ * Amounts are summed in cents and returned in euros (2 decimals).
+ *
+ * DEPENDENCIES: fec-module.js, numma-exports.js (exports only)
+ */
+
+(function() {
+    'use strict';
+
+    console.log('📒 Loading FEC Reports Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents } = window.FECModule;
+    const PCG_CLASSES = window.FECModule.config.PCG_CLASSES;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const BALANCE_COLUMNS = [
+        'openingDebit', 'openingCredit', 'debit', 'credit', 'closingDebit', 'closingCredit'
+    ];
+
+    const REPORTS_CONFIG = {
+        SUBTOTAL_LEVELS: ['root3', 'root2', 'class'],
+
+        // Collective accounts of the subsidiary ledgers, the roots that
+        // require a CompAuxNum (FEC_CONFIG.VALIDATION.COLLECTIVE_ACCOUNTS)
+        SUBSIDIARY_LEDGERS: {
+            clients: { label: 'Clients', accounts: ['411'] },
+            fournisseurs: { label: 'Fournisseurs', accounts: ['401'] }
+        },
+        NO_AUXILIARY_LABEL: 'Sans compte auxiliaire'
+    };
+
+    // =====================================================
+    // TRIAL BALANCE
+    // =====================================================
+
+    /**
+     * Build the trial balance (balance générale)
+     *
+     * Opening balance = à-nouveaux of the period's fiscal year + movements of
+     * that year dated before `from` (see FECModule.getPeriodScope). Without
+     * à-nouveaux, earlier balance-sheet movements are carried forward and
+     * earlier income and expenses are returned as `priorResult`.
+     * The journal filter applies to every movement, opening ones included.
+     *
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { from: 'YYYYMMDD', to: 'YYYYMMDD', journals: string[], fiscalYearStart: 'MMDD' }
+     * @returns {Object} {
+     *     lines, subtotals: { class, root2, root3 }, totals,
+     *     priorResult: { cents, amount } (debit positive), filters
+     * }
+     */
+    function getTrialBalance(entries, options = {}) {
+        const { from = null, to = null } = options;
+        const journals = options.journals && options.journals.length > 0 ? options.journals : null;
+        const { classify } = window.FECModule.getPeriodScope(entries, options);
+        const accounts = new Map();
+        let priorResult = 0;
+
+        entries.forEach(entry => {
+            const account = (entry.CompteNum || '').trim();
+
+            if (!account) return;
+            if (journals && !journals.includes(entry.JournalCode)) return;
+
+            const scope = classify(entry);
+            if (!scope) return;
+
+            if (scope === 'priorResult') {
+                priorResult += toCents(entry.Debit) - toCents(entry.Credit);
+                return;
+            }
+
+            if (!accounts.has(account)) {
+                accounts.set(account, {
+                    account,
+                    label: entry.CompteLib || '',
+                    opening: 0,
+                    debit: 0,
+                    credit: 0
+                });
+            }
+
+            const totals = accounts.get(account);
+            const debit = toCents(entry.Debit);
+            const credit = toCents(entry.Credit);
+
+            if (scope === 'opening') {
+                totals.opening += debit - credit;
+            } else {
+                totals.debit += debit;
+                totals.credit += credit;
+            }
+        });
+
+        const lines = Array.from(accounts.values())
+            .sort((a, b) => a.account.localeCompare(b.account))
+            .map(createAccountLine);
+
+        return {
+            lines,
+            subtotals: {
+                class: computeSubtotals(lines, 1),
+                root2: computeSubtotals(lines, 2),
+                root3: computeSubtotals(lines, 3)
+            },
+            totals: createSummaryLine('', 'Total général', lines),
+            priorResult: { cents: priorResult, amount: priorResult / 100 },
+            filters: { from, to, journals: journals || [] }
+        };
+    }
+
+    /**
+     * Subtotals by account root
+     * @param {Array} lines - Trial balance lines
+     * @param {number} length - Root length (1 = PCG class)
+     */
+    function computeSubtotals(lines, length) {
+        const groups = new Map();
+
+        lines.forEach(line => {
+            const root = line.account.substr(0, length);
+            if (!groups.has(root)) {
+                groups.set(root, []);
+            }
+            groups.get(root).push(line);
+        });
+
+        return Array.from(groups.entries()).map(([root, groupLines]) =>
+            createSummaryLine(root, getRootLabel(root), groupLines)
+        );
+    }
+
+    function getRootLabel(root) {
+        if (root.length === 1) {
+            return PCG_CLASSES[root] || 'Classe inconnue';
+        }
+        return `Total ${root}`;
+    }
+
+    /**
+     * Account line from cent totals. Opening and closing balances are split
+     * into debit/credit columns the way accountants read them.
+     */
+    function createAccountLine(totals) {
+        const closing = totals.opening + totals.debit - totals.credit;
+
+        return createLine(totals.account, totals.label, {
+            openingDebit: Math.max(totals.opening, 0),
+            openingCredit: Math.max(-totals.opening, 0),
+            debit: totals.debit,
+            credit: totals.credit,
+            closingDebit: Math.max(closing, 0),
+            closingCredit: Math.max(-closing, 0)
+        });
+    }
+
+    /**
+     * Subtotal / total line: each column is the sum of the account columns
+     * (debit balances and credit balances are not netted)
+     */
+    function createSummaryLine(account, label, lines) {
+        const cents = {};
+        BALANCE_COLUMNS.forEach(column => {
+            cents[column] = lines.reduce((sum, line) => sum + line.cents[column], 0);
+        });
+        return createLine(account, label, cents);
+    }
+
+    function createLine(account, label, cents) {
+        const line = { account, label, cents };
+        BALANCE_COLUMNS.forEach(column => {
+            line[column] = cents[column] / 100;
+        });
+        line.balance = (cents.closingDebit - cents.closingCredit) / 100;
+        return line;
+    }
+
+    /**
+     * Flatten a trial balance into display/export rows: accounts in order,
+     * each root followed by its subtotals, then the grand total
+     * @param {Object} trialBalance - Result of getTrialBalance()
+     * @param {Object} options - { levels: ['root3', 'root2', 'class'] }
+     * @returns {Array} Lines with a `type`: 'account' | 'root3' | 'root2' | 'class' | 'total'
+     */
+    function flattenTrialBalance(trialBalance, options = {}) {
+        const levels = options.levels || REPORTS_CONFIG.SUBTOTAL_LEVELS;
+        const lengths = { root3: 3, root2: 2, class: 1 };
+        const subtotalMaps = {};
+
+        levels.forEach(level => {
+            subtotalMaps[level] = new Map(trialBalance.subtotals[level].map(line => [line.account, line]));
+        });
+
+        const rows = [];
+        const lines = trialBalance.lines;
+
+        lines.forEach((line, index) => {
+            rows.push({ ...line, type: 'account' });
+
+            const next = lines[index + 1];
+
+            // Close every root that ends here, innermost first
+            levels.forEach(level => {
+                const length = lengths[level];
+                const root = line.account.substr(0, length);
+                if (!next || next.account.substr(0, length) !== root) {
+                    rows.push({ ...subtotalMaps[level].get(root), type: level });
+                }
+            });
+        });
+
+        rows.push({ ...trialBalance.totals, type: 'total' });
+
+        return rows;
+    }
+
+    // =====================================================
+    // GENERAL LEDGER
+    // =====================================================
+
+    /**
+     * Build the general ledger (grand livre)
+     *
+     * Uses the same opening rule as the trial balance: the à-nouveaux of the
+     * period's fiscal year and its movements dated before `from` are carried
+     * forward into the opening line.
+     *
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - {
+     *     from, to, journals, fiscalYearStart,
+     *     accounts: string[] (account roots),
+     *     byAuxiliary: boolean (one ledger per CompAuxNum instead of per CompteNum),
+     *     auxiliary: string (single CompAuxNum)
+     * }
+     * @returns {Object} { accounts: [{ account, aux, label, opening, movements, totals }], filters }
+     */
+    function getGeneralLedger(entries, options = {}) {
+        const { from = null, to = null } = options;
+        const journals = options.journals && options.journals.length > 0 ? options.journals : null;
+        const roots = options.accounts && options.accounts.length > 0 ? options.accounts : null;
+        const { classify } = window.FECModule.getPeriodScope(entries, options);
+        const accounts = new Map();
+
+        entries.forEach((entry, index) => {
+            const account = (entry.CompteNum || '').trim();
+
+            if (!account) return;
+            if (roots && !roots.some(root => account.startsWith(root))) return;
+            if (journals && !journals.includes(entry.JournalCode)) return;
+
+            const scope = classify(entry);
+            if (scope !== 'opening' && scope !== 'movement') return;
+
+            const group = getGroup(entry, account, options);
+            if (!group) return;
+
+            if (!accounts.has(group.key)) {
+                accounts.set(group.key, {
+                    account: group.account,
+                    aux: group.aux,
+                    label: group.label,
+                    opening: 0,
+                    movements: []
+                });
+            }
+
+            const ledger = accounts.get(group.key);
+
+            if (scope === 'opening') {
+                ledger.opening += toCents(entry.Debit) - toCents(entry.Credit);
+            } else {
+                ledger.movements.push({ entry, index });
+            }
+        });
+
+        return {
+            accounts: Array.from(accounts.values())
+                .sort(compareGroups)
+                .map(createLedgerAccount),
+            filters: { from, to, journals: journals || [], accounts: roots || [] }
+        };
+    }
+
+    /**
+     * Ledger / balance grouping of a line: its CompteNum, or its CompAuxNum
+     * for subsidiary ledgers (lines without one are grouped per CompteNum)
+     * @returns {Object|null} { key, account, aux, label } (null when filtered out)
+     */
+    function getGroup(entry, account, options) {
+        if (!options.byAuxiliary && !options.auxiliary) {
+            return { key: account, account, aux: '', label: entry.CompteLib || '' };
+        }
+
+        const aux = (entry.CompAuxNum || '').trim();
+        if (options.auxiliary && aux !== options.auxiliary) return null;
+
+        if (!aux) {
+            return { key: `${account}|`, account, aux: '', label: REPORTS_CONFIG.NO_AUXILIARY_LABEL };
+        }
+        return { key: `|${aux}`, account, aux, label: entry.CompAuxLib || '' };
+    }
+
+    function compareGroups(a, b) {
+        return (a.aux || '').localeCompare(b.aux || '') || a.account.localeCompare(b.account);
+    }
+
+    /**
+     * Sort an account's movements by date (file order within a day) and
+     * compute the running balance
+     */
+    function createLedgerAccount(ledger) {
+        let balance = ledger.opening;
+        let debitTotal = 0;
+        let creditTotal = 0;
+
+        const movements = ledger.movements
+            .sort((a, b) =>
+                (a.entry.EcritureDate || '').localeCompare(b.entry.EcritureDate || '') || a.index - b.index
+            )
+            .map(({ entry, index }) => {
+                const debit = toCents(entry.Debit);
+                const credit = toCents(entry.Credit);
+
+                balance += debit - credit;
+                debitTotal += debit;
+                creditTotal += credit;
+
+                return {
+                    index,
+                    date: entry.EcritureDate || '',
+                    journal: entry.JournalCode || '',
+                    num: entry.EcritureNum || '',
+                    pieceRef: entry.PieceRef || '',
+                    label: entry.EcritureLib || '',
+                    lettering: (entry.EcritureLet || '').trim(),
+                    debit: debit / 100,
+                    credit: credit / 100,
+                    balance: balance / 100
+                };
+            });
+
+        return {
+            account: ledger.account,
+            aux: ledger.aux,
+            label: ledger.label,
+            opening: ledger.opening / 100,
+            movements,
+            totals: {
+                debit: debitTotal / 100,
+                credit: creditTotal / 100,
+                balance: balance / 100
+            },
+            cents: { opening: ledger.opening, debit: debitTotal, credit: creditTotal, balance }
+        };
+    }
+
+    /**
+     * Flatten a general ledger into display/export rows
+     * @param {Object} ledger - Result of getGeneralLedger()
+     * @returns {Array} Rows with a `type`: 'heading' | 'opening' | 'movement' | 'total'
+     */
+    function flattenGeneralLedger(ledger) {
+        const rows = [];
+
+        ledger.accounts.forEach(account => {
+            const title = account.aux ? `${account.aux} — ${account.label} (${account.account})` : `${account.account} — ${account.label}`;
+            rows.push({ type: 'heading', account: account.account, aux: account.aux, label: title });
+
+            rows.push({
+                type: 'opening',
+                account: account.account,
+                label: 'Report à nouveau',
+                debit: Math.max(account.opening, 0),
+                credit: Math.max(-account.opening, 0),
+                balance: account.opening
+            });
+
+            account.movements.forEach(movement => {
+                rows.push({ ...movement, type: 'movement', account: account.account });
+            });
+
+            rows.push({
+                type: 'total',
+                account: account.account,
+                label: `Total ${account.aux || account.account}`,
+                debit: account.totals.debit,
+                credit: account.totals.credit,
+                balance: account.totals.balance
+            });
+        });
+
+        return rows;
+    }
+
+    // =====================================================
+    // SUBSIDIARY LEDGERS
+    // =====================================================
+
+    /**
+     * Customer or supplier ledger: one general-ledger section per CompAuxNum
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { ledger: 'clients' | 'fournisseurs', auxiliary, from, to, journals }
+     * @returns {Object} Same shape as getGeneralLedger()
+     */
+    function getSubsidiaryLedger(entries, options = {}) {
+        return getGeneralLedger(entries, {
+            ...options,
+            accounts: getSubsidiaryAccounts(options),
+            byAuxiliary: true
+        });
+    }
+
+    /**
+     * Customer or supplier balance (balance auxiliaire)
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - { ledger: 'clients' | 'fournisseurs', from, to, journals }
+     * @returns {Object} { lines: [{ aux, account, label, ...balance columns }], totals, filters }
+     */
+    function getSubsidiaryBalance(entries, options = {}) {
+        const ledger = getSubsidiaryLedger(entries, options);
+
+        const lines = ledger.accounts.map(account => {
+            const line = createAccountLine({
+                account: account.account,
+                label: account.label,
+                opening: account.cents.opening,
+                debit: account.cents.debit,
+                credit: account.cents.credit
+            });
+            line.aux = account.aux;
+            line.lettered = account.movements.filter(movement => movement.lettering).length;
+            line.unlettered = account.movements.length - line.lettered;
+            return line;
+        });
+
+        return {
+            lines,
+            totals: createSummaryLine('', 'Total', lines),
+            filters: ledger.filters
+        };
+    }
+
+    function getSubsidiaryAccounts(options) {
+        if (options.accounts && options.accounts.length > 0) {
+            return options.accounts;
+        }
+        const preset = REPORTS_CONFIG.SUBSIDIARY_LEDGERS[options.ledger || 'clients'];
+        if (!preset) {
+            throw new Error(`Grand livre auxiliaire inconnu: ${options.ledger}`);
+        }
+        return preset.accounts;
+    }
+
+    // =====================================================
+    // FINANCIAL STATEMENTS
+    // =====================================================
+
+    /**
+     * Statement lines following Cerfa 2050 (actif), 2051 (passif),
+     * 2052 (charges) and 2053 (produits).
+     *
+     * An account goes to the line with the longest matching root. `side`
+     * restricts a line to accounts with a debit ('D') or credit ('C') closing
+     * balance, so mixed accounts (banks, tax and social accounts...) land on
+     * the right side of the balance sheet. Contra accounts (amortissements,
+     * dépréciations) sit on their asset line and reduce it.
+     */
+    const STATEMENT_LINES = {
+        actif: [
+            { id: 'capitalNonAppele', label: 'Capital souscrit non appelé', roots: ['109'] },
+            { id: 'immoIncorporelles', label: 'Immobilisations incorporelles', roots: ['20', '280', '290'] },
+            { id: 'immoCorporelles', label: 'Immobilisations corporelles', roots: ['21', '22', '23', '281', '282', '291', '292', '293'] },
+            { id: 'immoFinancieres', label: 'Immobilisations financières', roots: ['25', '26', '27', '296', '297'] },
+            { id: 'stocks', label: 'Stocks et en-cours', roots: ['3'] },
+            { id: 'avancesVersees', label: 'Avances et acomptes versés sur commandes', roots: ['4091'] },
+            { id: 'creancesClients', label: 'Créances clients et comptes rattachés', roots: ['41', '491'], side: 'D' },
+            { id: 'autresCreances', label: 'Autres créances', roots: ['40', '42', '43', '44', '45', '46', '47', '495', '496'], side: 'D' },
+            { id: 'vmp', label: 'Valeurs mobilières de placement', roots: ['50', '59'] },
+            { id: 'disponibilites', label: 'Disponibilités', roots: ['51', '52', '53', '54', '58'], side: 'D' },
+            { id: 'chargesAvance', label: 'Charges constatées d\'avance', roots: ['486'] }
+        ],
+        passif: [
+            { id: 'capital', label: 'Capital social ou individuel', roots: ['101', '108'] },
+            { id: 'primes', label: 'Primes d\'émission, de fusion, d\'apport', roots: ['104'] },
+            { id: 'ecartsReevaluation', label: 'Écarts de réévaluation', roots: ['105'] },
+            { id: 'reserves', label: 'Réserves', roots: ['106'] },
+            { id: 'reportANouveau', label: 'Report à nouveau', roots: ['11'] },
+            { id: 'resultat', label: 'Résultat de l\'exercice', roots: ['12'] },
+            { id: 'subventions', label: 'Subventions d\'investissement', roots: ['13'] },
+            { id: 'provisionsReglementees', label: 'Provisions réglementées', roots: ['14'] },
+            { id: 'provisions', label: 'Provisions pour risques et charges', roots: ['15'] },
+            { id: 'empruntsDettes', label: 'Emprunts et dettes financières', roots: ['16', '17', '519', '51', '52'], side: 'C' },
+            { id: 'avancesRecues', label: 'Avances et acomptes reçus sur commandes', roots: ['4191'] },
+            { id: 'dettesFournisseurs', label: 'Dettes fournisseurs et comptes rattachés', roots: ['40'], side: 'C' },
+            { id: 'dettesFiscalesSociales', label: 'Dettes fiscales et sociales', roots: ['42', '43', '44'], side: 'C' },
+            { id: 'autresDettes', label: 'Autres dettes', roots: ['41', '45', '46', '47'], side: 'C' },
+            { id: 'produitsAvance', label: 'Produits constatés d\'avance', roots: ['487'] }
+        ],
+        charges: [
+            { id: 'achatsMarchandises', label: 'Achats de marchandises', roots: ['607', '6097'], group: 'exploitation' },
+            { id: 'variationMarchandises', label: 'Variation de stock (marchandises)', roots: ['6037'], group: 'exploitation' },
+            { id: 'achatsMatieres', label: 'Achats de matières premières et autres approvisionnements', roots: ['601', '602', '6091', '6092'], group: 'exploitation' },
+            { id: 'variationMatieres', label: 'Variation de stock (matières premières et approvisionnements)', roots: ['603'], group: 'exploitation' },
+            { id: 'chargesExternes', label: 'Autres achats et charges externes', roots: ['604', '605', '606', '608', '6094', '6095', '6096', '6098', '61', '62'], group: 'exploitation' },
+            { id: 'impotsTaxes', label: 'Impôts, taxes et versements assimilés', roots: ['63'], group: 'exploitation' },
+            { id: 'salaires', label: 'Salaires et traitements', roots: ['641', '644'], group: 'exploitation' },
+            { id: 'chargesSociales', label: 'Charges sociales', roots: ['645', '646', '647', '648'], group: 'exploitation' },
+            { id: 'dotationsExploitation', label: 'Dotations aux amortissements et provisions', roots: ['681'], group: 'exploitation' },
+            { id: 'autresCharges', label: 'Autres charges', roots: ['65'], group: 'exploitation' },
+            { id: 'chargesFinancieres', label: 'Charges financières', roots: ['66', '686'], group: 'financier' },
+            { id: 'chargesExceptionnelles', label: 'Charges exceptionnelles', roots: ['67', '687'], group: 'exceptionnel' },
+            { id: 'participation', label: 'Participation des salariés aux résultats', roots: ['691'], group: 'impots' },
+            { id: 'impotsBenefices', label: 'Impôts sur les bénéfices', roots: ['69'], group: 'impots' }
+        ],
+        produits: [
+            { id: 'ventesMarchandises', label: 'Ventes de marchandises', roots: ['707', '7097'], group: 'exploitation' },
+            { id: 'productionVendue', label: 'Production vendue (biens et services)', roots: ['70'], group: 'exploitation' },
+            { id: 'productionStockee', label: 'Production stockée', roots: ['713'], group: 'exploitation' },
+            { id: 'productionImmobilisee', label: 'Production immobilisée', roots: ['72'], group: 'exploitation' },
+            { id: 'subventionsExploitation', label: 'Subventions d\'exploitation', roots: ['74'], group: 'exploitation' },
+            { id: 'reprisesExploitation', label: 'Reprises sur amortissements et provisions, transferts de charges', roots: ['781', '791'], group: 'exploitation' },
+            { id: 'autresProduits', label: 'Autres produits', roots: ['75'], group: 'exploitation' },
+            { id: 'produitsFinanciers', label: 'Produits financiers', roots: ['76', '786', '796'], group: 'financier' },
+            { id: 'produitsExceptionnels', label: 'Produits exceptionnels', roots: ['77', '787', '797'], group: 'exceptionnel' }
+        ]
+    };
+
+    // Balance-sheet sides hold debit-natured (actif) or credit-natured (passif) amounts
+    const STATEMENT_SIGNS = { actif: 1, passif: -1, charges: 1, produits: -1 };
+
+    const STATEMENT_FORMS = {
+        actif: 'Bilan actif (2050)',
+        passif: 'Bilan passif (2051)',
+        charges: 'Compte de résultat — charges (2052)',
+        produits: 'Compte de résultat — produits (2052-2053)'
+    };
+
+    /**
+     * Build the simplified balance sheet and income statement
+     *
+     * The balance sheet uses closing balances at `to`; the income statement
+     * uses the period movements. Class 6/7 balances carried from earlier
+     * periods (not closed yet) are shown in "Report à nouveau" so the balance
+     * sheet still balances.
+     *
+     * @param {Array} entries - FEC entries (validated)
+     * @param {Object} options - { from, to, fiscalYearStart, previous: { entries, from, to } | false }
+     *   Without `previous`, the comparison uses the same period one year earlier
+     *   in `entries`.
+     * @returns {Object} { current, previous, sections, results, filters }
+     */
+    function getFinancialStatements(entries, options = {}) {
+        const { from = null, to = null } = options;
+        const current = computeStatements(entries, from, to, options.fiscalYearStart);
+
+        let previous = null;
+        const previousOptions = getPreviousPeriod(entries, options);
+        if (previousOptions) {
+            previous = computeStatements(previousOptions.entries, previousOptions.from, previousOptions.to, options.fiscalYearStart);
+        }
+
+        const sections = {};
+        Object.keys(STATEMENT_LINES).forEach(section => {
+            sections[section] = STATEMENT_LINES[section].map(line => ({
+                id: line.id,
+                label: line.label,
+                group: line.group || null,
+                current: current.lines[line.id] / 100,
+                previous: previous ? previous.lines[line.id] / 100 : null
+            }));
+        });
+
+        const toEuros = (totals) => {
+            const result = {};
+            Object.keys(totals).forEach(key => {
+                result[key] = totals[key] / 100;
+            });
+            return result;
+        };
+
+        return {
+            sections,
+            current: toEuros(current.totals),
+            previous: previous ? toEuros(previous.totals) : null,
+            unmapped: current.unmapped,
+            filters: {
+                from,
+                to,
+                previousFrom: previousOptions ? previousOptions.from : null,
+                previousTo: previousOptions ? previousOptions.to : null
+            }
+        };
+    }
+
+    function getPreviousPeriod(entries, options) {
+        if (options.previous === false) return null;
+
+        const previous = options.previous || {};
+        if (!previous.entries && !options.from && !options.to) {
+            // Same entries, same (open) period: nothing to compare with
+            return null;
+        }
+
+        return {
+            entries: previous.entries || entries,
+            from: previous.from !== undefined ? previous.from : shiftYear(options.from, -1),
+            to: previous.to !== undefined ? previous.to : shiftYear(options.to, -1)
+        };
+    }
+
+    function shiftYear(date, years) {
+        if (!date) return null;
+        const year = String(parseInt(date.substr(0, 4), 10) + years).padStart(4, '0');
+        // 29 February has no counterpart in a non-leap year
+        return date.substr(4) === '0229' ? `${year}0228` : `${year}${date.substr(4)}`;
+    }
+
+    /**
+     * Statement amounts (cents) for one period
+     */
+    function computeStatements(entries, from, to, fiscalYearStart) {
+        const trialBalance = getTrialBalance(entries, { from, to, fiscalYearStart });
+        const lines = {};
+        const unmapped = [];
+        let priorResult = trialBalance.priorResult.cents;
+
+        Object.keys(STATEMENT_LINES).forEach(section => {
+            STATEMENT_LINES[section].forEach(line => {
+                lines[line.id] = 0;
+            });
+        });
+
+        trialBalance.lines.forEach(account => {
+            const accountClass = account.account.charAt(0);
+            const isResultAccount = accountClass === '6' || accountClass === '7';
+
+            if (isResultAccount) {
+                const opening = account.cents.openingDebit - account.cents.openingCredit;
+                const movement = account.cents.debit - account.cents.credit;
+
+                priorResult += opening;
+                addToStatement(lines, [accountClass === '6' ? 'charges' : 'produits'], account.account, movement, unmapped);
+                return;
+            }
+
+            if (accountClass === '8') return;
+
+            const closing = account.cents.closingDebit - account.cents.closingCredit;
+            if (closing === 0) return;
+
+            addToStatement(lines, ['actif', 'passif'], account.account, closing, unmapped);
+        });
+
+        // Unclosed results of earlier periods
+        lines.reportANouveau += -priorResult;
+
+        const sum = (section, group) => STATEMENT_LINES[section]
+            .filter(line => !group || line.group === group)
+            .reduce((total, line) => total + lines[line.id], 0);
+
+        const totals = {
+            produitsExploitation: sum('produits', 'exploitation'),
+            chargesExploitation: sum('charges', 'exploitation'),
+            produitsFinanciers: sum('produits', 'financier'),
+            chargesFinancieres: sum('charges', 'financier'),
+            produitsExceptionnels: sum('produits', 'exceptionnel'),
+            chargesExceptionnelles: sum('charges', 'exceptionnel'),
+            impots: sum('charges', 'impots')
+        };
+
+        totals.resultatExploitation = totals.produitsExploitation - totals.chargesExploitation;
+        totals.resultatFinancier = totals.produitsFinanciers - totals.chargesFinancieres;
+        totals.resultatCourant = totals.resultatExploitation + totals.resultatFinancier;
+        totals.resultatExceptionnel = totals.produitsExceptionnels - totals.chargesExceptionnelles;
+        totals.resultatNet = totals.resultatCourant + totals.resultatExceptionnel - totals.impots;
+
+        // The year's result appears in equity next to any amount already in 12
+        lines.resultat += totals.resultatNet;
+
+        totals.totalActif = sum('actif');
+        totals.totalPassif = sum('passif');
+        totals.totalCharges = sum('charges');
+        totals.totalProduits = sum('produits');
+
+        return { lines, totals, unmapped };
+    }
+
+    function addToStatement(lines, sections, account, balance, unmapped) {
+        const match = findLine(sections, account, balance);
+        if (!match) {
+            unmapped.push({ account, balance: balance / 100 });
+            return;
+        }
+        lines[match.line.id] += balance * STATEMENT_SIGNS[match.section];
+    }
+
+    /**
+     * Line with the longest matching root for an account
+     * @param {string[]} sections - Sections searched together ('actif' and 'passif' for the balance sheet)
+     * @param {string} account - CompteNum
+     * @param {number} balance - Balance in cents (debit positive)
+     * @returns {Object|null} { section, line }
+     */
+    function findLine(sections, account, balance) {
+        let best = null;
+        let bestLength = 0;
+
+        sections.forEach(section => {
+            STATEMENT_LINES[section].forEach(line => {
+                if (line.side === 'D' && balance < 0) return;
+                if (line.side === 'C' && balance > 0) return;
+
+                line.roots.forEach(root => {
+                    if (account.startsWith(root) && root.length > bestLength) {
+                        best = { section, line };
+                        bestLength = root.length;
+                    }
+                });
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Validate the entries of the periods shown (N, and N-1 when it has
+     * entries), then build the statements. Other years are not checked.
+     * @param {Array} entries - FEC entries
+     * @param {Object} options - getFinancialStatements() options, plus
+     *     validationOptions (see FECModule.validateFECCompliance)
+     * @returns {Object} Statements (throws when a period shown is not compliant)
+     */
+    function generateFinancialStatements(entries, options = {}) {
+        const periods = [{ entries, from: options.from || null, to: options.to || null }];
+        const previous = getPreviousPeriod(entries, options);
+        if (previous) {
+            periods.push(previous);
+        }
+
+        periods.forEach((period, index) => {
+            const shown = period.entries.filter(entry => {
+                const date = entry.EcritureDate || '';
+                return (!period.from || date >= period.from) && (!period.to || date <= period.to);
+            });
+            if (index > 0 && shown.length === 0) return;
+
+            // The fiscal year bounds, if any, are those of N
+            const validationOptions = index === 0
+                ? options.validationOptions
+                : { ...options.validationOptions, fiscalYear: null };
+            const validation = window.FECModule.validateFECCompliance(shown, validationOptions);
+            if (!validation.valid) {
+                const label = `${period.from || '…'} - ${period.to || '…'}`;
+                const error = new Error(`FEC non conforme sur la période ${label} (${validation.errors.length} erreur(s)): validez les écritures avant d'établir les états financiers`);
+                error.validation = validation;
+                throw error;
+            }
+        });
+
+        return getFinancialStatements(entries, options);
+    }
+
+    /**
+     * Flatten the statements into display/export rows
+     * @param {Object} statements - Result of getFinancialStatements()
+     * @param {string} statement - 'bilan' | 'resultat'
+     * @returns {Array} Rows with a `type`: 'heading' | 'line' | 'subtotal' | 'total'
+     */
+    function flattenFinancialStatements(statements, statement) {
+        const rows = [];
+        const { current, previous } = statements;
+
+        const heading = (label) => rows.push({ type: 'heading', label, current: '', previous: '' });
+        const total = (type, label, key) => rows.push({
+            type,
+            label,
+            current: current[key],
+            previous: previous ? previous[key] : null
+        });
+        const section = (name, group) => statements.sections[name]
+            .filter(line => !group || line.group === group)
+            .forEach(line => rows.push({ ...line, type: 'line' }));
+
+        if (statement === 'bilan') {
+            heading(STATEMENT_FORMS.actif);
+            section('actif');
+            total('total', 'Total actif', 'totalActif');
+            heading(STATEMENT_FORMS.passif);
+            section('passif');
+            total('total', 'Total passif', 'totalPassif');
+            return rows;
+        }
+
+        heading('Exploitation');
+        section('produits', 'exploitation');
+        total('subtotal', 'Produits d\'exploitation', 'produitsExploitation');
+        section('charges', 'exploitation');
+        total('subtotal', 'Charges d\'exploitation', 'chargesExploitation');
+        total('total', 'Résultat d\'exploitation', 'resultatExploitation');
+
+        heading('Financier');
+        section('produits', 'financier');
+        section('charges', 'financier');
+        total('total', 'Résultat financier', 'resultatFinancier');
+        total('total', 'Résultat courant avant impôts', 'resultatCourant');
+
+        heading('Exceptionnel');
+        section('produits', 'exceptionnel');
+        section('charges', 'exceptionnel');
+        total('total', 'Résultat exceptionnel', 'resultatExceptionnel');
+
+        heading('Impôts');
+        section('charges', 'impots');
+        total('total', 'Bénéfice ou perte', 'resultatNet');
+
+        return rows;
+    }
+
+    // =====================================================
+    // EXPORTS
+    // =====================================================
+
+    const TRIAL_BALANCE_COLUMNS = [
+        { key: 'account', label: 'Compte' },
+        { key: 'label', label: 'Libellé' },
+        { key: 'openingDebit', label: 'Ouverture débit', amount: true },
+        { key: 'openingCredit', label: 'Ouverture crédit', amount: true },
+        { key: 'debit', label: 'Mouvements débit', amount: true },
+        { key: 'credit', label: 'Mouvements crédit', amount: true },
+        { key: 'closingDebit', label: 'Solde débiteur', amount: true },
+        { key: 'closingCredit', label: 'Solde créditeur', amount: true }
+    ];
+
+    /**
+     * Export the trial balance to CSV (semicolon-separated, French amounts)
+     * @param {Object} trialBalance - Result of getTrialBalance()
+     * @param {string} filename - Output filename
+     */
+    function exportTrialBalanceCSV(trialBalance, filename = 'balance_generale.csv') {
+        requireExports();
+
+        const rows = flattenTrialBalance(trialBalance).map(row => {
+            const csvRow = {};
+            TRIAL_BALANCE_COLUMNS.forEach(column => {
+                csvRow[column.label] = column.amount
+                    ? row[column.key].toFixed(2).replace('.', ',')
+                    : row[column.key];
+            });
+            return csvRow;
+        });
+
+        return window.NummaExports.exportToCSV(rows, filename);
+    }
+
+    /**
+     * Open the trial balance as a printable report (PDF through the print dialog)
+     * @param {Object} trialBalance - Result of getTrialBalance()
+     */
+    function exportTrialBalancePDF(trialBalance) {
+        requireExports();
+
+        return window.NummaExports.generateReportPDF({
+            title: 'Balance générale',
+            subtitle: describeFilters(trialBalance.filters),
+            columns: TRIAL_BALANCE_COLUMNS,
+            rows: flattenTrialBalance(trialBalance).map(row => ({
+                ...row,
+                emphasis: row.type === 'account' ? null : (row.type === 'total' ? 'total' : 'subtotal')
+            }))
+        });
+    }
+
+    const GENERAL_LEDGER_COLUMNS = [
+        { key: 'date', label: 'Date' },
+        { key: 'journal', label: 'Journal' },
+        { key: 'num', label: 'N° écriture' },
+        { key: 'pieceRef', label: 'Pièce' },
+        { key: 'label', label: 'Libellé' },
+        { key: 'lettering', label: 'Let.' },
+        { key: 'debit', label: 'Débit', amount: true },
+        { key: 'credit', label: 'Crédit', amount: true },
+        { key: 'balance', label: 'Solde', amount: true }
+    ];
+
+    /**
+     * Open the general ledger as a printable report (PDF through the print dialog)
+     * @param {Object} ledger - Result of getGeneralLedger() or getSubsidiaryLedger()
+     * @param {string} title - Report title
+     */
+    function exportGeneralLedgerPDF(ledger, title = 'Grand livre') {
+        requireExports();
+
+        const emphasis = { heading: 'heading', opening: 'subtotal', movement: null, total: 'total' };
+
+        return window.NummaExports.generateReportPDF({
+            title,
+            subtitle: describeFilters(ledger.filters),
+            columns: GENERAL_LEDGER_COLUMNS,
+            rows: flattenGeneralLedger(ledger).map(row => ({
+                ...row,
+                date: formatFECDate(row.date),
+                // Heading rows only carry the account title
+                debit: row.type === 'heading' ? '' : row.debit,
+                credit: row.type === 'heading' ? '' : row.credit,
+                balance: row.type === 'heading' ? '' : row.balance,
+                emphasis: emphasis[row.type]
+            }))
+        });
+    }
+
+    const SUBSIDIARY_BALANCE_COLUMNS = [
+        { key: 'aux', label: 'Compte auxiliaire' },
+        { key: 'label', label: 'Libellé' },
+        { key: 'account', label: 'Collectif' },
+        { key: 'openingDebit', label: 'Ouverture débit', amount: true },
+        { key: 'openingCredit', label: 'Ouverture crédit', amount: true },
+        { key: 'debit', label: 'Mouvements débit', amount: true },
+        { key: 'credit', label: 'Mouvements crédit', amount: true },
+        { key: 'closingDebit', label: 'Solde débiteur', amount: true },
+        { key: 'closingCredit', label: 'Solde créditeur', amount: true }
+    ];
+
+    /**
+     * Open a subsidiary balance as a printable report
+     * @param {Object} balance - Result of getSubsidiaryBalance()
+     * @param {string} title - Report title
+     */
+    function exportSubsidiaryBalancePDF(balance, title = 'Balance auxiliaire') {
+        requireExports();
+
+        return window.NummaExports.generateReportPDF({
+            title,
+            subtitle: describeFilters(balance.filters),
+            columns: SUBSIDIARY_BALANCE_COLUMNS,
+            rows: [
+                ...balance.lines,
+                { ...balance.totals, aux: 'Total', label: '', emphasis: 'total' }
+            ]
+        });
+    }
+
+    /**
+     * Open the balance sheet or income statement as a printable report
+     * @param {Object} statements - Result of getFinancialStatements()
+     * @param {string} statement - 'bilan' | 'resultat'
+     */
+    function exportFinancialStatementPDF(statements, statement) {
+        requireExports();
+
+        const { filters } = statements;
+        const columns = [
+            { key: 'label', label: 'Poste' },
+            { key: 'current', label: `N (${formatPeriod(filters.from, filters.to)})`, amount: true }
+        ];
+
+        if (statements.previous) {
+            columns.push({
+                key: 'previous',
+                label: `N-1 (${formatPeriod(filters.previousFrom, filters.previousTo)})`,
+                amount: true
+            });
+        }
+
+        const emphasis = { heading: 'heading', line: null, subtotal: 'subtotal', total: 'total' };
+
+        return window.NummaExports.generateReportPDF({
+            title: statement === 'bilan' ? 'Bilan simplifié' : 'Compte de résultat simplifié',
+            subtitle: describeFilters({ ...filters, journals: [] }),
+            columns,
+            rows: flattenFinancialStatements(statements, statement).map(row => ({
+                ...row,
+                emphasis: emphasis[row.type]
+            }))
+        });
+    }
+
+    function formatPeriod(from, to) {
+        return `${formatFECDate(from) || 'début'} - ${formatFECDate(to) || 'fin'}`;
+    }
+
+    function describeFilters(filters) {
+        const parts = [];
+        if (filters.from || filters.to) {
+            parts.push(`Période: ${formatFECDate(filters.from) || 'début'} au ${formatFECDate(filters.to) || 'fin'}`);
+        }
+        if (filters.journals.length > 0) {
+            parts.push(`Journaux: ${filters.journals.join(', ')}`);
+        }
+        if (filters.accounts && filters.accounts.length > 0) {
+            parts.push(`Comptes: ${filters.accounts.join(', ')}`);
+        }
+        return parts.join(' — ') || 'Toutes écritures';
+    }
+
+    function formatFECDate(date) {
+        return date ? `${date.substr(6, 2)}/${date.substr(4, 2)}/${date.substr(0, 4)}` : '';
+    }
+
+    function requireExports() {
+        if (typeof window.NummaExports === 'undefined') {
+            throw new Error('Module d\'export non chargé');
+        }
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECReports = {
+        // Trial balance
+        getTrialBalance,
+        flattenTrialBalance,
+        exportTrialBalanceCSV,
+        exportTrialBalancePDF,
+
+        // General ledger
+        getGeneralLedger,
+        flattenGeneralLedger,
+        exportGeneralLedgerPDF,
+
+        // Subsidiary ledgers
+        getSubsidiaryLedger,
+        getSubsidiaryBalance,
+        exportSubsidiaryBalancePDF,
+
+        // Financial statements
+        getFinancialStatements,
+        generateFinancialStatements,
+        flattenFinancialStatements,
+        exportFinancialStatementPDF,
+
+        // Configuration
+        config: REPORTS_CONFIG,
+        statementLines: STATEMENT_LINES
+    };
+
+    console.log('✅ FEC Reports Module v3.0 loaded');
+})();
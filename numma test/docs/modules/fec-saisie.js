@@ -0,0 +1,331 @@
+/**
+ * ========================================
+ * NUMMA - FEC SAISIE MODULE v3.0
+ * ========================================
+ * Quick journal entry (saisie rapide) of multi-line écritures
+ *
+ * Features:
+ * - Next EcritureNum per journal and fiscal year
+ * - Running totals and imbalance of the lines being typed
+ * - Suggested balancing line (journal counterpart account)
+ * - Écriture built from a draft, checked with validateEntry and the
+ *   balance before it can be posted
+ *
+ * A draft is { JournalCode, EcritureDate, PieceRef, PieceDate, EcritureLib,
+ * lines: [{ CompteNum, CompteLib, CompAuxNum, CompAuxLib, EcritureLib,
+ * Debit, Credit }] }. Recurring entries and generated écritures use the
+ * same drafts.
+ *
+ * DEPENDENCIES: fec-module.js
+ */
+
+(function() {
+    'use strict';
+
+    console.log('⌨️ Loading FEC Saisie Module v3.0...');
+
+    // Dependency check
+    if (typeof window.FECModule === 'undefined') {
+        console.error('❌ Dependencies missing: fec-module.js required');
+        return;
+    }
+
+    const { toCents, formatCents, validateEntry, getFiscalYear } = window.FECModule;
+    const FEC_CONFIG = window.FECModule.config;
+
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    const SAISIE_CONFIG = {
+        // Numbering of a journal that has no number yet in the fiscal year
+        NUMBER_PREFIX: '{journal}{year}-',
+        NUMBER_WIDTH: 4,
+
+        // Counterpart proposed on the balancing line
+        BALANCING_ACCOUNTS: {
+            'BQ': { CompteNum: '512000', CompteLib: 'Banque' },
+            'CA': { CompteNum: '530000', CompteLib: 'Caisse' }
+        },
+
+        // Line fields copied from the draft, on top of the FEC fields
+        LINE_FIELDS: ['CompteNum', 'CompteLib', 'CompAuxNum', 'CompAuxLib', 'EcritureLib',
+                      'Montantdevise', 'Idevise', 'DateRglt', 'ModeRglt', 'NatOp', 'IdClient']
+    };
+
+    // =====================================================
+    // NUMBERING
+    // =====================================================
+
+    /**
+     * Next EcritureNum of a journal: the sequence with the highest counter
+     * in the fiscal year of the date, or a new "VE2024-0001" sequence
+     * @param {Array} entries - FEC entries
+     * @param {string} journalCode - Journal
+     * @param {string} date - EcritureDate (YYYYMMDD)
+     * @param {Object} options - { fiscalYearStart: 'MMDD' }
+     * @returns {string} EcritureNum
+     */
+    function getNextEcritureNum(entries, journalCode, date, options = {}) {
+        const fiscalYear = getFiscalYear(date, options.fiscalYearStart);
+        let last = null;
+
+        entries.forEach(entry => {
+            if (entry.JournalCode !== journalCode || !entry.EcritureDate) return;
+            if (getFiscalYear(entry.EcritureDate, options.fiscalYearStart) !== fiscalYear) return;
+
+            const match = /^(.*?)(\d+)$/.exec(String(entry.EcritureNum || '').trim());
+            if (!match) return;
+
+            const number = parseInt(match[2], 10);
+            if (!last || number > last.number) {
+                last = { prefix: match[1], number, width: match[2].length };
+            }
+        });
+
+        if (!last) {
+            const prefix = SAISIE_CONFIG.NUMBER_PREFIX.replace('{journal}', journalCode).replace('{year}', fiscalYear);
+            return prefix + '1'.padStart(SAISIE_CONFIG.NUMBER_WIDTH, '0');
+        }
+        return last.prefix + String(last.number + 1).padStart(last.width, '0');
+    }
+
+    // =====================================================
+    // BALANCE
+    // =====================================================
+
+    /**
+     * Totals of the lines being typed
+     * @param {Array} lines - Draft lines (amounts as typed: "1 234,50")
+     * @returns {Object} { debit, credit, imbalance } in cents (imbalance = debit - credit)
+     */
+    function getLinesBalance(lines) {
+        const totals = lines.reduce((sum, line) => ({
+            debit: sum.debit + (parseAmount(line.Debit) || 0),
+            credit: sum.credit + (parseAmount(line.Credit) || 0)
+        }), { debit: 0, credit: 0 });
+
+        return { ...totals, imbalance: totals.debit - totals.credit };
+    }
+
+    /**
+     * Line that would balance the écriture
+     * @param {Array} lines - Draft lines
+     * @param {string} journalCode - Journal (for the counterpart account)
+     * @returns {Object|null} { CompteNum, CompteLib, Debit, Credit }, null when balanced
+     */
+    function suggestBalancingLine(lines, journalCode) {
+        const { imbalance } = getLinesBalance(lines);
+        if (imbalance === 0) return null;
+
+        const counterpart = SAISIE_CONFIG.BALANCING_ACCOUNTS[journalCode] || { CompteNum: '', CompteLib: '' };
+
+        return {
+            CompteNum: counterpart.CompteNum,
+            CompteLib: counterpart.CompteLib,
+            Debit: imbalance < 0 ? formatCents(-imbalance) : '',
+            Credit: imbalance > 0 ? formatCents(imbalance) : ''
+        };
+    }
+
+    // =====================================================
+    // ÉCRITURE
+    // =====================================================
+
+    /**
+     * Build and check the FEC lines of a draft
+     * @param {Object} draft - Écriture being typed (see module header)
+     * @param {Array} entries - Existing FEC entries (numbering, duplicates)
+     * @param {Object} options - validateEntry options (regime, fiscalYear...) and
+     *     { ecritureNum, fiscalYearStart }
+     * @returns {Object} {
+     *     valid, ecritureNum, entries: Array (new FEC lines),
+     *     totals: { debit, credit, imbalance } (cents),
+     *     errors: string[], warnings: string[]
+     * }
+     */
+    function createEcriture(draft, entries, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const journalCode = (draft.JournalCode || '').trim();
+        const date = (draft.EcritureDate || '').trim();
+
+        if (!journalCode) {
+            errors.push('Journal requis');
+        }
+        const validDate = window.FECModule.isValidFECDate(date);
+        if (!validDate) {
+            errors.push(`Date d'écriture invalide: ${date || '(vide)'}`);
+        }
+
+        // Blank lines of the grid are ignored
+        const lines = (draft.lines || []).filter(line =>
+            ['CompteNum', 'CompteLib', 'Debit', 'Credit'].some(field => String(line[field] || '').trim() !== '')
+        );
+
+        if (lines.length < 2) {
+            errors.push('Une écriture comporte au moins deux lignes');
+        }
+
+        const ecritureNum = options.ecritureNum ||
+            (journalCode && validDate ? getNextEcritureNum(entries, journalCode, date, options) : '');
+
+        if (ecritureNum && entries.some(entry => entry.JournalCode === journalCode && entry.EcritureNum === ecritureNum)) {
+            errors.push(`Le numéro ${ecritureNum} existe déjà dans le journal ${journalCode}`);
+        }
+
+        const newEntries = lines.map((line, index) => {
+            const debit = parseAmount(line.Debit);
+            const credit = parseAmount(line.Credit);
+
+            if (debit === null || credit === null) {
+                errors.push(`Ligne ${index + 1}: montant invalide`);
+            } else if (debit < 0 || credit < 0) {
+                errors.push(`Ligne ${index + 1}: montant négatif`);
+            }
+
+            const entry = createLineEntry(draft, line, ecritureNum, debit || 0, credit || 0);
+
+            const validation = validateEntry(entry, options);
+            validation.errors.forEach(error => errors.push(`Ligne ${index + 1}: ${error}`));
+            validation.warnings.forEach(warning => warnings.push(`Ligne ${index + 1}: ${warning.message}`));
+
+            return entry;
+        });
+
+        const totals = getLinesBalance(lines);
+        if (totals.imbalance !== 0) {
+            errors.push(`Écriture déséquilibrée: débit ${formatCents(totals.debit)}, crédit ${formatCents(totals.credit)} (écart ${formatCents(Math.abs(totals.imbalance))})`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            ecritureNum,
+            entries: newEntries,
+            totals,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Post a checked draft: its lines are inserted in EcritureDate order
+     * @param {Array} entries - FEC entries
+     * @param {Object} draft - Écriture being typed
+     * @param {Object} options - createEcriture options
+     * @returns {Object} { entries: Array, ecriture: createEcriture() result }
+     */
+    function postEcriture(entries, draft, options = {}) {
+        const ecriture = createEcriture(draft, entries, options);
+
+        if (!ecriture.valid) {
+            throw new Error(`Écriture refusée: ${ecriture.errors[0]}`);
+        }
+
+        console.log(`✅ Saisie: écriture ${ecriture.ecritureNum} (${ecriture.entries.length} ligne(s))`);
+
+        return {
+            entries: insertEntries(entries, ecriture.entries),
+            ecriture
+        };
+    }
+
+    /**
+     * Insert new écritures in chronological order: each one goes after the
+     * last line dated on or before its EcritureDate, so a back-dated
+     * écriture does not end up after later ones in the FEC
+     * @param {Array} entries - FEC entries
+     * @param {Array} newEntries - Lines of one or more écritures
+     * @returns {Array} New entries array
+     */
+    function insertEntries(entries, newEntries) {
+        const result = entries.slice();
+        const ecritures = new Map();
+
+        newEntries.forEach(entry => {
+            const key = `${entry.JournalCode}|${entry.EcritureNum}`;
+            if (!ecritures.has(key)) ecritures.set(key, []);
+            ecritures.get(key).push(entry);
+        });
+
+        ecritures.forEach(lines => {
+            const date = lines[0].EcritureDate || '';
+
+            // Usually the end of the file: scan back from there
+            let position = result.length;
+            while (position > 0 && (result[position - 1].EcritureDate || '') > date) {
+                position--;
+            }
+
+            result.splice(position, 0, ...lines);
+        });
+
+        return result;
+    }
+
+    function createLineEntry(draft, line, ecritureNum, debit, credit) {
+        const entry = {
+            JournalCode: draft.JournalCode,
+            JournalLib: draft.JournalLib || FEC_CONFIG.JOURNAL_CODES[draft.JournalCode] || draft.JournalCode,
+            EcritureNum: ecritureNum,
+            EcritureDate: draft.EcritureDate,
+            CompteNum: '',
+            CompteLib: '',
+            CompAuxNum: '',
+            CompAuxLib: '',
+            PieceRef: draft.PieceRef || '',
+            PieceDate: draft.PieceDate || draft.EcritureDate,
+            EcritureLib: draft.EcritureLib || '',
+            Debit: formatCents(debit),
+            Credit: formatCents(credit),
+            EcritureLet: '',
+            DateLet: '',
+            ValidDate: '',
+            Montantdevise: '',
+            Idevise: ''
+        };
+
+        SAISIE_CONFIG.LINE_FIELDS.forEach(field => {
+            const value = String(line[field] === undefined || line[field] === null ? '' : line[field]).trim();
+            if (value !== '') {
+                entry[field] = value;
+            }
+        });
+
+        return entry;
+    }
+
+    // =====================================================
+    // HELPERS
+    // =====================================================
+
+    /**
+     * Amount as typed ("1 234,50", "1234.5", "") to cents
+     * @returns {number|null} Cents (0 when empty), null when not a number
+     */
+    function parseAmount(value) {
+        const text = String(value === null || value === undefined ? '' : value).replace(/\s/g, '').replace(',', '.');
+        if (text === '') return 0;
+        if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+        return toCents(text);
+    }
+
+    // =====================================================
+    // EXPORT MODULE
+    // =====================================================
+
+    window.FECSaisie = {
+        getNextEcritureNum,
+        getLinesBalance,
+        suggestBalancingLine,
+        createEcriture,
+        postEcriture,
+        insertEntries,
+        parseAmount,
+
+        // Configuration
+        config: SAISIE_CONFIG
+    };
+
+    console.log('✅ FEC Saisie Module v3.0 loaded');
+})();
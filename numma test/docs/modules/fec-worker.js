@@ -0,0 +1,45 @@
+/**
+ * ========================================
+ * NUMMA - FEC WORKER v3.0
+ * ========================================
+ * Parses, validates and summarizes large FEC files off the main thread.
+ * Started by FECModule.parseFECFileAsync(); not meant to be loaded directly.
+ *
+ * Messages received:
+ * - { type: 'parse', source: File|Blob|ArrayBuffer|string, options }
+ *
+ * Messages sent:
+ * - { type: 'progress', progress: { phase, loaded, total } }
+ * - { type: 'entries', entries: Array }  (one batch per chunk read)
+ * - { type: 'done', result: Object }     (details, validation, statistics)
+ * - { type: 'error', message: string }
+ *
+ * Cancellation: the caller terminates the worker.
+ *
+ * DEPENDENCIES: fec-pcg.js, fec-module.js (loaded with importScripts)
+ */
+
+// Modules register themselves on window
+self.window = self;
+importScripts('fec-pcg.js', 'fec-module.js');
+
+self.onmessage = async function(event) {
+    const { type, source, options } = event.data || {};
+
+    if (type !== 'parse') {
+        return;
+    }
+
+    try {
+        const result = await self.FECModule.runFECPipeline(source, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+            onEntries: (entries) => self.postMessage({ type: 'entries', entries })
+        });
+
+        self.postMessage({ type: 'done', result });
+
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -5,7 +5,7 @@
  * Safe document export functionality
  * 
  * Features:
- * - PDF generation (invoices, reports, payslips)
+ * - PDF generation (invoices, reports, payslips, accounting reports)
  * - Excel export
  * - CSV export
  * - Secure rendering (no eval, no document.write)
@@ -484,6 +484,115 @@
         `.trim();
     }
 
+    // =====================================================
+    // TABULAR REPORT PDF GENERATION
+    // =====================================================
+
+    /**
+     * Generate a printable tabular report (trial balance, ledgers...)
+     * @param {Object} report - {
+     *     title: string,
+     *     subtitle: string,
+     *     columns: [{ key, label, amount: boolean }],
+     *     rows: [{ ...values, emphasis: null | 'subtotal' | 'total' | 'heading' }]
+     * }
+     */
+    async function generateReportPDF(report) {
+        console.log('Generating report PDF:', report.title);
+
+        if (!report || !report.columns) {
+            throw new Error('Report data required');
+        }
+
+        const html = createReportHTML(report);
+
+        const blob = new Blob([html], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+
+        const printWindow = window.open(url, '_blank');
+
+        if (!printWindow) {
+            throw new Error('Popup bloqué. Autorisez les popups pour imprimer.');
+        }
+
+        printWindow.addEventListener('load', () => {
+            URL.revokeObjectURL(url);
+            setTimeout(() => printWindow.print(), 500);
+        });
+
+        return true;
+    }
+
+    /**
+     * Create tabular report HTML (XSS-protected)
+     */
+    function createReportHTML(report) {
+        const company = EXPORT_CONFIG.COMPANY_INFO;
+
+        const renderCell = (row, column) => {
+            const value = row[column.key];
+            if (column.amount) {
+                return `<td class="text-right">${value === '' || value === null || value === undefined ? '' : formatCurrency(value)}</td>`;
+            }
+            return `<td>${escapeHtml(value === null || value === undefined ? '' : value)}</td>`;
+        };
+
+        return `
+<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(report.title)}</title>
+    <style>
+        @page { size: A4 landscape; margin: 12mm; }
+        body { font-family: Arial, sans-serif; font-size: 11px; padding: 20px; color: #333; }
+        .header { border-bottom: 2px solid #333; padding-bottom: 10px; margin-bottom: 15px; }
+        .title { font-size: 20px; font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 4px 6px; text-align: left; border-bottom: 1px solid #ddd; }
+        th { background: #f0f0f0; font-weight: 600; }
+        thead { display: table-header-group; }
+        tr { page-break-inside: avoid; }
+        .text-right { text-align: right; white-space: nowrap; }
+        .subtotal td { font-weight: 600; background: #f5f5f5; }
+        .total td { font-weight: bold; background: #e8e8e8; border-top: 2px solid #333; }
+        .heading td { font-weight: bold; background: #eef2ff; padding-top: 10px; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="title">${escapeHtml(report.title)}</div>
+        <div style="margin-top: 5px;">
+            ${escapeHtml(company.name)} — SIRET ${escapeHtml(company.siret)}<br>
+            ${escapeHtml(report.subtitle || '')}
+        </div>
+    </div>
+
+    <table>
+        <thead>
+            <tr>
+                ${report.columns.map(column => `
+                    <th class="${column.amount ? 'text-right' : ''}">${escapeHtml(column.label)}</th>
+                `).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${report.rows.map(row => `
+                <tr class="${escapeHtml(row.emphasis || '')}">
+                    ${report.columns.map(column => renderCell(row, column)).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+
+    <div style="margin-top: 20px; font-size: 10px; color: #666;">
+        Document généré le ${new Date().toLocaleDateString('fr-FR')}
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
     // =====================================================
     // EXCEL EXPORT (SERVER-SIDE)
     // =====================================================
@@ -600,6 +709,7 @@
         // PDF Generation
         generateInvoicePDF,
         generatePayslipPDF,
+        generateReportPDF,
         
         // Excel Export
         exportToExcel,
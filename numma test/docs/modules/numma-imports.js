@@ -5,7 +5,7 @@
  * Secure file import handling with validation
  * 
  * Features:
- * - FEC file parsing
+ * - FEC file parsing (encoding and separator auto-detection)
  * - CSV import with validation
  * - Excel file processing
  * - Bank statement parsing
@@ -94,9 +94,10 @@
     /**
      * Import FEC file
      * @param {File} file - FEC file
+     * @param {Object} options - { onProgress({ phase, loaded, total }), signal: AbortSignal }
      * @returns {Promise<Object>} Import result
      */
-    async function importFEC(file) {
+    async function importFEC(file, options = {}) {
         console.log('Importing FEC file:', file.name);
 
         // Validate
@@ -108,22 +109,28 @@
         showInfo('Lecture du fichier FEC...');
 
         try {
-            // Read file content
-            const content = await readFileAsText(file);
-            
             // Parse FEC file using FEC module
             if (typeof window.FECModule === 'undefined') {
                 throw new Error('Module FEC non chargé');
             }
 
-            const entries = window.FECModule.parseFECFile(content);
+            // Raw bytes are parsed and validated in a Web Worker: the FEC
+            // module detects encoding and separator
+            const parsed = await window.FECModule.parseFECFileAsync(file, {
+                onProgress: options.onProgress,
+                signal: options.signal
+            });
+            const entries = parsed.entries;
+            const separatorName = window.FECModule.config.SEPARATORS[parsed.separator];
+            
+            console.log(`FEC detected: ${parsed.encoding}, séparateur ${separatorName}`);
             
             if (!entries || entries.length === 0) {
                 throw new Error('Aucune écriture trouvée dans le fichier');
             }
 
-            // Validate FEC compliance
-            const validation = window.FECModule.validateFECCompliance(entries);
+            // FEC compliance (computed by the worker)
+            const validation = parsed.validation;
             if (!validation.valid) {
                 console.warn('FEC validation warnings:', validation.errors);
                 showWarning(`${validation.errors.length} avertissement(s) de validation`);
@@ -150,17 +157,26 @@
 
             const result = await response.json();
 
-            showSuccess(`✅ ${entries.length} écritures FEC importées`);
+            showSuccess(`✅ ${entries.length} écritures FEC importées (${parsed.encoding}, séparateur ${separatorName})`);
             console.log('✅ FEC import successful');
 
             return {
                 success: true,
                 imported: entries.length,
                 type: 'fec',
+                encoding: parsed.encoding,
+                separator: parsed.separator,
+                separatorName: separatorName,
+                skippedLines: parsed.skippedLines,
+                statistics: parsed.statistics,
                 validation: validation
             };
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                showWarning('Import FEC annulé');
+                throw error;
+            }
             console.error('❌ FEC import failed:', error);
             showError(`Erreur d'import FEC: ${error.message}`);
             throw error;
@@ -370,18 +386,22 @@
     /**
      * Auto-detect file type and import
      * @param {File} file - File to import
+     * @param {Object} options - FEC import options (onProgress, signal)
      * @returns {Promise<Object>} Import result
      */
-    async function autoImport(file) {
+    async function autoImport(file, options = {}) {
         const fileName = file.name.toLowerCase();
 
         if (fileName.endsWith('.fec') || fileName.endsWith('.txt')) {
-            return await importFEC(file);
+            return await importFEC(file, options);
         } else if (fileName.endsWith('.csv')) {
             // Try FEC first, fallback to CSV
             try {
-                return await importFEC(file);
+                return await importFEC(file, options);
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
                 console.log('Not a FEC file, trying CSV...');
                 return await importCSV(file);
             }
@@ -82,6 +82,97 @@
             global: 'FECModule',
             depends: []
         },
+        'pcg': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-pcg.js',
+            global: 'FECPlanComptable',
+            depends: []
+        },
+        'lettrage': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-lettrage.js',
+            global: 'FECLettrage',
+            depends: ['fec']
+        },
+        'closing': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-closing.js',
+            global: 'FECClosing',
+            depends: ['fec']
+        },
+        'diff': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-diff.js',
+            global: 'FECDiff',
+            depends: ['fec']
+        },
+        'repair': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-repair.js',
+            global: 'FECRepair',
+            depends: ['fec']
+        },
+        'conformity': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-conformity.js',
+            global: 'FECConformity',
+            depends: ['security', 'fec']
+        },
+        'audit': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-audit.js',
+            global: 'FECAudit',
+            depends: ['fec']
+        },
+        'integrity': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-integrity.js',
+            global: 'FECIntegrity',
+            depends: ['fec']
+        },
+        'saisie': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-saisie.js',
+            global: 'FECSaisie',
+            depends: ['fec']
+        },
+        'recurring': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-recurring.js',
+            global: 'FECRecurring',
+            depends: ['fec', 'saisie']
+        },
+        'fec-invoices': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-invoices.js',
+            global: 'FECInvoices',
+            depends: ['fec', 'saisie', 'invoices']
+        },
+        'payroll': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-payroll.js',
+            global: 'FECPayroll',
+            depends: ['fec', 'saisie']
+        },
+        'fec-reports': {
+            loaded: false,
+            required: false,
+            path: 'modules/fec-reports.js',
+            global: 'FECReports',
+            depends: ['fec', 'exports']
+        },
         'imports': {
             loaded: false,
             required: false,
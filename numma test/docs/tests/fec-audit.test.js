@@ -0,0 +1,66 @@
+/**
+ * Audit analytics (FECAudit)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECAudit } = loadModules('fec-module.js', 'fec-audit.js');
+
+// 20240110 is a Wednesday
+function sale(num, amount) {
+    return [
+        line('VE', num, '20240110', '411000', amount, 0),
+        line('VE', num, '20240110', '706000', 0, amount)
+    ];
+}
+
+test('Benford counts each écriture amount once, on the debit side', () => {
+    const entries = [...sale('VE1', 120), ...sale('VE2', 250), ...sale('VE3', 5)];
+
+    const benford = FECAudit.getBenfordAnalysis(entries);
+
+    assert.strictEqual(benford.count, 2);
+    assert.strictEqual(benford.digits[0].count, 1);
+    assert.strictEqual(benford.digits[0].lines.join(), '0');
+    assert.strictEqual(benford.digits[1].count, 1);
+    assert.strictEqual(benford.reliable, false);
+});
+
+test('round amounts are reported once per écriture, with all their lines', () => {
+    const entries = [
+        ...sale('VE1', 6000),
+        ...sale('VE2', 6000.5),
+        line('AC', 'AC1', '20240110', '607000', 5000, 0),
+        line('AC', 'AC1', '20240110', '44566', 1000, 0),
+        line('AC', 'AC1', '20240110', '401000', 0, 6000)
+    ];
+
+    const findings = FECAudit.findRoundAmounts(entries);
+
+    assert.strictEqual(findings.length, 2);
+    assert.strictEqual(findings[0].entry, 'VE1');
+    assert.strictEqual(findings[0].lines.join(), '0,1');
+    assert.strictEqual(findings[1].entry, 'AC1');
+    assert.strictEqual(findings[1].lines.join(), '4,6');
+    assert.match(findings[1].message, /compte 401000/);
+});
+
+test('weekend and holiday écritures are reported once, opening entries left out', () => {
+    const entries = [
+        line('VE', 'VE1', '20240113', '411000', 100, 0),
+        line('VE', 'VE1', '20240113', '706000', 0, 100),
+        line('VE', 'VE2', '20240401', '411000', 100, 0),
+        line('VE', 'VE2', '20240401', '706000', 0, 100),
+        line('AN', 'AN1', '20240101', '512000', 100, 0),
+        line('AN', 'AN1', '20240101', '101300', 0, 100)
+    ];
+
+    const findings = FECAudit.findUnusualDates(entries);
+
+    assert.strictEqual(findings.map(finding => finding.type).join(), 'WEEKEND_ENTRY,HOLIDAY_ENTRY');
+    assert.match(findings[1].message, /Lundi de Pâques/);
+});
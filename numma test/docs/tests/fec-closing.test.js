@@ -0,0 +1,54 @@
+/**
+ * Year-end closing and à-nouveaux (FECClosing)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECClosing } = loadModules('fec-module.js', 'fec-closing.js');
+
+// 2024: capital 1000, a 500 sale cashed
+const year2024 = [
+    line('OD', '1', '20240105', '512000', 1000, 0),
+    line('OD', '1', '20240105', '101000', 0, 1000),
+    line('VE', '2', '20240310', '512000', 500, 0),
+    line('VE', '2', '20240310', '706000', 0, 500)
+];
+
+function getOpening(preview, account) {
+    return preview.openingEntries.filter(entry => entry.CompteNum === account);
+}
+
+test('closing carries the balance sheet and the result into the à-nouveaux', () => {
+    const preview = FECClosing.previewClosing(year2024, { from: '20240101', to: '20241231' });
+
+    assert.strictEqual(preview.openingDate, '20250101');
+    assert.strictEqual(preview.balanced, true);
+    assert.strictEqual(getOpening(preview, '512000')[0].Debit, '1500.00');
+    assert.strictEqual(getOpening(preview, '101000')[0].Credit, '1000.00');
+    assert.strictEqual(getOpening(preview, '120000')[0].Credit, '500.00');
+    assert.strictEqual(getOpening(preview, '706000').length, 0);
+});
+
+test('a second closing on the same opening date is refused', () => {
+    const preview = FECClosing.previewClosing(year2024, { from: '20240101', to: '20241231' });
+    const entries = FECClosing.applyClosing(year2024, preview).entries;
+    const again = FECClosing.previewClosing(entries, { from: '20240101', to: '20241231', ecritureNum: '2' });
+
+    assert.throws(() => FECClosing.applyClosing(entries, again), /existent déjà/);
+});
+
+test('results of an earlier year closed without à-nouveaux are carried forward', () => {
+    const year2023 = [
+        line('VE', '1', '20230310', '512000', 200, 0),
+        line('VE', '1', '20230310', '706000', 0, 200)
+    ];
+    const preview = FECClosing.previewClosing(year2023.concat(year2024), { from: '20240101', to: '20241231' });
+
+    assert.strictEqual(getOpening(preview, '512000')[0].Debit, '1700.00');
+    assert.strictEqual(getOpening(preview, '110000')[0].Credit, '200.00');
+    assert.strictEqual(preview.balanced, true);
+});
@@ -0,0 +1,45 @@
+/**
+ * DGFiP conformity report and export file name (FECConformity)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECModule, FECConformity, isValidSIRET, isValidSIREN } =
+    loadModules('utils/security.js', 'fec-module.js', 'fec-conformity.js');
+
+test('SIREN and SIRET numbers need a valid control key', () => {
+    assert.strictEqual(isValidSIREN('552 100 554'), true);
+    assert.strictEqual(isValidSIREN('552100555'), false);
+    assert.strictEqual(isValidSIRET('55210055400013'), true);
+    assert.strictEqual(isValidSIRET('55210055400014'), false);
+    // 14-digit key valid, SIREN key not
+    assert.strictEqual(isValidSIRET('55210055500002'), false);
+});
+
+test('the file name uses the SIREN of a valid SIRET only', () => {
+    assert.strictEqual(FECConformity.getFECFileName('55210055400013', '20241231'), '552100554FEC20241231.txt');
+    assert.throws(() => FECConformity.getFECFileName('55210055400014', '20241231'), /SIRET invalide/);
+    assert.throws(() => FECConformity.getFECFileName('552100554', '20240231'), /Date de clôture invalide/);
+});
+
+test('a generated FEC passes the conformity checks under its mandatory name', async () => {
+    const entries = [
+        line('VE', 'VE1', '20240110', '411000', 120, 0, { CompAuxNum: 'C1', CompAuxLib: 'Client', ValidDate: '20240110' }),
+        line('VE', 'VE1', '20240110', '706000', 0, 120, { ValidDate: '20240110' })
+    ];
+    const { blob } = FECModule.generateFECBlob(entries);
+
+    const report = await FECConformity.checkFECConformity(blob, {
+        fileName: '552100554FEC20241231.txt',
+        closingDate: '20241231'
+    });
+    assert.strictEqual(report.valid, true);
+
+    const misnamed = await FECConformity.checkFECConformity(blob, { fileName: 'export.txt' });
+    assert.strictEqual(misnamed.valid, false);
+    assert.strictEqual(misnamed.checks.find(check => check.id === 'FILE_NAME').status, 'error');
+});
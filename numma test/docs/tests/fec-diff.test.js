@@ -0,0 +1,52 @@
+/**
+ * Comparison of two FEC versions (FECDiff)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers');
+
+const { FECDiff } = loadModules('fec-module.js', 'fec-diff.js');
+
+const HEADER = 'JournalCode|JournalLib|EcritureNum|EcritureDate|CompteNum|CompteLib|CompAuxNum|CompAuxLib|' +
+    'PieceRef|PieceDate|EcritureLib|Debit|Credit|EcritureLet|DateLet|ValidDate|Montantdevise|Idevise';
+
+function buildFile(rows) {
+    return new Blob([[HEADER, ...rows].join('\r\n')]);
+}
+
+const sale = [
+    'VE|Ventes|VE1|20240110|411000|Clients|||F1|20240110|Vente|120,00|0,00|||||',
+    'VE|Ventes|VE1|20240110|706000|Ventes|||F1|20240110|Vente|0,00|120,00|||||'
+];
+const purchase = [
+    'AC|Achats|AC1|20240112|607000|Achats|||A1|20240112|Achat|80,00|0,00|||||',
+    'AC|Achats|AC1|20240112|401000|Fournisseurs|||A1|20240112|Achat|0,00|80,00|||||'
+];
+
+test('a changed amount is a modified line, located by its line in each file', async () => {
+    const corrected = sale.map(row => row.replace('120,00', '150,00'));
+    const diff = await FECDiff.compareFECFiles(buildFile(sale.concat(purchase)), buildFile(purchase.concat(corrected)));
+
+    assert.strictEqual(diff.summary.added, 0);
+    assert.strictEqual(diff.summary.removed, 0);
+    assert.strictEqual(diff.summary.modified, 2);
+    assert.strictEqual(diff.summary.unchanged, 2);
+
+    const debit = diff.modified.find(item => item.after.entry.CompteNum === '411000');
+    assert.strictEqual(debit.before.line, 2);
+    assert.strictEqual(debit.after.line, 4);
+    assert.strictEqual(debit.changes.map(change => change.field).join(), 'Debit');
+
+    const sales = diff.balanceImpact.find(item => item.account === '706000');
+    assert.strictEqual(sales.delta, -30);
+});
+
+test('an écriture missing from the new file is reported as removed', async () => {
+    const diff = await FECDiff.compareFECFiles(buildFile(sale.concat(purchase)), buildFile(sale));
+
+    assert.strictEqual(diff.summary.removed, 2);
+    assert.ok(diff.removed.every(item => item.entry.JournalCode === 'AC'));
+});
@@ -0,0 +1,54 @@
+/**
+ * Hash chain over validated lines (FECIntegrity)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECIntegrity } = loadModules('fec-module.js', 'fec-integrity.js');
+
+const validated = { ValidDate: '20240131' };
+const entries = [
+    line('VE', 'VE1', '20240110', '411000', 120, 0, validated),
+    line('VE', 'VE1', '20240110', '706000', 0, 120, validated),
+    line('BQ', 'BQ1', '20240125', '512000', 120, 0, validated),
+    line('BQ', 'BQ1', '20240125', '411000', 0, 120, validated),
+    line('OD', 'OD1', '20240126', '601000', 50, 0)
+];
+
+test('only validated lines are sealed, and sealing twice adds nothing', async () => {
+    const { chain, sealed } = await FECIntegrity.sealEntries(entries);
+    assert.strictEqual(sealed, 4);
+
+    const again = await FECIntegrity.sealEntries(entries, chain);
+    assert.strictEqual(again.sealed, 0);
+    assert.strictEqual(again.chain.links.length, 4);
+
+    const result = await FECIntegrity.verifyChain(entries, chain);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.verified, 4);
+});
+
+test('lettering a sealed line keeps the chain valid', async () => {
+    const { chain } = await FECIntegrity.sealEntries(entries);
+    const lettered = entries.map((entry, index) =>
+        index === 0 || index === 3 ? { ...entry, EcritureLet: 'A', DateLet: '20240125' } : entry);
+
+    const result = await FECIntegrity.verifyChain(lettered, chain);
+    assert.strictEqual(result.valid, true);
+});
+
+test('a modified amount breaks the chain at that line', async () => {
+    const { chain } = await FECIntegrity.sealEntries(entries);
+    const modified = entries.map((entry, index) =>
+        index === 2 ? { ...entry, Debit: '150.00' } : entry);
+
+    const result = await FECIntegrity.verifyChain(modified, chain);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.brokenLink.reason, 'MODIFIED');
+    assert.strictEqual(result.brokenLink.index, 2);
+    assert.strictEqual(result.verified, 2);
+});
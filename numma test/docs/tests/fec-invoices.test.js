@@ -0,0 +1,62 @@
+/**
+ * Sales and settlement écritures from invoices (FECInvoices)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers');
+
+const { FECInvoices } = loadModules('fec-module.js', 'fec-saisie.js', 'fec-invoices.js');
+
+const paid = {
+    id: 7,
+    number: 'F2024-007',
+    client_name: 'Société Générale',
+    invoice_date: '2024-03-05',
+    status: 'paid',
+    payment_date: '2024-03-20',
+    payment_method: 'Virement',
+    items: [
+        { description: 'Conseil', quantity: 2, unit_price: 500, vat_rate: 20 },
+        { description: 'Livres', quantity: 1, unit_price: 100, vat_rate: 5.5, type: 'goods' }
+    ]
+};
+const draft = { id: 8, number: 'F2024-008', client_name: 'Client', invoice_date: '2024-03-06', status: 'draft', items: [] };
+
+test('a sale has one VAT line per rate and a client auxiliary account', () => {
+    const sale = FECInvoices.createSaleDraft(paid, FECInvoices.getMapping());
+
+    assert.strictEqual(sale.lines.map(line => line.CompteNum).join(), '411000,706000,707000,445710,445710');
+    assert.strictEqual(sale.lines[0].CompAuxNum, 'CSOCIETEG');
+    assert.strictEqual(sale.lines[0].Debit, '1305.50');
+    assert.strictEqual(sale.lines[3].Credit, '200.00');
+    assert.strictEqual(sale.lines[4].Credit, '5.50');
+});
+
+test('a paid invoice gives a balanced sale and settlement, drafts are skipped', () => {
+    const preview = FECInvoices.previewBatch([paid, draft], []);
+
+    assert.strictEqual(preview.valid, true);
+    assert.strictEqual(preview.ecritures.map(item => `${item.kind}:${item.ecriture.ecritureNum}`).join(),
+        'sale:VE2024-0001,settlement:BQ2024-0001');
+    assert.strictEqual(preview.skipped.length, 1);
+    assert.strictEqual(preview.skipped[0].reason, 'Brouillon');
+
+    // VAT is on the credit side: its "0.00" debit is not a zero amount
+    assert.strictEqual(preview.validation.warnings.filter(warning => warning.type === 'VAT_WARNING').length, 0);
+
+    const settlement = preview.entries.filter(entry => entry.JournalCode === 'BQ');
+    assert.strictEqual(settlement[0].DateRglt, '20240320');
+    assert.ok(preview.entries.every(entry => entry.InvoiceId === '7'));
+});
+
+test('posted invoices are not generated twice', () => {
+    const { entries } = FECInvoices.postBatch([], FECInvoices.previewBatch([paid], []));
+    const again = FECInvoices.previewBatch([paid], entries);
+
+    assert.strictEqual(again.ecritures.length, 0);
+    assert.strictEqual(again.skipped.map(item => item.kind).join(), 'sale,settlement');
+    assert.strictEqual(again.valid, false);
+});
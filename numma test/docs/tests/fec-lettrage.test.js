@@ -0,0 +1,49 @@
+/**
+ * Lettering of third-party accounts (FECLettrage)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECModule, FECLettrage } = loadModules('fec-module.js', 'fec-lettrage.js');
+
+// Invoice F001 and its payment, which quotes the invoice in its label
+const entries = [
+    line('VE', 'VE1', '20240110', '411000', 120, 0, { CompAuxNum: 'C1', PieceRef: 'F001' }),
+    line('VE', 'VE1', '20240110', '706000', 0, 120, { PieceRef: 'F001' }),
+    line('BQ', 'BQ1', '20240205', '512000', 120, 0, { PieceRef: 'VIR12' }),
+    line('BQ', 'BQ1', '20240205', '411000', 0, 120, { CompAuxNum: 'C1', PieceRef: 'VIR12', EcritureLib: 'Règlement F001' })
+];
+
+test('automatic lettering matches a payment to the invoice it quotes', () => {
+    const result = FECLettrage.autoLetter(entries, { date: '20240205' });
+
+    assert.strictEqual(result.matches.length, 1);
+    assert.strictEqual(result.matches[0].method, 'reference');
+    assert.strictEqual(result.entries[0].EcritureLet, 'A');
+    assert.strictEqual(result.entries[3].EcritureLet, 'A');
+    assert.strictEqual(result.entries[3].DateLet, '20240205');
+    assert.strictEqual(entries[0].EcritureLet, '', 'entries are not modified in place');
+
+    const lettering = FECModule.validateLettering(result.entries);
+    assert.strictEqual(lettering.errors.length, 0);
+});
+
+test('manual lettering refuses lines that do not net to zero', () => {
+    const partial = entries.slice();
+    partial[3] = { ...partial[3], Credit: '100.00' };
+
+    assert.throws(() => FECLettrage.letterLines(partial, [0, 3]), /pas soldées/);
+});
+
+test('a lettering code that does not net to zero is reported', () => {
+    const lettered = entries.map((entry, index) => index === 0 || index === 3
+        ? { ...entry, EcritureLet: 'A', DateLet: '20240205', Credit: index === 3 ? '100.00' : entry.Credit }
+        : entry);
+
+    const errors = FECModule.validateFECCompliance(lettered).errors;
+    assert.ok(errors.some(error => error.type === 'LETTRAGE_UNBALANCED'));
+});
@@ -0,0 +1,106 @@
+/**
+ * Import pipeline validation (FECModule.runFECPipeline)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECModule } = loadModules('fec-pcg.js', 'fec-module.js');
+
+const HEADER = 'JournalCode|JournalLib|EcritureNum|EcritureDate|CompteNum|CompteLib|CompAuxNum|CompAuxLib|' +
+    'PieceRef|PieceDate|EcritureLib|Debit|Credit|EcritureLet|DateLet|ValidDate|Montantdevise|Idevise';
+
+// Sales with a reused number and an unbalanced piece
+function buildFile(count) {
+    const rows = [HEADER];
+    for (let i = 1; i <= count; i++) {
+        const num = i % 10 === 0 ? `VE${i - 1}` : `VE${i}`;
+        const date = `2024${String(1 + i % 12).padStart(2, '0')}15`;
+        const credit = i % 9 === 0 ? i + 1 : i;
+        rows.push(`VE|Ventes|${num}|${date}|411000|Clients|C${i % 5}|Client ${i % 5}|F${i}|${date}|Vente|${i}.00|0.00|||||`);
+        rows.push(`VE|Ventes|${num}|${date}|706000|Ventes|||F${i}|${date}|Vente|0.00|${credit}.00|||||`);
+    }
+    return rows.join('\r\n');
+}
+
+test('the pipeline validates batch by batch like the whole file', async () => {
+    const chunkSize = FECModule.config.STREAMING.CHUNK_SIZE;
+    FECModule.config.STREAMING.CHUNK_SIZE = 512;
+
+    try {
+        const parsed = await FECModule.parseFECFileAsync(new Blob([buildFile(150)]));
+        const expected = FECModule.validateFECCompliance(parsed.entries);
+
+        assert.strictEqual(parsed.entries.length, 300);
+        assert.ok(expected.errors.length > 0);
+        assert.deepStrictEqual(parsed.validation, expected);
+    } finally {
+        FECModule.config.STREAMING.CHUNK_SIZE = chunkSize;
+    }
+});
+
+test('each journal numbers its écritures on its own', () => {
+    const entries = [
+        line('AC', '1', '20240110', '607000', 100, 0),
+        line('AC', '1', '20240110', '401000', 0, 100),
+        line('VE', '1', '20240112', '411000', 200, 0),
+        line('VE', '1', '20240112', '706000', 0, 200)
+    ];
+
+    const duplicates = FECModule.validateFECCompliance(entries).errors
+        .filter(error => error.type === 'DUPLICATE_NUM');
+    assert.strictEqual(duplicates.length, 0);
+});
+
+test('a number reused on another date in the same journal is a duplicate', () => {
+    const entries = [
+        line('VE', '1', '20240112', '411000', 200, 0),
+        line('VE', '1', '20240112', '706000', 0, 200),
+        line('VE', '1', '20240115', '411000', 300, 0),
+        line('VE', '1', '20240115', '706000', 0, 300)
+    ];
+
+    const duplicates = FECModule.validateFECCompliance(entries).errors
+        .filter(error => error.type === 'DUPLICATE_NUM');
+    assert.strictEqual(duplicates.length, 1);
+    assert.strictEqual(duplicates[0].entry, '1');
+});
+
+test('a lettered line with a DateLet that does not exist is invalid, not missing', () => {
+    const entries = [
+        line('VE', 'VE1', '20240112', '411000', 200, 0, { EcritureLet: 'A', DateLet: '20240230' }),
+        line('VE', 'VE1', '20240112', '706000', 0, 200),
+        line('BQ', 'BQ1', '20240120', '512000', 200, 0),
+        line('BQ', 'BQ1', '20240120', '411000', 0, 200, { EcritureLet: 'A', DateLet: '20240230' })
+    ];
+
+    const errors = FECModule.validateFECCompliance(entries).errors;
+    assert.strictEqual(errors.filter(error => error.type === 'LETTRAGE_DATE_MISSING').length, 0);
+    const invalid = errors.filter(error => error.type === 'ENTRY_INVALID');
+    assert.strictEqual(invalid.length, 2);
+    assert.match(invalid[0].message, /Date invalide \(DateLet\): 20240230/);
+});
+
+test('lines outside the fiscal year are errors; a long first year is one sequence', () => {
+    const fiscalYear = { start: '20230701', end: '20241231' };
+    const entries = [
+        line('VE', 'VE1', '20230915', '411000', 200, 0),
+        line('VE', 'VE1', '20230915', '706000', 0, 200),
+        line('VE', 'VE2', '20240615', '411000', 300, 0),
+        line('VE', 'VE2', '20240615', '706000', 0, 300),
+        line('VE', 'VE3', '20250105', '411000', 100, 0),
+        line('VE', 'VE3', '20250105', '706000', 0, 100)
+    ];
+
+    assert.strictEqual(FECModule.getFiscalYearBounds(fiscalYear).months, 18);
+
+    const result = FECModule.validateFECCompliance(entries, { fiscalYear });
+    const outside = result.errors.filter(error => /hors de l'exercice/.test(error.message));
+    assert.strictEqual(outside.length, 2);
+    assert.strictEqual(result.sequenceGaps.length, 0);
+
+    assert.throws(() => FECModule.getFiscalYearBounds({ start: '20230101', end: '20250131' }), /25 mois/);
+});
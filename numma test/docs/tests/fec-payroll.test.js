@@ -0,0 +1,55 @@
+/**
+ * Monthly payroll écriture (FECPayroll)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers');
+
+const { FECPayroll } = loadModules('fec-module.js', 'fec-saisie.js', 'fec-payroll.js');
+
+function payslip(id, gross, hireDate) {
+    return {
+        employee: { id, first_name: 'Salarié', last_name: String(id), gross_salary: gross, hire_date: hireDate },
+        deductions: [
+            { label: 'Sécurité sociale', employee_amount: gross * 0.1, employer_amount: gross * 0.3 },
+            { label: 'CSG/CRDS', employee_amount: gross * 0.097, employer_amount: 0 }
+        ]
+    };
+}
+
+test('the net deducts the contributions and the withholding on the taxable amount', () => {
+    const amounts = FECPayroll.computePayslip(payslip(1, 2000), { withholdingRate: 10 });
+
+    assert.strictEqual(amounts.employee, 39400);
+    assert.strictEqual(amounts.employer, 60000);
+    // 2000 - 394 + 58 of non-deductible CSG/CRDS
+    assert.strictEqual(amounts.taxable, 166400);
+    assert.strictEqual(amounts.withholding, 16640);
+    assert.strictEqual(amounts.net, 143960);
+});
+
+test('the payroll écriture is balanced, with one 421 line per employee', () => {
+    const preview = FECPayroll.previewPayroll([payslip(1, 2000), payslip(2, 3000)], [], { period: '202403' });
+
+    assert.strictEqual(preview.valid, true);
+    assert.strictEqual(preview.ecriture.ecritureNum, 'PA2024-0001');
+    assert.ok(preview.entries.every(entry => entry.EcritureDate === '20240331'));
+
+    const net = preview.entries.filter(entry => entry.CompteNum === '421000');
+    assert.strictEqual(net.map(entry => entry.CompAuxNum).join(), 'S1,S2');
+});
+
+test('employees hired after the period are left out, and a month is posted once', () => {
+    const preview = FECPayroll.previewPayroll(
+        [payslip(1, 2000, '2023-09-01'), payslip(2, 3000, '2024-04-02')], [], { period: '202403' });
+
+    assert.strictEqual(preview.payslips.length, 1);
+    assert.strictEqual(preview.skipped.length, 1);
+    assert.match(preview.skipped[0].reason, /02\/04\/2024/);
+
+    const { entries } = FECPayroll.postPayroll([], preview);
+    assert.throws(() => FECPayroll.previewPayroll([payslip(1, 2000)], entries, { period: '202403' }), /déjà comptabilisée/);
+});
@@ -0,0 +1,74 @@
+/**
+ * Recurring entry templates (FECRecurring)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECRecurring } = loadModules('fec-module.js', 'fec-saisie.js', 'fec-recurring.js');
+
+const rent = {
+    id: 'rent',
+    name: 'Loyer',
+    JournalCode: 'OD',
+    PieceRef: 'LOY{YYYY}{MM}',
+    EcritureLib: 'Loyer {MOIS} {YYYY}',
+    schedule: { frequency: 'monthly', day: 'last', start: '20240101', end: '' },
+    lines: [
+        { CompteNum: '613200', CompteLib: 'Loyer', side: 'D', formula: { type: 'fixed', amount: 1000 } },
+        { CompteNum: '445660', CompteLib: 'TVA déductible', side: 'D', formula: { type: 'percentage', rate: 20, line: 0 } },
+        { CompteNum: '401000', CompteLib: 'Bailleur', formula: { type: 'balance' } }
+    ]
+};
+
+test('monthly occurrences fall on the last day of each month', () => {
+    assert.strictEqual(FECRecurring.getOccurrences(rent, '20240101', '20240331').join(),
+        '20240131,20240229,20240331');
+});
+
+test('percentage and balancing lines are computed from the fixed amount', () => {
+    const amounts = FECRecurring.computeAmounts(rent, '20240131');
+
+    assert.strictEqual(amounts[1].debit, 20000);
+    assert.strictEqual(amounts[2].credit, 120000);
+    assert.strictEqual(amounts[2].debit, 0);
+});
+
+test('a prorated amount counts the days of the schedule within the period', () => {
+    const depreciation = {
+        ...rent,
+        schedule: { frequency: 'monthly', day: 'last', start: '20240116', end: '' },
+        lines: [
+            { CompteNum: '681100', side: 'D', formula: { type: 'prorated', amount: 3600 } },
+            { CompteNum: '281830', formula: { type: 'balance' } }
+        ]
+    };
+
+    // 15 days of January, then a full month
+    assert.strictEqual(FECRecurring.computeAmounts(depreciation, '20240131')[0].debit, 15000);
+    assert.strictEqual(FECRecurring.computeAmounts(depreciation, '20240229')[0].debit, 30000);
+});
+
+test('a batch skips posted occurrences and inserts the others in date order', () => {
+    const entries = [
+        line('OD', 'OD2024-0001', '20240131', '613200', 1000, 0, { PieceRef: 'LOY202401' }),
+        line('OD', 'OD2024-0001', '20240131', '445660', 200, 0, { PieceRef: 'LOY202401' }),
+        line('OD', 'OD2024-0001', '20240131', '401000', 0, 1200, { PieceRef: 'LOY202401' }),
+        line('VE', 'VE2024-0001', '20240415', '411000', 100, 0),
+        line('VE', 'VE2024-0001', '20240415', '706000', 0, 100)
+    ];
+
+    const preview = FECRecurring.previewBatch([rent], entries, { from: '20240101', to: '20240331' });
+
+    assert.strictEqual(preview.valid, true);
+    assert.strictEqual(preview.skipped.length, 1);
+    assert.strictEqual(preview.occurrences.map(occurrence => occurrence.ecriture.ecritureNum).join(),
+        'OD2024-0002,OD2024-0003');
+
+    const posted = FECRecurring.postBatch(entries, preview);
+    assert.strictEqual(posted.count, 2);
+    assert.strictEqual(posted.entries[posted.entries.length - 1].JournalCode, 'VE');
+});
@@ -0,0 +1,52 @@
+/**
+ * Automatic FEC repair suggestions (FECRepair)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECRepair } = loadModules('fec-module.js', 'fec-repair.js');
+
+test('dates and amounts are normalized, ambiguous amounts are only reported', () => {
+    const entries = [
+        line('VE', 'VE1', '20240110', '411000', 0, 0, { EcritureDate: '10/01/2024', Debit: '1 234,5', Credit: '0' }),
+        line('VE', 'VE1', '20240110', '706000', 0, 0, { Debit: '0', Credit: '1,234' })
+    ];
+
+    const repairs = FECRepair.suggestRepairs(entries);
+
+    assert.strictEqual(repairs.entries[0].EcritureDate, '20240110');
+    assert.strictEqual(repairs.entries[0].Debit, '1234.50');
+    assert.strictEqual(repairs.entries[1].Credit, '1,234');
+    assert.ok(repairs.issues.some(issue => issue.type === 'AMOUNT_AMBIGUOUS' && issue.index === 1));
+    assert.strictEqual(entries[0].EcritureDate, '10/01/2024', 'entries are not modified in place');
+});
+
+test('only the accepted rules are applied', () => {
+    const entries = [
+        line('VE', 'VE1', '20240110', '411000', 0, 0, { EcritureDate: '2024-01-10', Debit: '-120', Credit: '0' })
+    ];
+
+    const repaired = FECRepair.applyRepairs(entries, ['DATE_FORMAT']);
+
+    assert.strictEqual(repaired.entries[0].EcritureDate, '20240110');
+    assert.strictEqual(repaired.entries[0].Debit, '-120');
+    assert.ok(repaired.changes.every(change => change.rule === 'DATE_FORMAT'));
+});
+
+test('écritures are validated at the given date, never later ones', () => {
+    const entries = [
+        line('VE', 'VE1', '20240110', '411000', 120, 0),
+        line('VE', 'VE2', '20240320', '411000', 80, 0)
+    ];
+
+    const result = FECRepair.setValidDate(entries, '20240301');
+
+    assert.strictEqual(result.count, 1);
+    assert.strictEqual(result.entries[0].ValidDate, '20240301');
+    assert.strictEqual(result.entries[1].ValidDate, '');
+    assert.strictEqual(result.skipped.join(), 'VE VE2');
+});
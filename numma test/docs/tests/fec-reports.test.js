@@ -0,0 +1,113 @@
+/**
+ * Opening balances across fiscal years (FECModule.getPeriodScope, FECReports)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+// 2024: capital 1000, a 500 sale cashed; 2025: the same again
+const year2024 = [
+    line('OD', '1', '20240105', '512000', 1000, 0),
+    line('OD', '1', '20240105', '101000', 0, 1000),
+    line('VE', '2', '20240310', '512000', 500, 0),
+    line('VE', '2', '20240310', '706000', 0, 500)
+];
+const year2025 = [
+    line('OD', '3', '20250105', '512000', 1000, 0),
+    line('OD', '3', '20250105', '101000', 0, 1000),
+    line('VE', '4', '20250310', '512000', 500, 0),
+    line('VE', '4', '20250310', '706000', 0, 500)
+];
+// 2024 closed: its result is carried into the 2025 à-nouveaux
+const opening2025 = [
+    line('AN', '1', '20250101', '512000', 1500, 0),
+    line('AN', '1', '20250101', '101000', 0, 1000),
+    line('AN', '1', '20250101', '120000', 0, 500)
+];
+const closed = year2024.concat(opening2025, year2025);
+
+const { FECReports } = loadModules('fec-module.js', 'fec-reports.js');
+
+function getAccount(trialBalance, account) {
+    return trialBalance.lines.find(item => item.account === account);
+}
+
+test('2025 trial balance opens on the 2025 à-nouveaux only', () => {
+    const balance = FECReports.getTrialBalance(closed, { from: '20250101', to: '20251231' });
+
+    assert.strictEqual(getAccount(balance, '101000').openingCredit, 1000);
+    assert.strictEqual(getAccount(balance, '512000').openingDebit, 1500);
+    assert.strictEqual(getAccount(balance, '120000').openingCredit, 500);
+    assert.strictEqual(getAccount(balance, '512000').closingDebit, 3000);
+
+    // Income accounts restart every fiscal year
+    const sales = getAccount(balance, '706000');
+    assert.strictEqual(sales.openingCredit, 0);
+    assert.strictEqual(sales.credit, 500);
+});
+
+test('without à-nouveaux, only balance-sheet accounts are carried forward', () => {
+    const balance = FECReports.getTrialBalance(year2024.concat(year2025), { from: '20250101', to: '20251231' });
+
+    assert.strictEqual(getAccount(balance, '512000').openingDebit, 1500);
+    assert.strictEqual(getAccount(balance, '706000').openingCredit, 0);
+    assert.strictEqual(balance.priorResult.amount, -500);
+});
+
+test('a mid-year period opens with the earlier movements of its fiscal year', () => {
+    const balance = FECReports.getTrialBalance(closed, { from: '20250201', to: '20251231' });
+
+    assert.strictEqual(getAccount(balance, '512000').openingDebit, 2500);
+    assert.strictEqual(getAccount(balance, '101000').openingCredit, 2000);
+});
+
+test('the whole file counts each movement once', () => {
+    const balance = FECReports.getTrialBalance(closed, {});
+
+    assert.strictEqual(getAccount(balance, '512000').closingDebit, 3000);
+    assert.strictEqual(getAccount(balance, '101000').closingCredit, 2000);
+    assert.strictEqual(getAccount(balance, '120000'), undefined);
+});
+
+test('the general ledger opens on the same balance as the trial balance', () => {
+    const ledger = FECReports.getGeneralLedger(closed, { from: '20250101', to: '20251231', accounts: ['512'] });
+    const bank = ledger.accounts[0];
+
+    assert.strictEqual(bank.opening, 1500);
+    assert.strictEqual(bank.movements.length, 2);
+    assert.strictEqual(bank.totals.balance, 3000);
+});
+
+test('2025 statements show the 2025 balance sheet and the 2024 comparison', () => {
+    const statements = FECReports.getFinancialStatements(closed, { from: '20250101', to: '20251231' });
+
+    assert.strictEqual(statements.current.totalActif, 3000);
+    assert.strictEqual(statements.current.totalPassif, 3000);
+    assert.strictEqual(statements.current.resultatNet, 500);
+    assert.strictEqual(statements.previous.totalActif, 1500);
+    assert.strictEqual(statements.previous.resultatNet, 500);
+});
+
+test('statements only validate the periods they show', () => {
+    // An unbalanced 2023 écriture does not block the 2025 statements
+    const entries = [line('OD', '9', '20230610', '512000', 100, 0)].concat(closed);
+    const options = { from: '20250101', to: '20251231' };
+
+    assert.strictEqual(FECReports.generateFinancialStatements(entries, options).current.totalActif, 3000);
+
+    const unbalanced = entries.concat([line('OD', '5', '20240620', '512000', 100, 0)]);
+    assert.throws(() => FECReports.generateFinancialStatements(unbalanced, options), /20240101 - 20241231/);
+});
+
+test('the fiscal year bounds given for N do not make N-1 lines out of range', () => {
+    const options = {
+        from: '20250101',
+        to: '20251231',
+        validationOptions: { fiscalYear: { start: '20250101', end: '20251231' } }
+    };
+
+    assert.strictEqual(FECReports.generateFinancialStatements(closed, options).current.totalActif, 3000);
+});
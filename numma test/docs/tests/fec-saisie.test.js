@@ -0,0 +1,60 @@
+/**
+ * Quick journal entry (FECSaisie)
+ *
+ * Run with: node --test "numma test/docs/tests/"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules, line } = require('./helpers');
+
+const { FECSaisie } = loadModules('fec-module.js', 'fec-saisie.js');
+
+const entries = [
+    line('VE', 'VE2024-0001', '20240110', '411000', 120, 0),
+    line('VE', 'VE2024-0001', '20240110', '706000', 0, 120),
+    line('VE', 'VE2024-0002', '20240220', '411000', 80, 0),
+    line('VE', 'VE2024-0002', '20240220', '706000', 0, 80)
+];
+
+function draft(date, lines) {
+    return { JournalCode: 'VE', EcritureDate: date, PieceRef: 'F3', EcritureLib: 'Vente', lines };
+}
+
+test('numbering follows the journal sequence and restarts each fiscal year', () => {
+    assert.strictEqual(FECSaisie.getNextEcritureNum(entries, 'VE', '20240301'), 'VE2024-0003');
+    assert.strictEqual(FECSaisie.getNextEcritureNum(entries, 'VE', '20250105'), 'VE2025-0001');
+    assert.strictEqual(FECSaisie.getNextEcritureNum(entries, 'AC', '20240301'), 'AC2024-0001');
+});
+
+test('the balancing line takes the journal counterpart for the imbalance', () => {
+    const lines = [{ CompteNum: '627000', CompteLib: 'Frais', Debit: '1 234,50', Credit: '' }];
+
+    assert.strictEqual(FECSaisie.getLinesBalance(lines).imbalance, 123450);
+
+    const balancing = FECSaisie.suggestBalancingLine(lines, 'BQ');
+    assert.strictEqual(balancing.CompteNum, '512000');
+    assert.strictEqual(balancing.Credit, '1234.50');
+    assert.strictEqual(balancing.Debit, '');
+});
+
+test('an unbalanced draft is refused', () => {
+    const result = FECSaisie.createEcriture(draft('20240301', [
+        { CompteNum: '411000', CompteLib: 'Clients', Debit: '100', Credit: '' },
+        { CompteNum: '706000', CompteLib: 'Ventes', Debit: '', Credit: '90' }
+    ]), entries);
+
+    assert.strictEqual(result.valid, false);
+    assert.match(result.errors.join(), /déséquilibrée/);
+});
+
+test('a back-dated écriture is inserted before the later ones', () => {
+    const posted = FECSaisie.postEcriture(entries, draft('20240115', [
+        { CompteNum: '411000', CompteLib: 'Clients', Debit: '50', Credit: '' },
+        { CompteNum: '706000', CompteLib: 'Ventes', Debit: '', Credit: '50' }
+    ]));
+
+    assert.strictEqual(posted.ecriture.ecritureNum, 'VE2024-0003');
+    assert.strictEqual(posted.entries.map(entry => entry.EcritureDate).join(),
+        '20240110,20240110,20240115,20240115,20240220,20240220');
+});
@@ -0,0 +1,49 @@
+/**
+ * Shared test helpers: the modules are browser IIFEs that register
+ * themselves on window, so they are loaded into a vm context.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Runs each file, in order, in one fresh context
+ * @param {...string} files - Module file names (dependencies first), from
+ *        modules/ unless given with their directory ('utils/security.js')
+ * @returns {Object} The context, i.e. window (FECModule, FECReports...)
+ */
+function loadModules(...files) {
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout, clearTimeout, TextEncoder, TextDecoder, Blob,
+        crypto: globalThis.crypto,
+        // Background timers (session expiry) never run in tests
+        setInterval() {}
+    };
+    context.window = context;
+    vm.createContext(context);
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file.includes('/') ? file : path.join('modules', file)), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * FEC line with every mandatory field (PieceRef defaults to the number)
+ * @param {Object} fields - Overrides (CompAuxNum, PieceRef, EcritureLet...)
+ * @returns {Object} FEC entry
+ */
+function line(journal, num, date, account, debit, credit, fields = {}) {
+    return {
+        JournalCode: journal, JournalLib: journal, EcritureNum: num, EcritureDate: date,
+        CompteNum: account, CompteLib: account, CompAuxNum: '', CompAuxLib: '',
+        PieceRef: num, PieceDate: date, EcritureLib: 'Test',
+        Debit: debit.toFixed(2), Credit: credit.toFixed(2),
+        EcritureLet: '', DateLet: '', ValidDate: '', Montantdevise: '', Idevise: '',
+        ...fields
+    };
+}
+
+module.exports = { loadModules, line };
@@ -30,6 +30,17 @@
         return div.innerHTML;
     };
 
+    /**
+     * Escape a value for a quoted HTML attribute (escapeHtml leaves quotes)
+     * @param {string} text - Unsafe text from user input or API
+     * @returns {string} Attribute-safe string
+     */
+    window.escapeAttribute = function(text) {
+        return escapeHtml(text)
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    };
+
     /**
      * Sanitize user input by removing dangerous characters
      * @param {string} input - Raw user input
@@ -258,13 +269,54 @@
     };
 
     /**
-     * Validate SIRET number (French business ID)
+     * Luhn checksum, the control key of SIREN and SIRET numbers
+     * @param {string} digits - Digits only
+     * @returns {boolean} True if the checksum is valid
+     */
+    function hasLuhnChecksum(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+
+        return sum % 10 === 0;
+    }
+
+    // La Poste establishments share one SIREN: their SIRET key is a digit
+    // sum divisible by 5 instead of a Luhn checksum
+    const LA_POSTE_SIREN = '356000000';
+
+    /**
+     * Validate SIRET number (French business ID: SIREN + 5-digit NIC,
+     * both with a Luhn checksum)
      * @param {string} siret - SIRET number
      * @returns {boolean} True if valid
      */
     window.isValidSIRET = function(siret) {
-        const cleaned = siret.replace(/\s/g, '');
-        return /^\d{14}$/.test(cleaned);
+        const cleaned = String(siret || '').replace(/\s/g, '');
+        if (!/^\d{14}$/.test(cleaned) || !isValidSIREN(cleaned.slice(0, 9))) return false;
+
+        if (cleaned.startsWith(LA_POSTE_SIREN) && !hasLuhnChecksum(cleaned)) {
+            const sum = cleaned.split('').reduce((total, digit) => total + parseInt(digit, 10), 0);
+            return sum % 5 === 0;
+        }
+
+        return hasLuhnChecksum(cleaned);
+    };
+
+    /**
+     * Validate SIREN number (first 9 digits of the SIRET, Luhn checksum)
+     * @param {string} siren - SIREN number
+     * @returns {boolean} True if valid
+     */
+    window.isValidSIREN = function(siren) {
+        const cleaned = String(siren || '').replace(/\s/g, '');
+        return /^\d{9}$/.test(cleaned) && hasLuhnChecksum(cleaned);
     };
 
     /**
@@ -379,6 +431,7 @@
         refreshToken,
         isValidEmail,
         isValidSIRET,
+        isValidSIREN,
         isValidDateYYYYMMDD,
         isValidAmount,
         secureRedirect,
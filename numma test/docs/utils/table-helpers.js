@@ -240,7 +240,11 @@
             render: (value) => escapeHtml(value)
         },
         CompteNum: {
-            render: (value) => escapeHtml(value)
+            // Drill-down to the general ledger when the page provides it
+            // (the page listens to clicks on .account-link[data-account])
+            render: (value) => typeof window.showGeneralLedger === 'function'
+                ? `<a class="account-link" data-account="${escapeAttribute(value)}">${escapeHtml(value)}</a>`
+                : escapeHtml(value)
         },
         EcritureLib: {
             render: (value) => escapeHtml(value)